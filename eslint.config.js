@@ -26,4 +26,28 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    files: ['plugins/**/*.js', 'scripts/**/*.js', 'vite.config.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
+  {
+    // Server entry for scripts/prerender.js, never hot-reloaded
+    files: ['src/entry-server.jsx'],
+    rules: {
+      'react-refresh/only-export-components': 'off',
+    },
+  },
+  {
+    // Placeholders are filled in by plugins/serviceWorker.js at build time
+    files: ['src/sw.js'],
+    languageOptions: {
+      globals: {
+        ...globals.serviceworker,
+        __PRECACHE_URLS__: 'readonly',
+        __CACHE_VERSION__: 'readonly',
+      },
+    },
+  },
 ])
@@ -0,0 +1,62 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import yaml from 'js-yaml';
+
+export const CONTENT_DIR = fileURLToPath(new URL('../public/content', import.meta.url));
+
+const LOCALES_FILE = 'locales.yml';
+const DEFAULT_LOCALES = [{ id: 'en', name: 'English' }];
+
+// Locales from locales.yml, the default (untranslated) one first. Translations
+// sit in a folder named after their locale and mirror the default locale's
+// files: es/functions/closures.md translates functions/closures.md.
+export const loadLocales = (dir = CONTENT_DIR) => {
+  const file = path.join(dir, LOCALES_FILE);
+  return fs.existsSync(file) ? yaml.load(fs.readFileSync(file, 'utf8')) || DEFAULT_LOCALES : DEFAULT_LOCALES;
+};
+
+// Recursively list markdown files, returned as paths relative to the content root
+// (the same shape as `file` in the topic registry, e.g. "functions/closures.md").
+// Locale folders are skipped unless `translations` is set.
+export const listContentFiles = (dir = CONTENT_DIR, { translations = false } = {}) => {
+  const files = [];
+  const localeFolders = new Set(translations ? [] : loadLocales(dir).slice(1).map(locale => locale.id));
+
+  const walk = (current) => {
+    for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+      const fullPath = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        if (current === dir && localeFolders.has(entry.name)) continue;
+        walk(fullPath);
+      } else if (entry.name.endsWith('.md')) {
+        files.push(path.relative(dir, fullPath).split(path.sep).join('/'));
+      }
+    }
+  };
+
+  walk(dir);
+  return files.sort();
+};
+
+export const readContentFile = (file, dir = CONTENT_DIR) => {
+  return fs.readFileSync(path.join(dir, file), 'utf8');
+};
+
+const isContentPath = (filePath, dir = CONTENT_DIR) => {
+  return path.resolve(filePath).startsWith(dir + path.sep);
+};
+
+// In dev, rebuild a virtual module and reload the page whenever content changes
+export const watchContent = (server, resolvedId) => {
+  server.watcher.add(CONTENT_DIR);
+  server.watcher.on('all', (event, filePath) => {
+    if (!/\.(md|yml)$/.test(filePath) || !isContentPath(filePath)) return;
+
+    const module = server.moduleGraph.getModuleById(resolvedId);
+    if (module) {
+      server.moduleGraph.invalidateModule(module);
+      server.ws.send({ type: 'full-reload' });
+    }
+  });
+};
@@ -0,0 +1,103 @@
+import { execFileSync } from 'node:child_process';
+import { CONTENT_DIR } from './contentFiles.js';
+
+const VIRTUAL_ID = 'virtual:content-history';
+const RESOLVED_ID = `\0${VIRTUAL_ID}`;
+
+// Recent changes kept per file, and content commits kept for /changelog
+const MAX_FILE_CHANGES = 5;
+const MAX_CHANGELOG_ENTRIES = 100;
+
+// Fields of one commit, separated by unit separators; each record starts with
+// a record separator and is followed by the files it touched
+const LOG_FORMAT = '%x1e%H%x1f%h%x1f%aI%x1f%an%x1f%ae%x1f%s';
+
+const readGitLog = (dir) => execFileSync(
+  'git',
+  ['log', '--no-merges', '--relative', '--name-only', `--format=${LOG_FORMAT}`, '--', '.'],
+  { cwd: dir, encoding: 'utf8', maxBuffer: 64 * 1024 * 1024, stdio: ['ignore', 'pipe', 'pipe'] }
+);
+
+// Newest first: [{ hash, shortHash, date, author, email, subject, files }]
+const parseGitLog = (output) => output
+  .split('\x1e')
+  .filter(Boolean)
+  .map(record => {
+    const [header, ...files] = record.split('\n');
+    const [hash, shortHash, date, author, email, subject] = header.split('\x1f');
+    return { hash, shortHash, date, author, email, subject, files: files.filter(file => file.endsWith('.md')) };
+  })
+  .filter(commit => commit.files.length > 0);
+
+// Git history of the markdown files under `dir`:
+//   files      { [file]: { updated, contributors, changes } } with the most
+//              recent changes first
+//   changelog  the latest commits that touched content, with the files they changed
+// Files are paths relative to `dir`, as in the topic registry. Never throws:
+// without git (or outside a repository) the history is empty and `error` says why.
+// Renamed files start a new history, and a shallow clone only knows the
+// commits it fetched.
+export const collectContentHistory = (dir = CONTENT_DIR) => {
+  let commits;
+  try {
+    commits = parseGitLog(readGitLog(dir));
+  } catch (err) {
+    const reason = err.stderr?.toString().trim() || err.message;
+    return { files: {}, changelog: [], error: `could not read git history (${reason.split('\n')[0]})` };
+  }
+
+  const files = {};
+  const authors = new Map();
+  for (const commit of commits) {
+    const change = { hash: commit.shortHash, date: commit.date, author: commit.author, subject: commit.subject };
+
+    for (const file of commit.files) {
+      files[file] ??= { updated: commit.date, contributors: 0, changes: [] };
+      if (files[file].changes.length < MAX_FILE_CHANGES) {
+        files[file].changes.push(change);
+      }
+
+      // People are told apart by email, since names vary between machines
+      authors.set(file, (authors.get(file) ?? new Set()).add(commit.email));
+      files[file].contributors = authors.get(file).size;
+    }
+  }
+
+  const changelog = commits.slice(0, MAX_CHANGELOG_ENTRIES).map(commit => ({
+    hash: commit.shortHash,
+    date: commit.date,
+    author: commit.author,
+    subject: commit.subject,
+    files: commit.files
+  }));
+
+  return { files, changelog, error: null };
+};
+
+// Exposes `contentHistory` (per file) and `changelog` as `virtual:content-history`.
+// History only changes on commit, so in dev it is read once per server start.
+export default function contentHistoryPlugin() {
+  return {
+    name: 'content-history',
+
+    resolveId(id) {
+      if (id === VIRTUAL_ID) {
+        return RESOLVED_ID;
+      }
+    },
+
+    load(id) {
+      if (id !== RESOLVED_ID) return;
+
+      const { files, changelog, error } = collectContentHistory();
+      if (error) {
+        this.warn(`Content pages will show no last-updated dates: ${error}`);
+      }
+
+      return [
+        `export const contentHistory = ${JSON.stringify(files)};`,
+        `export const changelog = ${JSON.stringify(changelog)};`
+      ].join('\n');
+    }
+  };
+}
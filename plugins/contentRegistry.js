@@ -0,0 +1,426 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import yaml from 'js-yaml';
+import { visit } from 'unist-util-visit';
+import { CONTENT_DIR, listContentFiles, loadLocales, readContentFile, watchContent } from './contentFiles.js';
+import { parseFrontmatter } from './frontmatter.js';
+import { parseMarkdown } from './markdown.js';
+
+const VIRTUAL_ID = 'virtual:content-registry';
+const RESOLVED_ID = `\0${VIRTUAL_ID}`;
+
+const SECTIONS_FILE = 'sections.yml';
+const PATHS_FILE = 'paths.yml';
+
+// Every topic must declare these; category and section may be null (e.g. the overview)
+const REQUIRED_FIELDS = ['title', 'icon', 'category', 'section', 'order'];
+const NULLABLE_FIELDS = ['category', 'section'];
+
+const DIFFICULTIES = ['beginner', 'intermediate', 'advanced'];
+
+const ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const EXTERNAL_URL_PATTERN = /^([a-z][a-z0-9+.-]*:|\/\/)/i;
+
+const loadSections = (dir) => {
+  return yaml.load(fs.readFileSync(path.join(dir, SECTIONS_FILE), 'utf8')) || [];
+};
+
+// Learning paths are optional
+const loadPaths = (dir) => {
+  const file = path.join(dir, PATHS_FILE);
+  return fs.existsSync(file) ? yaml.load(fs.readFileSync(file, 'utf8')) || [] : [];
+};
+
+const validateSections = (sections) => {
+  const errors = [];
+  const seen = new Set();
+
+  sections.forEach((section, index) => {
+    for (const field of ['id', 'title', 'icon', 'description']) {
+      if (!section[field]) {
+        errors.push(`${SECTIONS_FILE}: section #${index + 1} is missing "${field}"`);
+      }
+    }
+    if (seen.has(section.id)) {
+      errors.push(`${SECTIONS_FILE}: duplicate section id "${section.id}"`);
+    }
+    seen.add(section.id);
+  });
+
+  return errors;
+};
+
+const validateTopic = (data, sectionIds) => {
+  const errors = [];
+
+  for (const field of REQUIRED_FIELDS) {
+    if (!(field in data) || (data[field] === null && !NULLABLE_FIELDS.includes(field))) {
+      errors.push(`missing required field "${field}"`);
+    }
+  }
+
+  for (const field of ['title', 'icon', 'category']) {
+    if (data[field] != null && typeof data[field] !== 'string') {
+      errors.push(`"${field}" must be a string`);
+    }
+  }
+
+  if (data.order != null && typeof data.order !== 'number') {
+    errors.push('"order" must be a number');
+  }
+
+  if (data.section != null && !sectionIds.includes(data.section)) {
+    errors.push(`unknown section "${data.section}" (expected one of: ${sectionIds.join(', ')})`);
+  }
+
+  if (data.id != null && !ID_PATTERN.test(String(data.id))) {
+    errors.push(`id "${data.id}" must be lowercase kebab-case`);
+  }
+
+  if (data.tags != null && (!Array.isArray(data.tags) || data.tags.some(tag => typeof tag !== 'string'))) {
+    errors.push('"tags" must be a list of strings');
+  }
+
+  if (data.difficulty != null && !DIFFICULTIES.includes(data.difficulty)) {
+    errors.push(`"difficulty" must be one of: ${DIFFICULTIES.join(', ')}`);
+  }
+
+  if (data.prerequisites != null && (!Array.isArray(data.prerequisites) || data.prerequisites.some(id => typeof id !== 'string'))) {
+    errors.push('"prerequisites" must be a list of topic ids');
+  }
+
+  return errors;
+};
+
+// Prerequisites must name other topics and must not loop back on themselves
+const validatePrerequisites = (topics) => {
+  const errors = [];
+  const byId = new Map(topics.map(topic => [topic.id, topic]));
+
+  for (const topic of topics) {
+    for (const id of topic.prerequisites) {
+      if (id === topic.id) {
+        errors.push(`${topic.file}: a topic can't be its own prerequisite`);
+      } else if (!byId.has(id)) {
+        errors.push(`${topic.file}: unknown prerequisite "${id}"`);
+      }
+    }
+  }
+
+  // Depth-first search; reaching a topic that is still on the stack closes a cycle
+  const state = new Map();
+  const visitTopic = (topic, stack) => {
+    if (state.get(topic.id) === 'done') return;
+    if (state.get(topic.id) === 'active') {
+      const cycle = [...stack.slice(stack.indexOf(topic.id)), topic.id];
+      errors.push(`prerequisite cycle: ${cycle.join(' -> ')}`);
+      return;
+    }
+
+    state.set(topic.id, 'active');
+    for (const id of topic.prerequisites) {
+      if (byId.has(id) && id !== topic.id) visitTopic(byId.get(id), [...stack, topic.id]);
+    }
+    state.set(topic.id, 'done');
+  };
+  topics.forEach(topic => visitTopic(topic, []));
+
+  return errors;
+};
+
+const validatePaths = (paths, topics) => {
+  const errors = [];
+  const byId = new Map(topics.map(topic => [topic.id, topic]));
+  const seen = new Set();
+
+  paths.forEach((learningPath, index) => {
+    const name = learningPath.id ? `path "${learningPath.id}"` : `path #${index + 1}`;
+
+    for (const field of ['id', 'title', 'icon', 'description', 'stages']) {
+      if (!learningPath[field]) {
+        errors.push(`${PATHS_FILE}: ${name} is missing "${field}"`);
+      }
+    }
+    if (learningPath.id && !ID_PATTERN.test(String(learningPath.id))) {
+      errors.push(`${PATHS_FILE}: ${name} id must be lowercase kebab-case`);
+    }
+    if (seen.has(learningPath.id)) {
+      errors.push(`${PATHS_FILE}: duplicate path id "${learningPath.id}"`);
+    }
+    seen.add(learningPath.id);
+
+    const stages = Array.isArray(learningPath.stages) ? learningPath.stages : [];
+    const listed = [];
+    stages.forEach((stage, stageIndex) => {
+      if (!stage?.title || !Array.isArray(stage.topics) || stage.topics.length === 0) {
+        errors.push(`${PATHS_FILE}: ${name} stage #${stageIndex + 1} needs a "title" and a list of "topics"`);
+        return;
+      }
+      for (const id of stage.topics) {
+        if (!byId.has(id)) {
+          errors.push(`${PATHS_FILE}: ${name} lists unknown topic "${id}"`);
+        } else if (listed.includes(id)) {
+          errors.push(`${PATHS_FILE}: ${name} lists "${id}" twice`);
+        }
+        listed.push(id);
+      }
+    });
+
+    // A path may skip a prerequisite, but not teach it after the topic that needs it
+    listed.forEach((id, position) => {
+      for (const prerequisite of byId.get(id)?.prerequisites ?? []) {
+        if (listed.indexOf(prerequisite) > position) {
+          errors.push(`${PATHS_FILE}: ${name} lists "${id}" before its prerequisite "${prerequisite}"`);
+        }
+      }
+    });
+  });
+
+  return errors;
+};
+
+// Fingerprint of an English page's body. A translation records the one it was
+// translated from as `sourceHash`; once the English page changes, the
+// translation is marked outdated.
+export const getSourceHash = (body) => {
+  return crypto.createHash('sha256').update(body.replace(/\r\n/g, '\n').trim()).digest('hex').slice(0, 12);
+};
+
+const validateLocales = (locales, mainSections, topics) => {
+  const errors = [];
+  const seen = new Set();
+  const sectionIds = mainSections.map(section => section.id);
+  const categories = new Set(topics.map(topic => topic.category));
+
+  locales.forEach((locale, index) => {
+    const name = locale.id ? `locale "${locale.id}"` : `locale #${index + 1}`;
+
+    for (const field of ['id', 'name']) {
+      if (!locale[field]) {
+        errors.push(`locales.yml: ${name} is missing "${field}"`);
+      }
+    }
+    if (seen.has(locale.id)) {
+      errors.push(`locales.yml: duplicate locale id "${locale.id}"`);
+    }
+    seen.add(locale.id);
+
+    for (const id of Object.keys(locale.sections ?? {})) {
+      if (!sectionIds.includes(id)) {
+        errors.push(`locales.yml: ${name} translates unknown section "${id}"`);
+      }
+    }
+    for (const category of Object.keys(locale.categories ?? {})) {
+      if (!categories.has(category)) {
+        errors.push(`locales.yml: ${name} translates unknown category "${category}"`);
+      }
+    }
+  });
+
+  return errors;
+};
+
+// { [locale]: { topics, sections, categories } } for every locale but the
+// default. `topics` maps a topic id to its translated file, title and whether
+// the English page changed since; section and category names come from
+// locales.yml.
+const collectTranslations = (dir, locales, topics) => {
+  const errors = [];
+  const translations = {};
+
+  for (const locale of locales.slice(1)) {
+    const localeDir = path.join(dir, locale.id);
+    const files = fs.existsSync(localeDir) ? listContentFiles(localeDir, { translations: true }) : [];
+    const translatedTopics = {};
+
+    for (const file of files) {
+      const translationFile = `${locale.id}/${file}`;
+      const topic = topics.find(t => t.file === file);
+      if (!topic) {
+        errors.push(`${translationFile}: translates ${file}, which is not a topic`);
+        continue;
+      }
+
+      let data;
+      try {
+        ({ data } = parseFrontmatter(readContentFile(translationFile, dir)));
+      } catch (err) {
+        errors.push(`${translationFile}: invalid frontmatter (${err.message.split('\n')[0]})`);
+        continue;
+      }
+
+      const sourceHash = getSourceHash(parseFrontmatter(readContentFile(file, dir)).body);
+      if (!data?.sourceHash) {
+        errors.push(`${translationFile}: missing "sourceHash" (for the current English page it is ${sourceHash})`);
+        continue;
+      }
+      if (data.title != null && typeof data.title !== 'string') {
+        errors.push(`${translationFile}: "title" must be a string`);
+        continue;
+      }
+
+      translatedTopics[topic.id] = {
+        file: translationFile,
+        title: data.title ?? null,
+        outdated: String(data.sourceHash) !== sourceHash
+      };
+    }
+
+    translations[locale.id] = {
+      topics: translatedTopics,
+      sections: locale.sections ?? {},
+      categories: locale.categories ?? {}
+    };
+  }
+
+  return { translations, errors };
+};
+
+// Content files (or /pattern/:id routes) a page links to, without their #hash
+const getLinkTargets = (file, body) => {
+  const targets = new Set();
+
+  visit(parseMarkdown(body), ['link', 'definition'], (node) => {
+    const target = node.url.split('#')[0].split('?')[0];
+    if (!target || EXTERNAL_URL_PATTERN.test(target)) return;
+
+    if (target.startsWith('/')) {
+      targets.add(target.startsWith('/content/') ? path.posix.normalize(target.slice('/content/'.length)) : target);
+    } else {
+      targets.add(path.posix.normalize(path.posix.join(path.posix.dirname(file), target)));
+    }
+  });
+
+  return [...targets];
+};
+
+// Read every content file's frontmatter and build the topic registry.
+// Never throws: problems are collected so the build and the content
+// checker can each report them their own way.
+export const collectContentRegistry = (dir = CONTENT_DIR) => {
+  const errors = [];
+  const unregistered = [];
+  const topics = [];
+
+  const mainSections = loadSections(dir);
+  errors.push(...validateSections(mainSections));
+  const sectionIds = mainSections.map(section => section.id);
+
+  for (const file of listContentFiles(dir)) {
+    let data;
+    let body;
+    try {
+      ({ data, body } = parseFrontmatter(readContentFile(file, dir)));
+    } catch (err) {
+      errors.push(`${file}: invalid frontmatter (${err.message.split('\n')[0]})`);
+      continue;
+    }
+
+    if (!data) {
+      unregistered.push(file);
+      continue;
+    }
+
+    const problems = validateTopic(data, sectionIds);
+    if (problems.length > 0) {
+      errors.push(...problems.map(problem => `${file}: ${problem}`));
+      continue;
+    }
+
+    topics.push({
+      id: data.id ?? path.posix.basename(file, '.md'),
+      title: data.title,
+      icon: data.icon,
+      file,
+      category: data.category,
+      section: data.section,
+      order: data.order,
+      tags: data.tags ?? [],
+      difficulty: data.difficulty ?? null,
+      prerequisites: data.prerequisites ?? [],
+      links: getLinkTargets(file, body)
+    });
+  }
+
+  const filesById = new Map();
+  for (const topic of topics) {
+    filesById.set(topic.id, [...(filesById.get(topic.id) || []), topic.file]);
+  }
+  for (const [id, files] of filesById) {
+    if (files.length > 1) {
+      errors.push(`duplicate topic id "${id}" in ${files.join(', ')}`);
+    }
+  }
+
+  // Topics without a section (the overview) come first, then sections in sections.yml order
+  const sectionRank = (section) => (section === null ? -1 : sectionIds.indexOf(section));
+  topics.sort((a, b) =>
+    sectionRank(a.section) - sectionRank(b.section) ||
+    a.order - b.order ||
+    a.file.localeCompare(b.file)
+  );
+
+  // Cross-links: ids of the other topics a page links to. Broken links are
+  // left to the content checker.
+  const idsByTarget = new Map(topics.flatMap(topic => [[topic.file, topic.id], [`/pattern/${topic.id}`, topic.id]]));
+  for (const topic of topics) {
+    topic.links = [...new Set(topic.links.map(target => idsByTarget.get(target)))].filter(id => id && id !== topic.id);
+  }
+
+  errors.push(...validatePrerequisites(topics));
+
+  const learningPaths = loadPaths(dir);
+  errors.push(...validatePaths(learningPaths, topics));
+
+  const allLocales = loadLocales(dir);
+  errors.push(...validateLocales(allLocales, mainSections, topics));
+  const { translations, errors: translationErrors } = collectTranslations(dir, allLocales, topics);
+  errors.push(...translationErrors);
+  const locales = allLocales.map(locale => ({ id: locale.id, name: locale.name }));
+
+  return { patterns: topics, mainSections, learningPaths, locales, translations, errors, unregistered };
+};
+
+export const formatRegistryErrors = (errors) => {
+  return `Content registry has ${errors.length} problem(s):\n${errors.map(error => `  - ${error}`).join('\n')}`;
+};
+
+// Exposes `patterns`, `mainSections`, `learningPaths`, `locales` and
+// `translations` as `virtual:content-registry`
+export default function contentRegistryPlugin() {
+  return {
+    name: 'content-registry',
+
+    resolveId(id) {
+      if (id === VIRTUAL_ID) {
+        return RESOLVED_ID;
+      }
+    },
+
+    load(id) {
+      if (id !== RESOLVED_ID) return;
+
+      const { patterns, mainSections, learningPaths, locales, translations, errors, unregistered } = collectContentRegistry();
+
+      if (errors.length > 0) {
+        this.error(formatRegistryErrors(errors));
+      }
+      for (const file of unregistered) {
+        this.warn(`${file} has no frontmatter, so it is not part of the topic registry`);
+      }
+
+      return [
+        `export const mainSections = ${JSON.stringify(mainSections)};`,
+        `export const patterns = ${JSON.stringify(patterns)};`,
+        `export const learningPaths = ${JSON.stringify(learningPaths)};`,
+        `export const locales = ${JSON.stringify(locales)};`,
+        `export const translations = ${JSON.stringify(translations)};`
+      ].join('\n');
+    },
+
+    configureServer(server) {
+      watchContent(server, RESOLVED_ID);
+    }
+  };
+}
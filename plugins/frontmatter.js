@@ -0,0 +1,17 @@
+import yaml from 'js-yaml';
+
+const FRONTMATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/;
+
+// Split a markdown file into its YAML frontmatter and body.
+// `data` is null when the file has no frontmatter block.
+export const parseFrontmatter = (source) => {
+  const match = source.match(FRONTMATTER_PATTERN);
+  if (!match) {
+    return { data: null, body: source };
+  }
+
+  return {
+    data: yaml.load(match[1]) ?? {},
+    body: source.slice(match[0].length)
+  };
+};
@@ -0,0 +1,54 @@
+import fs from 'node:fs';
+import { createRequire } from 'node:module';
+
+const VIRTUAL_ID = 'virtual:highlight-themes.css';
+const RESOLVED_ID = `\0${VIRTUAL_ID}`;
+
+// highlight.js theme for each value of data-theme on <html>
+const THEME_FILES = {
+  light: 'highlight.js/styles/github.css',
+  dark: 'highlight.js/styles/github-dark.css'
+};
+
+const require = createRequire(import.meta.url);
+
+// Prefix every selector of a theme with its data-theme. :where() keeps the
+// theme's own specificity; the highlight.js themes are plain rule lists
+// (no at-rules), so splitting on braces is enough.
+const scopeTheme = (css, theme) => css
+  .replace(/\/\*[\s\S]*?\*\//g, '')
+  .replace(/([^{}]+)\{/g, (_match, selectors) => {
+    const scoped = selectors
+      .split(',')
+      .map(selector => `:where(:root[data-theme='${theme}']) ${selector.trim()}`)
+      .join(',\n');
+    return `${scoped} {`;
+  });
+
+// Exposes both code highlighting themes as `virtual:highlight-themes.css`,
+// scoped by the data-theme attribute the inline script in index.html sets
+// before the first paint, so prerendered code blocks are styled in the right
+// theme straight away. The rules sit in a cascade layer, which puts the app's
+// own code block styles ahead of them.
+export default function highlightThemesPlugin() {
+  return {
+    name: 'highlight-themes',
+
+    resolveId(id) {
+      if (id === VIRTUAL_ID) {
+        return RESOLVED_ID;
+      }
+    },
+
+    load(id) {
+      if (id !== RESOLVED_ID) return;
+
+      const rules = Object.entries(THEME_FILES).map(([theme, file]) => {
+        const path = require.resolve(file);
+        this.addWatchFile(path);
+        return scopeTheme(fs.readFileSync(path, 'utf8'), theme);
+      });
+      return `@layer highlight-theme {\n${rules.join('\n')}\n}\n`;
+    }
+  };
+}
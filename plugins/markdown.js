@@ -0,0 +1,28 @@
+import GithubSlugger from 'github-slugger';
+import { fromMarkdown } from 'mdast-util-from-markdown';
+import { gfmFromMarkdown } from 'mdast-util-gfm';
+import { toString } from 'mdast-util-to-string';
+import { gfm } from 'micromark-extension-gfm';
+import { visit } from 'unist-util-visit';
+
+export const parseMarkdown = (source) => {
+  return fromMarkdown(source, {
+    extensions: [gfm()],
+    mdastExtensions: [gfmFromMarkdown()]
+  });
+};
+
+export const nodeToText = (node) => toString(node, { includeImageAlt: false, includeHtml: false });
+
+// Map every heading node to the id rehype-slug gives it in the rendered page.
+// Slugs are assigned in document order, so duplicates get -1, -2... suffixes.
+export const getHeadingSlugs = (tree) => {
+  const slugger = new GithubSlugger();
+  const slugs = new Map();
+
+  visit(tree, 'heading', (node) => {
+    slugs.set(node, slugger.slug(nodeToText(node)));
+  });
+
+  return slugs;
+};
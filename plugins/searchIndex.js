@@ -0,0 +1,103 @@
+import { listContentFiles, readContentFile, watchContent } from './contentFiles.js';
+import { parseFrontmatter } from './frontmatter.js';
+import { getHeadingSlugs, nodeToText, parseMarkdown } from './markdown.js';
+import { tokenize } from '../src/utils/tokenize.js';
+
+const VIRTUAL_ID = 'virtual:search-index';
+const RESOLVED_ID = `\0${VIRTUAL_ID}`;
+
+// How much a term counts depending on where in a section it appears
+const WEIGHTS = {
+  heading: 6,
+  text: 2,
+  code: 1
+};
+
+// Block containers are joined with spaces so list items don't run together
+const CONTAINER_TYPES = ['list', 'listItem', 'blockquote', 'table', 'tableRow'];
+
+const toPlainText = (node) => {
+  if (CONTAINER_TYPES.includes(node.type)) {
+    return node.children.map(toPlainText).join(' ');
+  }
+  return node.type === 'code' ? node.value : nodeToText(node);
+};
+
+// Split a markdown file into one entry per heading, keeping prose and code apart
+const extractSections = (source) => {
+  const tree = parseMarkdown(parseFrontmatter(source).body);
+  const slugs = getHeadingSlugs(tree);
+  const sections = [];
+  let current = { heading: '', slug: null, text: [], code: [] };
+
+  for (const node of tree.children) {
+    if (node.type === 'heading') {
+      sections.push(current);
+      current = { heading: nodeToText(node), slug: slugs.get(node), text: [], code: [] };
+    } else if (node.type === 'code') {
+      current.code.push(node.value);
+    } else {
+      current.text.push(toPlainText(node));
+    }
+  }
+  sections.push(current);
+
+  return sections
+    .map(section => ({
+      heading: section.heading,
+      slug: section.slug,
+      text: section.text.join(' ').replace(/\s+/g, ' ').trim(),
+      code: section.code.join('\n')
+    }))
+    .filter(section => section.heading || section.text || section.code);
+};
+
+// Build an inverted index: token -> flat [sectionIndex, score, sectionIndex, score, ...]
+export const buildSearchIndex = (files = listContentFiles()) => {
+  const sections = [];
+  const postings = Object.create(null);
+
+  files.forEach((file, fileIndex) => {
+    for (const section of extractSections(readContentFile(file))) {
+      const sectionIndex = sections.length;
+      const scores = new Map();
+
+      for (const field of Object.keys(WEIGHTS)) {
+        for (const token of tokenize(section[field])) {
+          scores.set(token, (scores.get(token) || 0) + WEIGHTS[field]);
+        }
+      }
+
+      for (const [token, score] of scores) {
+        (postings[token] ||= []).push(sectionIndex, score);
+      }
+
+      sections.push([fileIndex, section.heading, section.slug, section.text, section.code]);
+    }
+  });
+
+  return { files, sections, postings };
+};
+
+// Exposes the index as `virtual:search-index`, rebuilt whenever content changes in dev
+export default function searchIndexPlugin() {
+  return {
+    name: 'search-index',
+
+    resolveId(id) {
+      if (id === VIRTUAL_ID) {
+        return RESOLVED_ID;
+      }
+    },
+
+    load(id) {
+      if (id === RESOLVED_ID) {
+        return `export default ${JSON.stringify(buildSearchIndex())};`;
+      }
+    },
+
+    configureServer(server) {
+      watchContent(server, RESOLVED_ID);
+    }
+  };
+}
@@ -0,0 +1,52 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import { CONTENT_DIR, listContentFiles, readContentFile } from './contentFiles.js';
+
+const SW_SOURCE = new URL('../src/sw.js', import.meta.url);
+
+// Files from public/ that belong to the app shell
+const PUBLIC_FILES = ['/manifest.webmanifest', '/icon.svg'];
+
+// Unrendered copy of index.html. Routes that aren't prerendered load this and
+// render on the client, as does any page the worker has to answer offline
+// without a cached copy.
+const APP_SHELL_FILE = 'app-shell.html';
+
+// Vite plugin: emit /sw.js with the app shell, every build asset and all markdown
+// under /content/ in its precache list. Client build only; dev runs without a worker.
+export default function serviceWorkerPlugin() {
+  return {
+    name: 'service-worker',
+    apply: (_config, { command, isSsrBuild }) => command === 'build' && !isSsrBuild,
+    enforce: 'post',
+
+    generateBundle(_options, bundle) {
+      const assets = Object.keys(bundle)
+        .filter(fileName => fileName !== 'index.html' && !fileName.endsWith('.map'))
+        .map(fileName => `/${fileName}`);
+      const contentFiles = listContentFiles(CONTENT_DIR, { translations: true });
+
+      // Any changed asset name (they are content-hashed), index.html or markdown file gives a new version
+      const hash = crypto.createHash('sha256');
+      hash.update(bundle['index.html']?.source ?? '');
+      for (const asset of assets) hash.update(asset);
+      for (const file of contentFiles) hash.update(file).update(readContentFile(file));
+      const version = hash.digest('hex').slice(0, 12);
+
+      this.emitFile({ type: 'asset', fileName: APP_SHELL_FILE, source: bundle['index.html']?.source ?? '' });
+
+      const urls = [
+        `/${APP_SHELL_FILE}`,
+        ...PUBLIC_FILES,
+        ...assets,
+        ...contentFiles.map(file => `/content/${file}`)
+      ];
+
+      const source = fs.readFileSync(SW_SOURCE, 'utf8')
+        .replace('__PRECACHE_URLS__', () => JSON.stringify(urls, null, 2))
+        .replace('__CACHE_VERSION__', () => JSON.stringify(version));
+
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source });
+    }
+  };
+}
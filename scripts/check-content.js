@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+// Content integrity checker for public/content/
+//
+// Usage: node scripts/check-content.js [--strict]
+//
+// Errors (exit code 1):
+//   - broken relative links and #anchors (anchors are checked against the ids rehype-slug generates)
+//   - links to markdown files that aren't part of the topic registry
+//   - invalid or duplicate frontmatter, and files with no frontmatter at all
+//   - unknown or circular prerequisites, and learning paths (paths.yml) that
+//     list unknown topics or put a topic before its prerequisite
+//   - translations (public/content/<locale>/) of files that aren't topics, or
+//     without a `sourceHash`
+// Warnings (errors with --strict):
+//   - placeholder stub pages
+//   - outdated translations, whose English page changed since they were made
+//
+// Registry entries are generated from the files' own frontmatter (see
+// plugins/contentRegistry.js), so the registry can't point at a missing file;
+// drift shows up here as files that never made it into the registry.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { visit } from 'unist-util-visit';
+import { CONTENT_DIR, listContentFiles, readContentFile } from '../plugins/contentFiles.js';
+import { collectContentRegistry, getSourceHash } from '../plugins/contentRegistry.js';
+import { parseFrontmatter } from '../plugins/frontmatter.js';
+import { getHeadingSlugs, nodeToText, parseMarkdown } from '../plugins/markdown.js';
+
+const STUB_PATTERN = /content coming soon/i;
+const MIN_STUB_WORDS = 40;
+
+const strict = process.argv.includes('--strict');
+
+const isExternalUrl = (url) => /^[a-z][a-z0-9+.-]*:/i.test(url) || url.startsWith('//');
+
+// Parse every file once: slugs for anchor checks, links to validate, body for stub detection
+const loadDocuments = (files) => {
+  const documents = new Map();
+
+  for (const file of files) {
+    const source = readContentFile(file);
+    const { body } = parseFrontmatter(source);
+    const tree = parseMarkdown(body);
+    const links = [];
+
+    // Report line numbers in the original file, frontmatter included
+    const lineOffset = source.slice(0, source.length - body.length).split('\n').length - 1;
+
+    visit(tree, ['link', 'definition'], (node) => {
+      links.push({ url: node.url, line: node.position.start.line + lineOffset });
+    });
+
+    documents.set(file, {
+      body,
+      tree,
+      slugs: new Set(getHeadingSlugs(tree).values()),
+      links
+    });
+  }
+
+  return documents;
+};
+
+// Translations link as if they were the English page, so `file` is the English
+// path; `slugs` are the headings of the page the link is actually on
+const checkLink = (file, url, documents, registeredFiles, slugs = documents.get(file).slugs) => {
+  if (!url || isExternalUrl(url)) return null;
+
+  const [withoutHash, hash] = url.split('#');
+  const target = withoutHash.split('?')[0];
+
+  // Same-page anchor
+  if (!target) {
+    if (hash && !slugs.has(decodeURIComponent(hash))) {
+      return `anchor "#${hash}" does not match any heading`;
+    }
+    return null;
+  }
+
+  const resolved = target.startsWith('/')
+    ? path.posix.normalize(target.replace(/^\/content\//, '/')).slice(1)
+    : path.posix.normalize(path.posix.join(path.posix.dirname(file), target));
+
+  if (resolved.startsWith('..')) {
+    return `"${url}" points outside the content folder`;
+  }
+
+  if (!resolved.endsWith('.md')) {
+    return fs.existsSync(path.join(CONTENT_DIR, resolved)) ? null : `"${url}" does not exist`;
+  }
+
+  if (!documents.has(resolved)) {
+    return `"${url}" links to a missing file (${resolved})`;
+  }
+  if (!registeredFiles.has(resolved)) {
+    return `"${url}" links to ${resolved}, which has no registry entry`;
+  }
+  if (hash && !documents.get(resolved).slugs.has(decodeURIComponent(hash))) {
+    return `"${url}": ${resolved} has no heading for "#${hash}"`;
+  }
+
+  return null;
+};
+
+// A page is a stub if it says so, or if it has barely any prose besides its title
+const isStub = ({ body, tree }) => {
+  if (STUB_PATTERN.test(body)) return true;
+
+  const words = tree.children
+    .filter(node => node.type !== 'heading')
+    .map(node => (node.type === 'code' ? node.value : nodeToText(node)))
+    .join(' ')
+    .split(/\s+/)
+    .filter(Boolean);
+
+  return words.length < MIN_STUB_WORDS;
+};
+
+const main = () => {
+  const files = listContentFiles();
+  const { patterns, translations, errors: registryErrors, unregistered } = collectContentRegistry();
+  const registeredFiles = new Set(patterns.map(p => p.file));
+  const documents = loadDocuments(files);
+  const translated = Object.values(translations).flatMap(({ topics }) => Object.entries(topics)
+    .map(([id, translation]) => ({ ...translation, source: patterns.find(p => p.id === id).file })));
+  const translationDocuments = loadDocuments(translated.map(translation => translation.file));
+
+  const errors = [...registryErrors];
+  const warnings = [];
+
+  for (const file of unregistered) {
+    errors.push(`${file}: no frontmatter, so the file has no registry entry`);
+  }
+
+  for (const [file, document] of documents) {
+    for (const { url, line } of document.links) {
+      const problem = checkLink(file, url, documents, registeredFiles);
+      if (problem) {
+        errors.push(`${file}:${line}: broken link ${problem}`);
+      }
+    }
+
+    if (isStub(document)) {
+      warnings.push(`${file}: placeholder stub page`);
+    }
+  }
+
+  for (const { file, source, outdated } of translated) {
+    const document = translationDocuments.get(file);
+    for (const { url, line } of document.links) {
+      const problem = checkLink(source, url, documents, registeredFiles, document.slugs);
+      if (problem) {
+        errors.push(`${file}:${line}: broken link ${problem}`);
+      }
+    }
+
+    if (outdated) {
+      warnings.push(`${file}: outdated translation of ${source} (once updated, set sourceHash: ${getSourceHash(documents.get(source).body)})`);
+    }
+  }
+
+  const failures = strict ? [...errors, ...warnings] : errors;
+
+  for (const error of errors) {
+    console.error(`✖ ${error}`);
+  }
+  for (const warning of warnings) {
+    console.warn(`${strict ? '✖' : '⚠'} ${warning}`);
+  }
+
+  console.log(
+    `\nChecked ${files.length} files and ${translated.length} translation(s): ${errors.length} error(s), ${warnings.length} warning(s)${strict ? ' (strict)' : ''}`
+  );
+
+  process.exitCode = failures.length > 0 ? 1 : 0;
+};
+
+main();
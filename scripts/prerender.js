@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+// Prerender every public route to static HTML
+//
+// Usage: node scripts/prerender.js   (run by `npm run build` after both vite builds)
+//
+// Renders `/`, every `/section/:sectionId`, every `/pattern/:id`, `/paths`,
+// every `/paths/:pathId`, `/graph` and `/changelog` with the server bundle in
+// dist-ssr/ and writes them into dist/ (`/` -> index.html, `/pattern/singleton`
+// -> pattern/singleton.html). Every locale but the default gets the same pages
+// under its prefix (`/es` -> es/index.html, `/es/pattern/singleton` ->
+// es/pattern/singleton.html), rendered from the translations where they exist.
+// Each page gets its own <html lang>, <title>, meta description and Open Graph
+// tags, plus the markdown it was rendered from so the client can hydrate it
+// without refetching.
+//
+// Set SITE_URL (e.g. https://example.com) to also emit og:url and a canonical link.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { readContentFile } from '../plugins/contentFiles.js';
+import { parseFrontmatter } from '../plugins/frontmatter.js';
+import { nodeToText, parseMarkdown } from '../plugins/markdown.js';
+
+const DIST_DIR = fileURLToPath(new URL('../dist', import.meta.url));
+const SSR_DIR = fileURLToPath(new URL('../dist-ssr', import.meta.url));
+
+const DESCRIPTION_HEADING = 'Intent';
+const MAX_DESCRIPTION_LENGTH = 160;
+
+const siteUrl = process.env.SITE_URL?.replace(/\/$/, '');
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/"/g, '&quot;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+// JSON inside a <script> tag must not be able to close it
+const serializeJson = (value) => JSON.stringify(value).replace(/</g, '\\u003c');
+
+const truncate = (text) => {
+  if (text.length <= MAX_DESCRIPTION_LENGTH) return text;
+  const cut = text.slice(0, MAX_DESCRIPTION_LENGTH - 1);
+  return `${cut.slice(0, cut.lastIndexOf(' ')) || cut}…`;
+};
+
+// First paragraph under the "Intent" heading, or the first paragraph of the page
+const getTopicDescription = (markdown) => {
+  const { children } = parseMarkdown(markdown);
+  const intentIndex = children.findIndex(node => (
+    node.type === 'heading' && nodeToText(node).trim() === DESCRIPTION_HEADING
+  ));
+
+  const paragraph = children.slice(intentIndex + 1).find(node => node.type === 'paragraph')
+    || children.find(node => node.type === 'paragraph');
+
+  return paragraph ? truncate(nodeToText(paragraph).replace(/\s+/g, ' ').trim()) : null;
+};
+
+const renderHead = ({ title, description, type, url, siteName }) => {
+  const tags = [
+    `<title>${escapeHtml(title)}</title>`,
+    `<meta name="description" content="${escapeHtml(description)}" />`,
+    `<meta property="og:type" content="${type}" />`,
+    `<meta property="og:site_name" content="${escapeHtml(siteName)}" />`,
+    `<meta property="og:title" content="${escapeHtml(title)}" />`,
+    `<meta property="og:description" content="${escapeHtml(description)}" />`,
+    '<meta name="twitter:card" content="summary" />',
+    `<meta name="twitter:title" content="${escapeHtml(title)}" />`,
+    `<meta name="twitter:description" content="${escapeHtml(description)}" />`
+  ];
+
+  if (siteUrl) {
+    tags.push(
+      `<meta property="og:url" content="${escapeHtml(siteUrl + url)}" />`,
+      `<link rel="canonical" href="${escapeHtml(siteUrl + url)}" />`
+    );
+  }
+
+  return tags.map(tag => `    ${tag}`).join('\n');
+};
+
+const renderPage = (template, { lang, head, appHtml, initialContent }) => {
+  const contentScript = initialContent
+    ? `<script>window.__INITIAL_CONTENT__ = ${serializeJson(initialContent)}</script>\n    `
+    : '';
+
+  return template
+    .replace(/<html lang="[^"]*">/, `<html lang="${lang}">`)
+    .replace(/\s*<title>[\s\S]*?<\/title>/, '')
+    .replace(/\s*<meta name="description"[^>]*>/, '')
+    .replace(/\s*<\/head>/, () => `\n${head}\n  </head>`)
+    .replace('<div id="root"></div>', () => `<div id="root">${appHtml}</div>\n    ${contentScript}`.trimEnd());
+};
+
+// A locale's home page (`/es`) shares its folder with the locale's other pages
+const outputPath = (url, isHome) => {
+  return isHome ? path.join(DIST_DIR, url.slice(1), 'index.html') : path.join(DIST_DIR, `${url.slice(1)}.html`);
+};
+
+const main = async () => {
+  const template = fs.readFileSync(path.join(DIST_DIR, 'index.html'), 'utf8');
+  const defaultDescription = template.match(/<meta name="description" content="([^"]*)"/)?.[1] ?? '';
+  const server = await import(pathToFileURL(path.join(SSR_DIR, 'entry-server.js')).href);
+  const {
+    mainSections, patterns, learningPaths, locales, translations,
+    getPageTitle, localizePath, preloadContent, render, SITE_NAME
+  } = server;
+
+  const getLocalePages = (locale) => [
+    { url: '/', description: defaultDescription, type: 'website' },
+    ...mainSections.map(section => ({
+      url: `/section/${section.id}`,
+      description: translations[locale]?.sections[section.id]?.description ?? section.description,
+      type: 'website'
+    })),
+    ...patterns.map(pattern => {
+      const file = translations[locale]?.topics[pattern.id]?.file ?? pattern.file;
+      const markdown = parseFrontmatter(readContentFile(file)).body;
+      return {
+        url: `/pattern/${pattern.id}`,
+        description: getTopicDescription(markdown) ?? defaultDescription,
+        type: 'article',
+        initialContent: { [file]: markdown }
+      };
+    }),
+    { url: '/paths', description: 'Curated learning paths through the JavaScript topics', type: 'website' },
+    ...learningPaths.map(learningPath => ({
+      url: `/paths/${learningPath.id}`,
+      description: learningPath.description,
+      type: 'website'
+    })),
+    { url: '/graph', description: 'Every topic and the topics it builds on, as a graph', type: 'website' },
+    { url: '/changelog', description: 'The latest changes to the topic pages', type: 'website' }
+  ].map(page => ({ ...page, url: localizePath(page.url, locale), lang: locale, isHome: page.url === '/' }));
+
+  const pages = locales.flatMap(locale => getLocalePages(locale.id));
+
+  for (const page of pages) {
+    if (page.initialContent) {
+      preloadContent(page.initialContent);
+    }
+
+    const head = renderHead({
+      title: getPageTitle(page.url),
+      description: page.description,
+      type: page.type,
+      url: page.url,
+      siteName: SITE_NAME
+    });
+    const html = renderPage(template, {
+      lang: page.lang,
+      head,
+      appHtml: render(page.url),
+      initialContent: page.initialContent
+    });
+
+    const file = outputPath(page.url, page.isHome);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, html);
+  }
+
+  fs.rmSync(SSR_DIR, { recursive: true, force: true });
+  console.log(`Prerendered ${pages.length} page(s) into dist/`);
+};
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -1,10 +1,24 @@
 import React, { useState, useEffect, useCallback } from 'react';
-import { BrowserRouter as Router, Routes, Route, useParams, useLocation } from 'react-router-dom';
+import { Routes, Route, useParams, useLocation } from 'react-router-dom';
 import Sidebar from './components/Sidebar';
 import MarkdownViewer from './components/MarkdownViewer';
 import HomePage from './components/HomePage';
 import SectionPage from './components/SectionPage';
+import PracticePage from './components/PracticePage';
+import MockInterviewPage from './components/MockInterviewPage';
+import BookmarksPage from './components/BookmarksPage';
+import LearningPathsPage from './components/LearningPathsPage';
+import LearningPathPage from './components/LearningPathPage';
+import TopicGraphPage from './components/TopicGraphPage';
+import ChangelogPage from './components/ChangelogPage';
+import ThemeSwitcher from './components/ThemeSwitcher';
+import LocaleSwitcher from './components/LocaleSwitcher';
+import UpdateBanner from './components/UpdateBanner';
+import KeyboardShortcuts from './components/KeyboardShortcuts';
+import CommandPalette from './components/CommandPalette';
 import { patterns } from './data/patterns';
+import { localizePath, useLocale } from './utils/i18n';
+import { getPageTitle } from './utils/pageMeta';
 import './App.css';
 
 const ContentArea = ({ onBreadcrumbUpdate }) => {
@@ -38,16 +52,25 @@ const ContentArea = ({ onBreadcrumbUpdate }) => {
     return <HomePage />;
   }
 
+  // A new viewer per topic: cached pages render without a loading state, so
+  // otherwise code blocks and other state would carry over from the last page
   return (
     <article>
-      <MarkdownViewer file={file} onBreadcrumbUpdate={onBreadcrumbUpdate} />
+      <MarkdownViewer key={file} file={file} onBreadcrumbUpdate={onBreadcrumbUpdate} />
     </article>
   );
 };
 
+// Prerendered pages are hydrated, so the first render has to match the server's
+const isPrerendered = typeof document !== 'undefined' && Boolean(document.getElementById('root')?.hasChildNodes());
+
+// Rendered inside a router: BrowserRouter in main.jsx, StaticRouter in entry-server.jsx
 function App() {
-  // Sidebar open by default on desktop, closed on mobile
-  const [isSidebarOpen, setIsSidebarOpen] = useState(window.innerWidth > 768);
+  // Sidebar open by default on desktop, closed on mobile. The server can't tell
+  // the screen size, so prerendered pages start open and close after hydration.
+  const [isSidebarOpen, setIsSidebarOpen] = useState(() => (
+    typeof window === 'undefined' || isPrerendered || window.innerWidth > 768
+  ));
   const [breadcrumb, setBreadcrumb] = useState('Home');
   const [showScrollTop, setShowScrollTop] = useState(false);
 
@@ -55,6 +78,13 @@ function App() {
     setBreadcrumb(newBreadcrumb);
   }, []);
 
+  useEffect(() => {
+    if (!isPrerendered || window.innerWidth > 768) return;
+
+    const frame = requestAnimationFrame(() => setIsSidebarOpen(false));
+    return () => cancelAnimationFrame(frame);
+  }, []);
+
   useEffect(() => {
     const handleScroll = () => {
       setShowScrollTop(window.scrollY > 300);
@@ -69,23 +99,30 @@ function App() {
   };
 
   return (
-    <Router>
-      <AppContent
-        isSidebarOpen={isSidebarOpen}
-        setIsSidebarOpen={setIsSidebarOpen}
-        breadcrumb={breadcrumb}
-        handleBreadcrumbUpdate={handleBreadcrumbUpdate}
-        showScrollTop={showScrollTop}
-        scrollToTop={scrollToTop}
-      />
-    </Router>
+    <AppContent
+      isSidebarOpen={isSidebarOpen}
+      setIsSidebarOpen={setIsSidebarOpen}
+      breadcrumb={breadcrumb}
+      handleBreadcrumbUpdate={handleBreadcrumbUpdate}
+      showScrollTop={showScrollTop}
+      scrollToTop={scrollToTop}
+    />
   );
 }
 
 function AppContent({ isSidebarOpen, setIsSidebarOpen, breadcrumb, handleBreadcrumbUpdate, showScrollTop, scrollToTop }) {
   const location = useLocation();
+  const locale = useLocale();
   const isHomePage = location.pathname === '/';
 
+  useEffect(() => {
+    document.title = getPageTitle(localizePath(location.pathname, locale));
+  }, [location.pathname, locale]);
+
+  const handleSidebarClose = useCallback(() => {
+    setIsSidebarOpen(false);
+  }, [setIsSidebarOpen]);
+
   // Handle breadcrumb click to open sidebar
   const handleBreadcrumbClick = () => {
     setIsSidebarOpen(true);
@@ -114,7 +151,7 @@ function AppContent({ isSidebarOpen, setIsSidebarOpen, breadcrumb, handleBreadcr
   return (
     <div className="container">
       {!isHomePage && (
-        <Sidebar isOpen={isSidebarOpen} onClose={() => setIsSidebarOpen(false)} />
+        <Sidebar isOpen={isSidebarOpen} onClose={handleSidebarClose} />
       )}
 
       <main className={`main-content ${isHomePage ? 'full-width' : ''} ${!isSidebarOpen && !isHomePage ? 'sidebar-collapsed' : ''}`}>
@@ -127,6 +164,8 @@ function AppContent({ isSidebarOpen, setIsSidebarOpen, breadcrumb, handleBreadcr
               ☰
             </button>
             {renderBreadcrumb()}
+            <ThemeSwitcher className="header-theme-switcher" />
+            <LocaleSwitcher />
           </div>
         )}
 
@@ -134,6 +173,13 @@ function AppContent({ isSidebarOpen, setIsSidebarOpen, breadcrumb, handleBreadcr
           <Route path="/" element={<ContentArea onBreadcrumbUpdate={handleBreadcrumbUpdate} />} />
           <Route path="/section/:sectionId" element={<SectionPage onBreadcrumbUpdate={handleBreadcrumbUpdate} />} />
           <Route path="/pattern/:id" element={<ContentArea onBreadcrumbUpdate={handleBreadcrumbUpdate} />} />
+          <Route path="/practice/:bankId" element={<PracticePage onBreadcrumbUpdate={handleBreadcrumbUpdate} />} />
+          <Route path="/mock-interview" element={<MockInterviewPage onBreadcrumbUpdate={handleBreadcrumbUpdate} />} />
+          <Route path="/bookmarks" element={<BookmarksPage onBreadcrumbUpdate={handleBreadcrumbUpdate} />} />
+          <Route path="/paths" element={<LearningPathsPage onBreadcrumbUpdate={handleBreadcrumbUpdate} />} />
+          <Route path="/paths/:pathId" element={<LearningPathPage onBreadcrumbUpdate={handleBreadcrumbUpdate} />} />
+          <Route path="/graph" element={<TopicGraphPage onBreadcrumbUpdate={handleBreadcrumbUpdate} />} />
+          <Route path="/changelog" element={<ChangelogPage onBreadcrumbUpdate={handleBreadcrumbUpdate} />} />
         </Routes>
 
         <div
@@ -143,6 +189,10 @@ function AppContent({ isSidebarOpen, setIsSidebarOpen, breadcrumb, handleBreadcr
           ↑
         </div>
       </main>
+
+      <UpdateBanner />
+      <KeyboardShortcuts />
+      <CommandPalette />
     </div>
   );
 }
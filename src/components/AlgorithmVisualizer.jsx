@@ -0,0 +1,197 @@
+import React, { useMemo, useState } from 'react';
+import StepControls from './StepControls';
+import { buildVisualization } from '../utils/algorithms';
+import './AlgorithmVisualizer.css';
+
+const includes = (list, index) => Boolean(list?.includes(index));
+
+const ArrayView = ({ step }) => {
+  const max = Math.max(1, ...step.array.map(Math.abs));
+  const pointers = Object.entries(step.pointers || {});
+
+  return (
+    <div className="viz-array">
+      {step.array.map((value, index) => {
+        const outside = step.range && (index < step.range[0] || index > step.range[1]);
+        const state = [
+          outside && 'dimmed',
+          includes(step.sorted, index) && 'sorted',
+          step.pivot === index && 'pivot',
+          includes(step.compare, index) && 'compare',
+          includes(step.swap, index) && 'swap',
+          includes(step.write, index) && 'write',
+          includes(step.found, index) && 'found'
+        ].filter(Boolean).join(' ');
+
+        return (
+          <div key={index} className="viz-array-cell">
+            <div className={`viz-bar ${state}`} style={{ height: `${24 + (Math.abs(value) / max) * 116}px` }}>
+              <span className="viz-bar-value">{value}</span>
+            </div>
+            <div className="viz-index">{index}</div>
+            <div className="viz-pointers">
+              {pointers.filter(([, at]) => at === index).map(([name]) => name).join(' ')}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+const itemState = (step, index) => [
+  includes(step.active, index) && 'active',
+  includes(step.removing, index) && 'removing',
+  step.current === index && 'current'
+].filter(Boolean).join(' ');
+
+const StackView = ({ step }) => (
+  <div className="viz-stack">
+    {step.items.length === 0 && <div className="viz-empty">empty</div>}
+    {step.items.map((value, index) => (
+      <div key={index} className={`viz-item ${itemState(step, index)}`}>
+        {value}
+        {index === step.items.length - 1 && <span className="viz-item-label">top</span>}
+      </div>
+    ))}
+  </div>
+);
+
+const QueueView = ({ step }) => (
+  <div className="viz-queue">
+    {step.items.length === 0 && <div className="viz-empty">empty</div>}
+    {step.items.map((value, index) => (
+      <div key={index} className={`viz-item ${itemState(step, index)}`}>
+        {value}
+        {index === 0 && <span className="viz-item-label">front</span>}
+        {index === step.items.length - 1 && index !== 0 && <span className="viz-item-label">back</span>}
+      </div>
+    ))}
+  </div>
+);
+
+const ListView = ({ step }) => (
+  <div className="viz-list">
+    <span className="viz-list-head">head</span>
+    {step.items.map((value, index) => (
+      <React.Fragment key={index}>
+        <span className="viz-arrow">→</span>
+        <div className={`viz-item ${itemState(step, index)}`}>{value}</div>
+      </React.Fragment>
+    ))}
+    <span className="viz-arrow">→</span>
+    <span className="viz-null">null</span>
+  </div>
+);
+
+const NODE_RADIUS = 18;
+const LEVEL_HEIGHT = 56;
+const COLUMN_WIDTH = 44;
+
+// Nodes spread out by in-order position, one row per depth
+const layoutTree = (nodes, root) => {
+  const positions = new Map();
+  let column = 0;
+
+  const walk = (index, depth) => {
+    if (index === null) return;
+    walk(nodes[index].left, depth + 1);
+    positions.set(index, { x: column++ * COLUMN_WIDTH + COLUMN_WIDTH / 2, y: depth * LEVEL_HEIGHT + NODE_RADIUS + 4 });
+    walk(nodes[index].right, depth + 1);
+  };
+  walk(root, 0);
+
+  const depth = Math.max(0, ...[...positions.values()].map(position => position.y));
+  return { positions, width: Math.max(column, 1) * COLUMN_WIDTH, height: depth + NODE_RADIUS + 4 };
+};
+
+const TreeView = ({ step }) => {
+  if (step.root === null) {
+    return <div className="viz-empty">empty tree</div>;
+  }
+
+  const { positions, width, height } = layoutTree(step.nodes, step.root);
+
+  return (
+    <svg className="viz-tree" viewBox={`0 0 ${width} ${height}`} width={width} role="img" aria-label="Binary search tree">
+      {step.nodes.map((node, index) => ['left', 'right'].map(side => node[side] !== null && (
+        <line
+          key={`${index}-${side}`}
+          x1={positions.get(index).x}
+          y1={positions.get(index).y}
+          x2={positions.get(node[side]).x}
+          y2={positions.get(node[side]).y}
+          className="viz-tree-edge"
+        />
+      )))}
+      {step.nodes.map((node, index) => (
+        <g key={index} className={`viz-tree-node ${itemState(step, index)}`}>
+          <circle cx={positions.get(index).x} cy={positions.get(index).y} r={NODE_RADIUS} />
+          <text x={positions.get(index).x} y={positions.get(index).y + 4}>{node.value}</text>
+        </g>
+      ))}
+    </svg>
+  );
+};
+
+const VIEWS = {
+  array: ArrayView,
+  stack: StackView,
+  queue: QueueView,
+  list: ListView,
+  tree: TreeView
+};
+
+// Renders a ```visualize <algorithm> fence: the algorithm's state at each step,
+// with playback controls and the pseudocode line being run (see utils/algorithms.js)
+const AlgorithmVisualizer = ({ code, meta }) => {
+  const [stepIndex, setStepIndex] = useState(0);
+
+  const { visualization, error } = useMemo(() => {
+    try {
+      return { visualization: buildVisualization(meta.split(/\s+/)[0], code), error: null };
+    } catch (err) {
+      return { visualization: null, error: err };
+    }
+  }, [code, meta]);
+
+  if (error) {
+    return (
+      <div className="algorithm-visualizer viz-error">
+        <p>⚠️ Could not build this visualization: {error.message}</p>
+      </div>
+    );
+  }
+
+  const { algorithm, steps } = visualization;
+  const step = steps[stepIndex];
+  const View = VIEWS[algorithm.view];
+
+  return (
+    <div className="algorithm-visualizer">
+      <div className="viz-header">
+        <h4 className="viz-title">▶️ {algorithm.title}</h4>
+        <span className="viz-step-count">Step {stepIndex + 1} / {steps.length}</span>
+      </div>
+
+      <div className="viz-body">
+        <div className="viz-stage">
+          <View step={step} />
+        </div>
+        <ol className="viz-code">
+          {algorithm.pseudocode.map((line, index) => (
+            <li key={index} className={step.line === index ? 'active' : ''}>
+              <code>{line}</code>
+            </li>
+          ))}
+        </ol>
+      </div>
+
+      <p className={`viz-message ${step.error ? 'error' : ''}`} aria-live="polite">{step.message}</p>
+
+      <StepControls stepIndex={stepIndex} lastStep={steps.length - 1} onStepChange={setStepIndex} />
+    </div>
+  );
+};
+
+export default AlgorithmVisualizer;
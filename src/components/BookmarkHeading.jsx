@@ -0,0 +1,115 @@
+import React, { useState } from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import { toString } from 'hast-util-to-string';
+import { getBookmark, removeBookmark, saveBookmark, useBookmarks } from '../utils/bookmarks';
+import './BookmarkHeading.css';
+
+// An h2/h3 of a topic page that can be bookmarked and carry a personal note.
+// Rendered in place of the plain heading by MarkdownViewer.
+const BookmarkHeading = ({ level, topicId, node, children, ...props }) => {
+  const Tag = `h${level}`;
+  const headingId = props.id;
+  const bookmarks = useBookmarks();
+  const [isOpen, setIsOpen] = useState(false);
+  // Note being edited, or null when not editing
+  const [draft, setDraft] = useState(null);
+
+  if (!topicId || !headingId) {
+    return <Tag {...props}>{children}</Tag>;
+  }
+
+  const bookmark = getBookmark(bookmarks, topicId, headingId);
+  const headingText = node ? toString(node) : headingId;
+
+  const handleBookmarkClick = () => {
+    if (!bookmark) {
+      saveBookmark(topicId, headingId, headingText);
+      setDraft('');
+      setIsOpen(true);
+    } else {
+      setDraft(null);
+      setIsOpen(!isOpen);
+    }
+  };
+
+  const handleSave = () => {
+    saveBookmark(topicId, headingId, headingText, { note: draft.trim() });
+    setDraft(null);
+  };
+
+  const handleRemove = () => {
+    removeBookmark(topicId, headingId);
+    setDraft(null);
+    setIsOpen(false);
+  };
+
+  return (
+    <>
+      <Tag {...props} className={`bookmark-heading ${bookmark ? 'bookmarked' : ''}`}>
+        {bookmark?.note && (
+          <button
+            className="bookmark-note-indicator"
+            onClick={() => setIsOpen(!isOpen)}
+            title="Show my note"
+            aria-label="Show my note"
+          >
+            📝
+          </button>
+        )}
+        <span className="heading-text">{children}</span>
+        <button
+          className="bookmark-toggle"
+          onClick={handleBookmarkClick}
+          title={bookmark ? 'Bookmarked - show note' : 'Bookmark this section'}
+          aria-label={bookmark ? 'Bookmarked - show note' : 'Bookmark this section'}
+          aria-expanded={isOpen}
+        >
+          {bookmark ? '★' : '☆'}
+        </button>
+      </Tag>
+
+      {isOpen && bookmark && (
+        <div className="bookmark-panel">
+          {draft !== null ? (
+            <>
+              <textarea
+                className="bookmark-note-input"
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) handleSave();
+                  if (e.key === 'Escape') setDraft(null);
+                }}
+                placeholder="Add a note (markdown supported)..."
+                autoFocus
+              />
+              <div className="bookmark-panel-actions">
+                <button className="bookmark-button primary" onClick={handleSave}>Save note</button>
+                <button className="bookmark-button" onClick={() => setDraft(null)}>Cancel</button>
+              </div>
+            </>
+          ) : (
+            <>
+              {bookmark.note ? (
+                <div className="bookmark-note">
+                  <ReactMarkdown remarkPlugins={[remarkGfm]}>{bookmark.note}</ReactMarkdown>
+                </div>
+              ) : (
+                <p className="bookmark-empty">Bookmarked. No note yet.</p>
+              )}
+              <div className="bookmark-panel-actions">
+                <button className="bookmark-button primary" onClick={() => setDraft(bookmark.note)}>
+                  {bookmark.note ? 'Edit note' : 'Add note'}
+                </button>
+                <button className="bookmark-button danger" onClick={handleRemove}>Remove bookmark</button>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </>
+  );
+};
+
+export default BookmarkHeading;
@@ -0,0 +1,143 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link } from 'react-router-dom';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import { mainSections, patterns } from '../data/patterns';
+import { exportBookmarks, importBookmarks, removeBookmark, useBookmarks } from '../utils/bookmarks';
+import { downloadJson, readJsonFile } from '../utils/jsonFile';
+import './BookmarksPage.css';
+
+const OTHER_GROUP = { id: null, title: 'General', icon: '📄' };
+
+// Bookmarks grouped as section -> category -> topic, in the registry's order
+const groupBookmarks = (bookmarks) => {
+  const topicOrder = new Map(patterns.map((pattern, index) => [pattern.id, index]));
+  const sorted = Object.values(bookmarks).sort((a, b) => (
+    (topicOrder.get(a.topicId) ?? Infinity) - (topicOrder.get(b.topicId) ?? Infinity) ||
+    // String(): bookmarks imported before imports were checked may lack a date
+    String(a.createdAt).localeCompare(String(b.createdAt))
+  ));
+
+  const groups = [...mainSections, OTHER_GROUP].map(section => ({ section, categories: new Map() }));
+  for (const bookmark of sorted) {
+    const topic = patterns.find(p => p.id === bookmark.topicId);
+    const group = groups.find(g => g.section.id === (topic?.section ?? null)) || groups[groups.length - 1];
+    const category = topic?.category || 'Other';
+
+    if (!group.categories.has(category)) {
+      group.categories.set(category, new Map());
+    }
+    const topics = group.categories.get(category);
+    const topicKey = bookmark.topicId;
+    if (!topics.has(topicKey)) {
+      topics.set(topicKey, { topic, topicId: bookmark.topicId, bookmarks: [] });
+    }
+    topics.get(topicKey).bookmarks.push(bookmark);
+  }
+
+  return groups.filter(group => group.categories.size > 0);
+};
+
+const BookmarksPage = ({ onBreadcrumbUpdate }) => {
+  const bookmarks = useBookmarks();
+  const importInputRef = useRef(null);
+  const [importMessage, setImportMessage] = useState(null);
+  const count = Object.keys(bookmarks).length;
+
+  useEffect(() => {
+    onBreadcrumbUpdate('My Bookmarks');
+  }, [onBreadcrumbUpdate]);
+
+  const handleExport = () => {
+    downloadJson('js-learning-hub-bookmarks.json', exportBookmarks());
+  };
+
+  const handleImport = async (e) => {
+    const [file] = e.target.files;
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const changed = importBookmarks(await readJsonFile(file));
+      setImportMessage({ type: 'success', text: `Imported bookmarks: ${changed} added or updated.` });
+    } catch (err) {
+      setImportMessage({ type: 'error', text: err.message });
+    }
+  };
+
+  return (
+    <div className="bookmarks-page">
+      <div className="bookmarks-header">
+        <div>
+          <h1>🔖 My Bookmarks</h1>
+          <p>Bookmark any heading with the ☆ next to it. Bookmarks and notes are saved in this browser.</p>
+        </div>
+        <div className="bookmarks-actions">
+          <button className="bookmarks-button" onClick={handleExport} disabled={count === 0}>Export JSON</button>
+          <button className="bookmarks-button" onClick={() => importInputRef.current.click()}>Import JSON</button>
+          <input
+            ref={importInputRef}
+            type="file"
+            accept="application/json,.json"
+            onChange={handleImport}
+            hidden
+          />
+        </div>
+        {importMessage && (
+          <p className={`bookmarks-message ${importMessage.type}`}>{importMessage.text}</p>
+        )}
+      </div>
+
+      {count === 0 ? (
+        <div className="empty-state">
+          <h2>No bookmarks yet</h2>
+          <p>Hover a section heading in any topic and click ☆ to bookmark it and add a note.</p>
+        </div>
+      ) : (
+        groupBookmarks(bookmarks).map(({ section, categories }) => (
+          <section key={section.id ?? 'other'} className="bookmarks-section">
+            <h2 className="bookmarks-section-title">{section.icon} {section.title}</h2>
+            {[...categories].map(([category, topics]) => (
+              <div key={category} className="bookmarks-category">
+                <h3 className="bookmarks-category-title">{category}</h3>
+                {[...topics.values()].map(({ topic, topicId, bookmarks: topicBookmarks }) => (
+                  <div key={topicId} className="bookmarks-topic">
+                    <Link to={`/pattern/${topicId}`} className="bookmarks-topic-title">
+                      {topic ? `${topic.icon} ${topic.title}` : topicId}
+                    </Link>
+                    <ul className="bookmarks-list">
+                      {topicBookmarks.map(bookmark => (
+                        <li key={bookmark.headingId} className="bookmark-item">
+                          <div className="bookmark-item-header">
+                            <Link to={`/pattern/${topicId}#${bookmark.headingId}`} className="bookmark-item-link">
+                              {bookmark.headingText}
+                            </Link>
+                            <button
+                              className="bookmark-item-remove"
+                              onClick={() => removeBookmark(topicId, bookmark.headingId)}
+                              title="Remove bookmark"
+                              aria-label="Remove bookmark"
+                            >
+                              ✕
+                            </button>
+                          </div>
+                          {bookmark.note && (
+                            <div className="bookmark-item-note">
+                              <ReactMarkdown remarkPlugins={[remarkGfm]}>{bookmark.note}</ReactMarkdown>
+                            </div>
+                          )}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                ))}
+              </div>
+            ))}
+          </section>
+        ))
+      )}
+    </div>
+  );
+};
+
+export default BookmarksPage;
@@ -0,0 +1,91 @@
+import React, { useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { locales } from '../data/patterns';
+import { changelog, formatDate, getChangedTopics, getDay } from '../utils/contentHistory';
+import { getTopicRoute } from '../utils/contentLinks';
+import { useLocale } from '../utils/i18n';
+import './ChangelogPage.css';
+
+// Topics listed per change; bulk edits list the rest as a count
+const MAX_TOPICS = 12;
+
+// Latest content commits, grouped by the day they were made
+const groupByDay = (entries) => {
+  const days = new Map();
+  for (const entry of entries) {
+    const day = getDay(entry.date);
+    days.set(day, [...(days.get(day) || []), entry]);
+  }
+  return [...days];
+};
+
+const ChangelogPage = ({ onBreadcrumbUpdate }) => {
+  const locale = useLocale();
+
+  useEffect(() => {
+    onBreadcrumbUpdate('Changelog');
+  }, [onBreadcrumbUpdate]);
+
+  return (
+    <div className="changelog-page">
+      <div className="changelog-header">
+        <h1>📝 Changelog</h1>
+        <p>The latest changes to the topic pages, newest first.</p>
+      </div>
+
+      {changelog.length === 0 && (
+        <p className="changelog-empty">No content history is available for this build.</p>
+      )}
+
+      {groupByDay(changelog).map(([day, entries]) => (
+        <section key={day} className="changelog-day">
+          <h2>
+            <time dateTime={day}>{formatDate(day, locale)}</time>
+          </h2>
+          <ul className="changelog-entries">
+            {entries.map(entry => {
+              const topics = getChangedTopics(entry.files);
+
+              return (
+                <li key={entry.hash} className="changelog-entry">
+                  <div className="changelog-entry-header">
+                    <span className="changelog-entry-subject">{entry.subject}</span>
+                    <span className="changelog-entry-meta">
+                      {entry.author} · <code>{entry.hash}</code>
+                    </span>
+                  </div>
+                  <div className="changelog-entry-topics">
+                    {topics.slice(0, MAX_TOPICS).map(({ topic, locale: translation }) => (
+                      <Link
+                        key={`${translation ?? ''}:${topic.id}`}
+                        to={getTopicRoute(topic)}
+                        className="changelog-topic"
+                      >
+                        {topic.icon} {topic.title}
+                        {translation && (
+                          <span className="changelog-topic-locale">
+                            {locales.find(l => l.id === translation)?.name ?? translation}
+                          </span>
+                        )}
+                      </Link>
+                    ))}
+                    {topics.length > MAX_TOPICS && (
+                      <span className="changelog-entry-files">and {topics.length - MAX_TOPICS} more</span>
+                    )}
+                    {topics.length === 0 && (
+                      <span className="changelog-entry-files">
+                        {entry.files.length} page(s) that are no longer part of the site
+                      </span>
+                    )}
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        </section>
+      ))}
+    </div>
+  );
+};
+
+export default ChangelogPage;
@@ -0,0 +1,205 @@
+import React, { useEffect, useRef, useState } from 'react';
+import CodeEditor from './CodeEditor';
+import { runCode, isRunnableLanguage } from '../utils/codeRunner';
+import { getCodeNode, getFenceCode, getFenceMeta, getLanguage, isDiffFence, parseFenceMeta } from '../utils/codeFence';
+import { buildPlaygroundHash, getBlockId, getPlaygroundElementId, parsePlaygroundHash } from '../utils/playgroundHash';
+import { scrollToElement } from '../utils/scroll';
+import './CodeBlock.css';
+
+// Blocks longer than this start folded, unless the fence says `expanded`.
+// A folded block shows about PREVIEW_LINES lines (see .collapsed in CodeBlock.css),
+// so blocks no longer than that never fold.
+const COLLAPSE_LINES = 40;
+const PREVIEW_LINES = 12;
+
+// Snippet shared through the URL hash for this block, if any
+const getSharedCode = (blockId) => {
+  if (typeof window === 'undefined') return null;
+
+  const shared = parsePlaygroundHash(window.location.hash);
+  return shared && shared.blockId === blockId ? shared.code : null;
+};
+
+// Renders a fenced code block (the <pre> element) with copy, run and edit
+// controls, and the title and folding set in its info string
+const CodeBlock = ({ node, children }) => {
+  const codeNode = getCodeNode(node);
+  const originalCode = getFenceCode(node);
+  const language = getLanguage(codeNode);
+  const options = parseFenceMeta(getFenceMeta(codeNode));
+  // A diff's + and - markers are not code
+  const canRun = isRunnableLanguage(language) && !isDiffFence(codeNode);
+  const lineCount = originalCode.split('\n').length;
+  const canCollapse = lineCount > PREVIEW_LINES && (options.collapse ?? lineCount > COLLAPSE_LINES);
+
+  // Position among the page's fences plus a fingerprint of the code identifies
+  // the block in share links (see utils/remarkFenceMeta.js)
+  const blockIndex = codeNode?.properties?.dataBlockIndex;
+  const blockId = blockIndex !== undefined ? getBlockId(blockIndex, originalCode) : null;
+
+  const [isEditing, setIsEditing] = useState(false);
+  const [code, setCode] = useState(originalCode);
+  const [copied, setCopied] = useState(false);
+  const [linkCopied, setLinkCopied] = useState(false);
+  const [output, setOutput] = useState(null);
+  const [isRunning, setIsRunning] = useState(false);
+  const [isCollapsed, setIsCollapsed] = useState(canCollapse);
+  const runnerRef = useRef(null);
+  const wrapperRef = useRef(null);
+
+  // Kill any snippet still running when the block goes away
+  useEffect(() => {
+    return () => runnerRef.current?.stop();
+  }, []);
+
+  // Open a snippet shared through the URL hash in the editor and bring it into
+  // view. This waits until after mount so a prerendered page hydrates with the
+  // original code, as the server rendered it.
+  useEffect(() => {
+    const sharedCode = blockId ? getSharedCode(blockId) : null;
+    if (sharedCode === null) return;
+
+    const frame = requestAnimationFrame(() => {
+      setCode(sharedCode);
+      setIsEditing(true);
+    });
+    const timer = setTimeout(() => {
+      if (wrapperRef.current) {
+        scrollToElement(wrapperRef.current);
+      }
+    }, 200);
+    return () => {
+      cancelAnimationFrame(frame);
+      clearTimeout(timer);
+    };
+  }, [blockId]);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(code);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('Failed to copy code:', err);
+    }
+  };
+
+  const handleRun = async () => {
+    runnerRef.current?.stop();
+    setOutput([]);
+    setIsRunning(true);
+
+    const runner = runCode(code, {
+      onOutput: (entry) => setOutput(prev => [...(prev || []), entry])
+    });
+    runnerRef.current = runner;
+
+    const status = await runner.result;
+    if (status === 'stopped') return;
+
+    runnerRef.current = null;
+    setIsRunning(false);
+  };
+
+  const handleReset = () => {
+    setCode(originalCode);
+    setIsEditing(false);
+
+    // Drop the share hash so a reload shows the original again
+    if (getSharedCode(blockId) !== null) {
+      history.replaceState(null, '', window.location.pathname + window.location.search);
+    }
+  };
+
+  const handleShare = async () => {
+    const hash = buildPlaygroundHash(blockId, code);
+    const url = `${window.location.origin}${window.location.pathname}${hash}`;
+    history.replaceState(null, '', hash);
+
+    try {
+      await navigator.clipboard.writeText(url);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch (err) {
+      console.error('Failed to copy link:', err);
+    }
+  };
+
+  return (
+    <div
+      ref={wrapperRef}
+      id={blockId ? getPlaygroundElementId(blockId) : undefined}
+      className={`code-block-wrapper ${isEditing ? 'editing' : ''} ${options.title ? 'has-title' : ''}`}
+    >
+      {options.title && (
+        <div className="code-block-title">{options.title}</div>
+      )}
+
+      <div className="code-block-actions">
+        {canRun && (
+          <button className="code-action-button run-button" onClick={handleRun} disabled={isRunning}>
+            {isRunning ? 'Running...' : '▶ Run'}
+          </button>
+        )}
+        {isEditing ? (
+          <>
+            {blockId && (
+              <button className="code-action-button" onClick={handleShare}>
+                {linkCopied ? 'Link copied!' : 'Share'}
+              </button>
+            )}
+            <button className="code-action-button" onClick={handleReset}>
+              Reset
+            </button>
+          </>
+        ) : (
+          <button className="code-action-button" onClick={() => setIsEditing(true)}>
+            Edit
+          </button>
+        )}
+        <button className="code-action-button" onClick={handleCopy}>
+          {copied ? 'Copied!' : 'Copy'}
+        </button>
+      </div>
+
+      {isEditing ? (
+        <CodeEditor value={code} language={language} onChange={setCode} />
+      ) : (
+        <div className={`code-block-body ${isCollapsed ? 'collapsed' : ''}`}>
+          <pre>{children}</pre>
+        </div>
+      )}
+
+      {canCollapse && !isEditing && (
+        <button
+          className="code-block-toggle"
+          onClick={() => setIsCollapsed(collapsed => !collapsed)}
+          aria-expanded={!isCollapsed}
+        >
+          {isCollapsed ? `Show all ${lineCount} lines` : 'Show fewer lines'}
+        </button>
+      )}
+
+      {output && (
+        <div className="code-output">
+          <div className="code-output-header">
+            <span>Console</span>
+            <button className="code-output-clear" onClick={() => setOutput(null)} disabled={isRunning}>
+              Clear
+            </button>
+          </div>
+          {output.length === 0 && !isRunning && (
+            <div className="code-output-line muted">No output</div>
+          )}
+          {output.map((entry, index) => (
+            <div key={index} className={`code-output-line ${entry.level}`}>
+              {entry.text}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CodeBlock;
@@ -0,0 +1,107 @@
+import React, { useMemo, useRef } from 'react';
+import hljs from 'highlight.js/lib/core';
+import javascript from 'highlight.js/lib/languages/javascript';
+import './CodeEditor.css';
+
+hljs.registerLanguage('javascript', javascript);
+
+const INDENT = '  ';
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const highlightCode = (code, language) => {
+  if (language && hljs.getLanguage(language)) {
+    return hljs.highlight(code, { language }).value;
+  }
+  return escapeHtml(code);
+};
+
+// Plain textarea layered over a highlighted <pre>, so the text stays editable
+// while the colours come from highlight.js
+const CodeEditor = ({ value, language, onChange }) => {
+  const textareaRef = useRef(null);
+  const lines = value.split('\n');
+  const longestLine = Math.max(...lines.map(line => line.length));
+
+  // A trailing newline needs an extra space or the <pre> collapses the last line
+  const highlighted = useMemo(() => highlightCode(`${value} `, language), [value, language]);
+
+  // Replace the current selection and put the caret back where it belongs
+  const applyEdit = (nextValue, selectionStart, selectionEnd) => {
+    onChange(nextValue);
+    requestAnimationFrame(() => {
+      const textarea = textareaRef.current;
+      if (textarea) {
+        textarea.selectionStart = selectionStart;
+        textarea.selectionEnd = selectionEnd;
+      }
+    });
+  };
+
+  const handleKeyDown = (e) => {
+    const textarea = e.target;
+    const { selectionStart, selectionEnd } = textarea;
+
+    if (e.key === 'Escape') {
+      textarea.blur();
+      return;
+    }
+
+    if (e.key !== 'Tab') return;
+    e.preventDefault();
+
+    const lineStart = value.lastIndexOf('\n', selectionStart - 1) + 1;
+
+    if (e.shiftKey) {
+      // Outdent the current line
+      const removable = value.slice(lineStart, lineStart + INDENT.length).match(/^ */)[0].length;
+      if (removable === 0) return;
+      const nextValue = value.slice(0, lineStart) + value.slice(lineStart + removable);
+      applyEdit(
+        nextValue,
+        Math.max(lineStart, selectionStart - removable),
+        Math.max(lineStart, selectionEnd - removable)
+      );
+      return;
+    }
+
+    const nextValue = value.slice(0, selectionStart) + INDENT + value.slice(selectionEnd);
+    const caret = selectionStart + INDENT.length;
+    applyEdit(nextValue, caret, caret);
+  };
+
+  return (
+    <div className="code-editor">
+      <div className="code-editor-gutter" aria-hidden="true">
+        {lines.map((_, index) => (
+          <div key={index}>{index + 1}</div>
+        ))}
+      </div>
+      <div className="code-editor-body" style={{ width: `max(100%, ${longestLine + 2}ch)` }}>
+        <pre className="code-editor-highlight" aria-hidden="true">
+          <code
+            className={`hljs${language ? ` language-${language}` : ''}`}
+            dangerouslySetInnerHTML={{ __html: highlighted }}
+          />
+        </pre>
+        <textarea
+          ref={textareaRef}
+          className="code-editor-input"
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          onKeyDown={handleKeyDown}
+          spellCheck={false}
+          autoCapitalize="off"
+          autoComplete="off"
+          autoCorrect="off"
+          aria-label="Code editor"
+        />
+      </div>
+    </div>
+  );
+};
+
+export default CodeEditor;
@@ -0,0 +1,30 @@
+import React from 'react';
+import AlgorithmVisualizer from './AlgorithmVisualizer';
+import CodeBlock from './CodeBlock';
+import CoercionExplorer from './CoercionExplorer';
+import EventLoopVisualizer from './EventLoopVisualizer';
+import ScopeVisualizer from './ScopeVisualizer';
+import UmlDiagram from './UmlDiagram';
+import { getCodeNode, getFenceCode, getFenceMeta, getLanguage } from '../utils/codeFence';
+
+// Fence languages drawn as something other than code, e.g. ```uml
+const FENCE_RENDERERS = {
+  coercion: CoercionExplorer,
+  eventloop: EventLoopVisualizer,
+  scope: ScopeVisualizer,
+  uml: UmlDiagram,
+  visualize: AlgorithmVisualizer
+};
+
+// Renders a fenced block (the <pre> element): special languages get their own
+// component, everything else is an interactive CodeBlock
+const CodeFence = (props) => {
+  const codeNode = getCodeNode(props.node);
+  const Renderer = FENCE_RENDERERS[getLanguage(codeNode)];
+  if (Renderer) {
+    return <Renderer code={getFenceCode(props.node)} meta={getFenceMeta(codeNode)} />;
+  }
+  return <CodeBlock {...props} />;
+};
+
+export default CodeFence;
@@ -0,0 +1,63 @@
+import React, { Children, isValidElement, useId } from 'react';
+import { getCodeNode, getFenceMeta, parseFenceMeta } from '../utils/codeFence';
+import { setCodeTab, useCodeTab } from '../utils/codeTabs';
+import './CodeTabs.css';
+
+// Renders a <code-tabs> group (see utils/remarkCodeBlocks.js): consecutive
+// fences with a `tab` option, shown one at a time
+const CodeTabs = ({ node, children }) => {
+  const preferredTab = useCodeTab();
+  const id = useId();
+
+  const labels = (node?.children || [])
+    .filter(child => child.tagName === 'pre')
+    .map(pre => parseFenceMeta(getFenceMeta(getCodeNode(pre))).tab);
+  const panels = Children.toArray(children).filter(isValidElement);
+  const activeIndex = Math.max(labels.indexOf(preferredTab), 0);
+
+  // Arrow keys move between tabs, as in any tablist
+  const handleKeyDown = (e) => {
+    const step = { ArrowRight: 1, ArrowLeft: -1 }[e.key];
+    if (!step) return;
+
+    e.preventDefault();
+    const next = (activeIndex + step + labels.length) % labels.length;
+    setCodeTab(labels[next]);
+    document.getElementById(`${id}-tab-${next}`)?.focus();
+  };
+
+  return (
+    <div className="code-tabs">
+      <div className="code-tabs-list" role="tablist" onKeyDown={handleKeyDown}>
+        {labels.map((label, index) => (
+          <button
+            key={index}
+            id={`${id}-tab-${index}`}
+            className={`code-tab ${index === activeIndex ? 'active' : ''}`}
+            role="tab"
+            aria-selected={index === activeIndex}
+            aria-controls={`${id}-panel-${index}`}
+            tabIndex={index === activeIndex ? 0 : -1}
+            onClick={() => setCodeTab(label)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      {panels.map((panel, index) => (
+        <div
+          key={index}
+          id={`${id}-panel-${index}`}
+          className="code-tabs-panel"
+          role="tabpanel"
+          aria-labelledby={`${id}-tab-${index}`}
+          hidden={index !== activeIndex}
+        >
+          {panel}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default CodeTabs;
@@ -0,0 +1,183 @@
+import React, { useId, useMemo, useState } from 'react';
+import { OPERATORS, evaluateValue, explainOperation, formatLiteral, parseCoercionFence } from '../utils/coercion';
+import './CoercionExplorer.css';
+
+const CUSTOM = '__custom__';
+
+const tryEvaluate = (source) => {
+  try {
+    return { value: evaluateValue(source), error: null };
+  } catch (error) {
+    return { value: undefined, error };
+  }
+};
+
+const describeValue = ({ value, error }) => {
+  if (error) return `⚠️ ${error.message}`;
+  const type = value === null ? 'null' : typeof value;
+  return `${type}: ${formatLiteral(value)}`;
+};
+
+const ValuePicker = ({ label, source, presets, evaluated, onChange }) => {
+  const id = useId();
+  const isPreset = presets.includes(source);
+
+  return (
+    <div className="coercion-picker">
+      <label className="coercion-picker-label" htmlFor={id}>{label}</label>
+      <div className="coercion-picker-inputs">
+        <select
+          value={isPreset ? source : CUSTOM}
+          onChange={(event) => event.target.value !== CUSTOM && onChange(event.target.value)}
+          aria-label={`${label} preset`}
+        >
+          {presets.map(preset => <option key={preset} value={preset}>{preset}</option>)}
+          <option value={CUSTOM}>Custom…</option>
+        </select>
+        <input
+          id={id}
+          type="text"
+          value={source}
+          spellCheck="false"
+          onChange={(event) => onChange(event.target.value)}
+        />
+      </div>
+      <div className={`coercion-picker-type ${evaluated.error ? 'error' : ''}`}>{describeValue(evaluated)}</div>
+    </div>
+  );
+};
+
+// Renders a ```coercion fence: pick two values (presets from the fence body,
+// see utils/coercion.js, or anything typed in) and compare them with every
+// operator, with the spec's abstract operations spelled out for the selected
+// one. Below, the `==` result for every pair of presets; clicking a cell
+// loads that pair. The optional meta text is the title.
+const CoercionExplorer = ({ code, meta }) => {
+  const { presets, start } = useMemo(() => parseCoercionFence(code), [code]);
+  const [leftSource, setLeftSource] = useState(start.left);
+  const [rightSource, setRightSource] = useState(start.right);
+  const [operator, setOperator] = useState(start.operator);
+
+  // Evaluated separately, so `[] == []` compares two different arrays
+  const left = useMemo(() => tryEvaluate(leftSource), [leftSource]);
+  const right = useMemo(() => tryEvaluate(rightSource), [rightSource]);
+  const canCompare = !left.error && !right.error;
+
+  const results = useMemo(() => (
+    canCompare ? OPERATORS.map(({ id }) => explainOperation(id, left.value, right.value)) : []
+  ), [canCompare, left, right]);
+
+  const matrix = useMemo(() => presets.map(rowSource => presets.map(columnSource => {
+    const row = tryEvaluate(rowSource);
+    const column = tryEvaluate(columnSource);
+    return row.error || column.error ? null : explainOperation('==', row.value, column.value).value;
+  })), [presets]);
+
+  const selectPair = (rowSource, columnSource) => {
+    setLeftSource(rowSource);
+    setRightSource(columnSource);
+    setOperator('==');
+  };
+
+  const selectedIndex = OPERATORS.findIndex(({ id }) => id === operator);
+  const selected = results[selectedIndex];
+  const title = meta || 'Type coercion explorer';
+
+  return (
+    <div className="coercion-explorer">
+      <h4 className="coercion-title">⚖️ {title}</h4>
+
+      <div className="coercion-pickers">
+        <ValuePicker label="Left value" source={leftSource} presets={presets} evaluated={left} onChange={setLeftSource} />
+        <ValuePicker label="Right value" source={rightSource} presets={presets} evaluated={right} onChange={setRightSource} />
+      </div>
+
+      {canCompare && (
+        <div className="coercion-layout">
+          <table className="coercion-results">
+            <thead>
+              <tr>
+                <th scope="col">Expression</th>
+                <th scope="col">Result</th>
+              </tr>
+            </thead>
+            <tbody>
+              {OPERATORS.map((op, index) => {
+                const result = results[index];
+                return (
+                  <tr key={op.id} className={`${op.id === operator ? 'selected' : ''} ${result.error ? 'error' : ''}`}>
+                    <td>
+                      <button className="coercion-expression" onClick={() => setOperator(op.id)} aria-pressed={op.id === operator}>
+                        {op.format(leftSource, rightSource)}
+                      </button>
+                    </td>
+                    <td className={`coercion-result ${result.value === true ? 'true' : ''} ${result.value === false ? 'false' : ''}`}>
+                      {result.text}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+
+          <section className="coercion-steps" aria-live="polite">
+            <h5 className="coercion-steps-title">
+              How <code>{OPERATORS[selectedIndex].format(leftSource, rightSource)}</code> is worked out
+            </h5>
+            {selected.steps.length === 0 ? (
+              <p className="coercion-empty">No conversions needed.</p>
+            ) : (
+              <ol className="coercion-trace">
+                {selected.steps.map((step, index) => (
+                  <li key={index} style={{ '--depth': step.depth }} className={step.depth > 0 ? 'nested' : ''}>
+                    {step.text}
+                    {step.result !== null && <span className="coercion-step-result">→ {step.result}</span>}
+                  </li>
+                ))}
+              </ol>
+            )}
+            <p className={`coercion-answer ${selected.error ? 'error' : ''}`}>Result: <code>{selected.text}</code></p>
+          </section>
+        </div>
+      )}
+
+      <details className="coercion-matrix-details" open>
+        <summary><code>==</code> for every pair of presets</summary>
+        <div className="coercion-matrix-scroll">
+          <table className="coercion-matrix">
+            <thead>
+              <tr>
+                <th scope="col" className="coercion-matrix-corner">left ╲ right</th>
+                {presets.map(preset => <th key={preset} scope="col"><code>{preset}</code></th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {presets.map((rowSource, rowIndex) => (
+                <tr key={rowSource}>
+                  <th scope="row"><code>{rowSource}</code></th>
+                  {presets.map((columnSource, columnIndex) => {
+                    const isEqual = matrix[rowIndex][columnIndex];
+                    const isSelected = operator === '==' && rowSource === leftSource && columnSource === rightSource;
+                    return (
+                      <td key={columnSource} className={`${isEqual ? 'true' : ''} ${isSelected ? 'selected' : ''}`}>
+                        <button
+                          onClick={() => selectPair(rowSource, columnSource)}
+                          title={`${rowSource} == ${columnSource} is ${isEqual}`}
+                          aria-label={`${rowSource} == ${columnSource} is ${isEqual}`}
+                        >
+                          {isEqual ? '✓' : ''}
+                        </button>
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </details>
+    </div>
+  );
+};
+
+export default CoercionExplorer;
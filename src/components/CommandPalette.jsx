@@ -0,0 +1,317 @@
+import React, { useEffect, useId, useMemo, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { getQuestionBanks } from '../utils/interviewParser';
+import {
+  getHeadingItems,
+  getInterviewQuestionItems,
+  getNavigationItems,
+  recordRecentCommand,
+  searchCommands,
+  useRecentCommands
+} from '../utils/commandPalette';
+import { loadSearchIndex } from '../utils/search';
+import { resolveTheme, setTheme, useTheme } from '../utils/theme';
+import './CommandPalette.css';
+
+const KIND_LABELS = {
+  action: 'Action',
+  section: 'Section',
+  path: 'Path',
+  topic: 'Topic',
+  heading: 'Heading'
+};
+
+// Title with the matched characters wrapped in <mark>
+const HighlightedText = ({ text, ranges }) => {
+  const parts = [];
+  let cursor = 0;
+  ranges.forEach(([start, end]) => {
+    if (start > cursor) parts.push(text.slice(cursor, start));
+    parts.push(<mark key={start}>{text.slice(start, end)}</mark>);
+    cursor = end;
+  });
+  parts.push(text.slice(cursor));
+  return <>{parts}</>;
+};
+
+// Ctrl/Cmd+K from any route: jump to a topic, section or heading by typing a
+// few letters of it, or run an action. With an empty query it lists recent
+// picks and the actions.
+const CommandPalette = () => {
+  const navigate = useNavigate();
+  const theme = useTheme();
+  const recent = useRecentCommands();
+  const listId = useId();
+
+  const [isOpen, setIsOpen] = useState(false);
+  const [query, setQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [searchIndex, setSearchIndex] = useState(null);
+  const [indexError, setIndexError] = useState(false);
+  const inputRef = useRef(null);
+  const listRef = useRef(null);
+  const returnFocusRef = useRef(null);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        setIsOpen(open => !open);
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  // Headings come from the search index, which loads on first use and is
+  // tried again the next time the palette opens if loading fails
+  useEffect(() => {
+    if (!isOpen || searchIndex) return;
+
+    let cancelled = false;
+    loadSearchIndex()
+      .then(index => {
+        if (cancelled) return;
+        setSearchIndex(index);
+        setIndexError(false);
+      })
+      .catch(err => {
+        console.error('Failed to load the search index:', err);
+        if (!cancelled) setIndexError(true);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, searchIndex]);
+
+  // Focus the input on open and give focus back to where it was on close
+  useEffect(() => {
+    if (!isOpen) return;
+
+    returnFocusRef.current = document.activeElement;
+    inputRef.current?.focus();
+    return () => returnFocusRef.current?.focus?.();
+  }, [isOpen]);
+
+  const navigationItems = useMemo(() => getNavigationItems(), []);
+  const headingItems = useMemo(() => (searchIndex ? getHeadingItems(searchIndex) : []), [searchIndex]);
+  const questionItems = useMemo(() => getInterviewQuestionItems(headingItems), [headingItems]);
+
+  const actions = useMemo(() => [
+    {
+      id: 'action:toggle-theme',
+      title: resolveTheme(theme) === 'dark' ? 'Switch to light theme' : 'Switch to dark theme',
+      icon: resolveTheme(theme) === 'dark' ? '☀️' : '🌙',
+      keywords: 'toggle theme dark light mode',
+      run: () => setTheme(resolveTheme(theme) === 'dark' ? 'light' : 'dark')
+    },
+    {
+      id: 'action:random-question',
+      title: 'Open a random interview question',
+      icon: '🎲',
+      keywords: 'random interview question',
+      isDisabled: questionItems.length === 0,
+      run: () => navigate(questionItems[Math.floor(Math.random() * questionItems.length)].route)
+    },
+    {
+      id: 'action:mock-interview',
+      title: 'Start a mock interview',
+      icon: '⏱️',
+      run: () => navigate('/mock-interview')
+    },
+    ...getQuestionBanks().map(bank => ({
+      id: `action:practice-${bank.id}`,
+      title: `Practice ${bank.title}`,
+      icon: '🃏',
+      keywords: 'flashcards interview questions',
+      run: () => navigate(`/practice/${bank.id}`)
+    })),
+    {
+      id: 'action:home',
+      title: 'Go to home',
+      icon: '🏠',
+      run: () => navigate('/')
+    },
+    {
+      id: 'action:bookmarks',
+      title: 'Go to my bookmarks',
+      icon: '🔖',
+      run: () => navigate('/bookmarks')
+    },
+    {
+      id: 'action:paths',
+      title: 'Go to learning paths',
+      icon: '🧭',
+      run: () => navigate('/paths')
+    },
+    {
+      id: 'action:graph',
+      title: 'Open the topic graph',
+      icon: '🕸️',
+      keywords: 'prerequisites dependencies map',
+      run: () => navigate('/graph')
+    },
+    {
+      id: 'action:changelog',
+      title: 'View the changelog',
+      icon: '📝',
+      keywords: 'recent changes updates history',
+      run: () => navigate('/changelog')
+    }
+  ].map(action => ({ ...action, kind: 'action', subtitle: 'Action' })), [theme, questionItems, navigate]);
+
+  // Without a query: recent picks, then the actions and sections
+  const groups = useMemo(() => {
+    if (query.trim()) {
+      const items = [...actions.filter(action => !action.isDisabled), ...navigationItems, ...headingItems];
+      return [{ title: null, results: searchCommands(items, query) }];
+    }
+
+    const actionsById = new Map(actions.map(action => [action.id, action]));
+    const recentItems = recent
+      .map(entry => (entry.kind === 'action' ? actionsById.get(entry.id) : entry))
+      .filter(item => item && !item.isDisabled);
+    const toResults = (items) => items.map(item => ({ item, ranges: [] }));
+
+    return [
+      { title: 'Recent', results: toResults(recentItems) },
+      { title: 'Actions', results: toResults(actions.filter(action => !action.isDisabled)) },
+      { title: 'Sections', results: toResults(navigationItems.filter(item => item.kind === 'section')) }
+    ].filter(group => group.results.length > 0);
+  }, [query, actions, navigationItems, headingItems, recent]);
+
+  const results = groups.flatMap(group => group.results);
+  const active = Math.min(activeIndex, results.length - 1);
+
+  // Keep the highlighted option in view while moving with the arrow keys
+  useEffect(() => {
+    listRef.current?.querySelector('[aria-selected="true"]')?.scrollIntoView({ block: 'nearest' });
+  }, [active, isOpen]);
+
+  const close = () => {
+    setIsOpen(false);
+    setQuery('');
+    setActiveIndex(0);
+  };
+
+  const select = (item) => {
+    close();
+    recordRecentCommand(item);
+    if (item.run) {
+      item.run();
+    } else {
+      navigate(item.route);
+    }
+  };
+
+  const handleQueryChange = (e) => {
+    setQuery(e.target.value);
+    setActiveIndex(0);
+  };
+
+  const handleKeyDown = (e) => {
+    // Keep these keys away from the app-wide shortcuts and the sidebar
+    e.stopPropagation();
+
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      close();
+    } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (results.length === 0) return;
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setActiveIndex((active + step + results.length) % results.length);
+    } else if (e.key === 'Enter' && results[active]) {
+      e.preventDefault();
+      select(results[active].item);
+    } else if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+      e.preventDefault();
+      close();
+    }
+  };
+
+  if (!isOpen) {
+    return null;
+  }
+
+  // Position of each group's first option in `results`
+  const groupStarts = groups.map((group, i) => groups.slice(0, i).reduce((count, other) => count + other.results.length, 0));
+
+  return (
+    <div className="palette-overlay" onClick={close}>
+      <div
+        className="palette-dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-label="Command palette"
+        onClick={(e) => e.stopPropagation()}
+        onKeyDown={handleKeyDown}
+      >
+        <div className="palette-search">
+          <span className="palette-search-icon" aria-hidden="true">🔍</span>
+          <input
+            ref={inputRef}
+            type="text"
+            value={query}
+            onChange={handleQueryChange}
+            placeholder="Search topics, headings and actions…"
+            role="combobox"
+            aria-expanded="true"
+            aria-controls={listId}
+            aria-autocomplete="list"
+            aria-activedescendant={results[active] ? `${listId}-${active}` : undefined}
+            spellCheck="false"
+          />
+          <kbd>Esc</kbd>
+        </div>
+
+        <div className="palette-results" id={listId} role="listbox" ref={listRef}>
+          {results.length === 0 && (
+            <p className="palette-empty">
+              {query.trim() && !searchIndex
+                ? (indexError ? 'Headings could not be loaded. Check your connection and try again.' : 'Loading headings…')
+                : `Nothing matches "${query.trim()}"`}
+            </p>
+          )}
+          {groups.map((group, groupIndex) => (
+            <div key={group.title ?? 'results'} role="group" aria-label={group.title ?? 'Results'}>
+              {group.title && <div className="palette-group-title">{group.title}</div>}
+              {group.results.map(({ item, ranges }, i) => {
+                const index = groupStarts[groupIndex] + i;
+                return (
+                  <div
+                    key={`${group.title}-${item.id}`}
+                    id={`${listId}-${index}`}
+                    className={`palette-option ${index === active ? 'active' : ''}`}
+                    role="option"
+                    aria-selected={index === active}
+                    onMouseMove={() => index !== active && setActiveIndex(index)}
+                    onClick={() => select(item)}
+                  >
+                    <span className="palette-option-icon" aria-hidden="true">{item.icon}</span>
+                    <span className="palette-option-text">
+                      <span className="palette-option-title"><HighlightedText text={item.title} ranges={ranges} /></span>
+                      {item.subtitle && item.kind !== 'action' && (
+                        <span className="palette-option-subtitle">{item.subtitle}</span>
+                      )}
+                    </span>
+                    <span className={`palette-kind ${item.kind}`}>{KIND_LABELS[item.kind]}</span>
+                  </div>
+                );
+              })}
+            </div>
+          ))}
+        </div>
+
+        <div className="palette-footer">
+          <span><kbd>↑</kbd><kbd>↓</kbd> to move</span>
+          <span><kbd>Enter</kbd> to open</span>
+          <span><kbd>Esc</kbd> to close</span>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CommandPalette;
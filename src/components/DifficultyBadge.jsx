@@ -0,0 +1,19 @@
+import React from 'react';
+import './DifficultyBadge.css';
+
+const DIFFICULTY_LABELS = {
+  beginner: 'Beginner',
+  intermediate: 'Intermediate',
+  advanced: 'Advanced'
+};
+
+// Beginner / intermediate / advanced pill from a topic's frontmatter
+const DifficultyBadge = ({ difficulty }) => {
+  if (!difficulty) {
+    return null;
+  }
+
+  return <span className={`difficulty-badge ${difficulty}`}>{DIFFICULTY_LABELS[difficulty]}</span>;
+};
+
+export default DifficultyBadge;
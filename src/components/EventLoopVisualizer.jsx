@@ -0,0 +1,172 @@
+import React, { useMemo, useState } from 'react';
+import CodeEditor from './CodeEditor';
+import StepControls from './StepControls';
+import { runEventLoop } from '../utils/eventLoop';
+import './EventLoopVisualizer.css';
+
+const PHASES = {
+  script: 'Running the script',
+  microtask: 'Running microtasks',
+  macrotask: 'Running a macrotask',
+  done: 'Finished'
+};
+
+const Panel = ({ title, hint, className = '', children }) => (
+  <section className={`el-panel ${className}`}>
+    <h5 className="el-panel-title">
+      {title}
+      {hint && <span className="el-panel-hint">{hint}</span>}
+    </h5>
+    {children}
+  </section>
+);
+
+const TaskList = ({ items }) => (
+  items.length === 0
+    ? <div className="el-empty">empty</div>
+    : (
+      <ol className="el-tasks">
+        {items.map((item, index) => (
+          <li key={index} className={`el-task ${index === 0 ? 'next' : ''}`}>
+            {item}
+          </li>
+        ))}
+      </ol>
+    )
+);
+
+// Renders an ```eventloop fence: runs the snippet on a simulated event loop
+// (see utils/eventLoop.js) and steps through the call stack, both task queues
+// and the console. The optional meta text is the title. Readers can edit the
+// snippet to try their own.
+const EventLoopVisualizer = ({ code, meta }) => {
+  // The editor changes `draft`; it only runs, as `source`, when the reader
+  // presses Run, so half-typed code is never executed
+  const [source, setSource] = useState(code.trimEnd());
+  const [draft, setDraft] = useState(source);
+  const [isEditing, setIsEditing] = useState(false);
+  const [stepIndex, setStepIndex] = useState(0);
+
+  const { run, error } = useMemo(() => {
+    try {
+      return { run: runEventLoop(source), error: null };
+    } catch (err) {
+      return { run: null, error: err };
+    }
+  }, [source]);
+
+  const runSource = (nextSource) => {
+    setSource(nextSource);
+    setDraft(nextSource);
+    setStepIndex(0);
+  };
+
+  const handleRun = () => {
+    runSource(draft);
+    setIsEditing(false);
+  };
+
+  const handleReset = () => {
+    runSource(code.trimEnd());
+    setIsEditing(false);
+  };
+
+  const title = meta || 'Event loop';
+  const steps = run ? run.steps : [];
+  const step = steps[Math.min(stepIndex, steps.length - 1)];
+
+  return (
+    <div className="event-loop-visualizer">
+      <div className="el-header">
+        <h4 className="el-title">🔄 {title}</h4>
+        <div className="el-header-actions">
+          {step && <span className="el-step-count">Step {stepIndex + 1} / {steps.length}</span>}
+          {isEditing ? (
+            <button className="viz-button" onClick={handleRun} title="Run the edited snippet">▶ Run</button>
+          ) : (
+            <button className="viz-button" onClick={() => setIsEditing(true)}>✏️ Edit</button>
+          )}
+          {(source !== code.trimEnd() || draft !== code.trimEnd()) && (
+            <button className="viz-button" onClick={handleReset} title="Back to the original snippet">↺ Reset</button>
+          )}
+        </div>
+      </div>
+
+      <div className="el-layout">
+        <div className="el-source">
+          {isEditing ? (
+            <CodeEditor value={draft} language="javascript" onChange={setDraft} />
+          ) : (
+            <ol className="el-code">
+              {source.split('\n').map((line, index) => (
+                <li key={index} className={step?.line === index + 1 ? 'active' : ''}>
+                  <code>{line || ' '}</code>
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+
+        {error ? (
+          <div className="el-error" role="alert">
+            ⚠️ Could not run this snippet: {error.message}
+          </div>
+        ) : (
+          <div className="el-panels">
+            <Panel title="Call Stack" className="el-stack-panel">
+              {step.stack.length === 0 ? (
+                <div className="el-empty">empty</div>
+              ) : (
+                <div className="el-stack">
+                  {step.stack.map((frame, index) => (
+                    <div key={index} className={`el-frame ${index === step.stack.length - 1 ? 'top' : ''}`}>{frame}</div>
+                  ))}
+                </div>
+              )}
+            </Panel>
+
+            <Panel title="Console" className="el-console-panel">
+              {step.console.length === 0 ? (
+                <div className="el-empty">no output yet</div>
+              ) : (
+                <ol className="el-console">
+                  {step.console.map((entry, index) => (
+                    <li key={index} className={entry.level}>{entry.text}</li>
+                  ))}
+                </ol>
+              )}
+            </Panel>
+
+            <Panel title="Microtask Queue" hint="promises, await" className="el-micro-panel">
+              <TaskList items={step.microtasks} />
+            </Panel>
+
+            <Panel title="Macrotask Queue" hint="timers" className="el-macro-panel">
+              <TaskList
+                items={step.macrotasks.map(task => (
+                  <>
+                    {task.label}
+                    <span className="el-due">at {task.due}ms</span>
+                  </>
+                ))}
+              />
+            </Panel>
+          </div>
+        )}
+      </div>
+
+      {step && (
+        <>
+          <div className="el-status">
+            <span className={`el-phase ${step.phase}`}>{PHASES[step.phase]}</span>
+            <span className="el-clock" title="Simulated time">⏱ {step.time}ms</span>
+          </div>
+          <p className={`el-message ${step.isError ? 'error' : ''}`} aria-live="polite">{step.message}</p>
+          <StepControls stepIndex={stepIndex} lastStep={steps.length - 1} onStepChange={setStepIndex} />
+        </>
+      )}
+    </div>
+  );
+};
+
+export default EventLoopVisualizer;
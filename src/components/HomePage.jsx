@@ -1,77 +1,184 @@
-import React from 'react';
+import React, { useRef, useState } from 'react';
 import { Link } from 'react-router-dom';
-import { mainSections } from '../data/patterns';
+import { learningPaths, mainSections, getPatternsForSection } from '../data/patterns';
+import { downloadJson, readJsonFile } from '../utils/jsonFile';
+import { formatDate, getRecentlyUpdatedTopics } from '../utils/contentHistory';
+import { getTopicRoute } from '../utils/contentLinks';
+import { getSectionText, getTopicTitle, useTranslation } from '../utils/i18n';
+import { exportProgress, getCompletionStats, importProgress, useProgress } from '../utils/progress';
+import LocaleSwitcher from './LocaleSwitcher';
+import ThemeSwitcher from './ThemeSwitcher';
 import './HomePage.css';
 
+const RECENT_TOPIC_COUNT = 5;
+
 const HomePage = () => {
+  const dsaTopicCount = getPatternsForSection('dsa').length;
+  const recentTopics = getRecentlyUpdatedTopics(RECENT_TOPIC_COUNT);
+  const progress = useProgress();
+  const { locale, t } = useTranslation();
+  const importInputRef = useRef(null);
+  const [importMessage, setImportMessage] = useState(null);
+
+  const handleExport = () => {
+    downloadJson('js-learning-hub-progress.json', exportProgress());
+  };
+
+  const handleImport = async (e) => {
+    const [file] = e.target.files;
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const added = importProgress(await readJsonFile(file));
+      setImportMessage({ type: 'success', text: t('home.imported', { count: added }) });
+    } catch (err) {
+      setImportMessage({ type: 'error', text: err.message });
+    }
+  };
+
   return (
     <div className="homepage">
       <div className="hero">
-        <h1>📚 JavaScript Learning Hub</h1>
-        <p>Your comprehensive guide to master JavaScript, from fundamentals to advanced concepts</p>
+        <LocaleSwitcher className="on-hero" />
+        <ThemeSwitcher className="on-hero" />
+        <h1>{t('home.title')}</h1>
+        <p>{t('home.subtitle')}</p>
       </div>
 
       <div className="homepage-content">
         {/* Main 4 Sections */}
         <section className="main-sections">
-          {mainSections.map((section) => (
-            <Link
-              key={section.id}
-              to={`/section/${section.id}`}
-              className="section-card"
-              style={{ background: section.gradient }}
-            >
-              <div className="section-icon">{section.icon}</div>
-              <h2 className="section-title">{section.title}</h2>
-              <p className="section-description">{section.description}</p>
-              <div className="section-arrow">→</div>
-            </Link>
-          ))}
+          {mainSections.map((section) => {
+            const { done, total } = getCompletionStats(progress, getPatternsForSection(section.id));
+            const { title, description } = getSectionText(section, locale);
+
+            return (
+              <Link
+                key={section.id}
+                to={`/section/${section.id}`}
+                className="section-card"
+                style={{ background: section.gradient }}
+              >
+                <div className="section-icon">{section.icon}</div>
+                <h2 className="section-title">{title}</h2>
+                <p className="section-description">{description}</p>
+                {total > 0 && (
+                  <div className="section-progress">
+                    <div className="section-progress-bar">
+                      <div
+                        className="section-progress-fill"
+                        style={{ width: `${Math.round((done / total) * 100)}%` }}
+                      />
+                    </div>
+                    <span className="section-progress-label">{t('home.sectionProgress', { done, total })}</span>
+                  </div>
+                )}
+                <div className="section-arrow">→</div>
+              </Link>
+            );
+          })}
         </section>
 
+        {/* Learning Paths */}
+        <section className="paths-section">
+          <div>
+            <h2>{t('home.pathsTitle')}</h2>
+            <p>{t('home.pathsText')}</p>
+          </div>
+          <div className="paths-links">
+            {learningPaths.map(learningPath => (
+              <Link key={learningPath.id} to={`/paths/${learningPath.id}`} className="paths-link">
+                {learningPath.icon} {learningPath.title}
+              </Link>
+            ))}
+            <Link to="/graph" className="paths-link">{t('home.topicGraph')}</Link>
+          </div>
+        </section>
+
+        {/* Recently Updated */}
+        {recentTopics.length > 0 && (
+          <section className="recent-section">
+            <h2>{t('home.recentTitle')}</h2>
+            <ul className="recent-topics">
+              {recentTopics.map(({ topic, updated }) => (
+                <li key={topic.id}>
+                  <Link to={getTopicRoute(topic)} className="recent-topic">
+                    <span className="recent-topic-title">{topic.icon} {getTopicTitle(topic, locale)}</span>
+                    <time dateTime={updated}>{formatDate(updated, locale)}</time>
+                  </Link>
+                </li>
+              ))}
+            </ul>
+            <Link to="/changelog" className="recent-changelog-link">{t('home.recentChangelog')} →</Link>
+          </section>
+        )}
+
         {/* Quick Stats */}
         <section className="stats-section">
           <div className="stat-card">
             <div className="stat-number">40+</div>
-            <div className="stat-label">JavaScript Topics</div>
+            <div className="stat-label">{t('home.statJavaScript')}</div>
           </div>
           <div className="stat-card">
             <div className="stat-number">23</div>
-            <div className="stat-label">Design Patterns</div>
+            <div className="stat-label">{t('home.statPatterns')}</div>
           </div>
           <div className="stat-card">
-            <div className="stat-number">Coming Soon</div>
-            <div className="stat-label">DSA Topics</div>
+            <div className="stat-number">{dsaTopicCount || t('home.comingSoon')}</div>
+            <div className="stat-label">{t('home.statDsa')}</div>
           </div>
           <div className="stat-card">
-            <div className="stat-number">Coming Soon</div>
-            <div className="stat-label">System Design</div>
+            <div className="stat-number">{t('home.comingSoon')}</div>
+            <div className="stat-label">{t('home.statSystemDesign')}</div>
+          </div>
+        </section>
+
+        {/* Progress backup */}
+        <section className="progress-section">
+          <div>
+            <h2>{t('home.progressTitle')}</h2>
+            <p>{t('home.progressText')}</p>
+          </div>
+          <div className="progress-actions">
+            <button className="progress-button" onClick={handleExport}>{t('home.export')}</button>
+            <button className="progress-button" onClick={() => importInputRef.current.click()}>{t('home.import')}</button>
+            <input
+              ref={importInputRef}
+              type="file"
+              accept="application/json,.json"
+              onChange={handleImport}
+              hidden
+            />
           </div>
+          {importMessage && (
+            <p className={`progress-message ${importMessage.type}`}>{importMessage.text}</p>
+          )}
         </section>
 
         {/* Features */}
         <section className="features-section">
-          <h2>Why Choose This Platform?</h2>
+          <h2>{t('home.featuresTitle')}</h2>
           <div className="features-grid">
             <div className="feature-item">
               <div className="feature-icon">✨</div>
-              <h3>Comprehensive Content</h3>
-              <p>From basics to advanced topics with real-world examples</p>
+              <h3>{t('home.featureContent')}</h3>
+              <p>{t('home.featureContentText')}</p>
             </div>
             <div className="feature-item">
               <div className="feature-icon">💻</div>
-              <h3>Interactive Code</h3>
-              <p>Syntax highlighted examples with copy-to-clipboard</p>
+              <h3>{t('home.featureCode')}</h3>
+              <p>{t('home.featureCodeText')}</p>
             </div>
             <div className="feature-item">
               <div className="feature-icon">🎯</div>
-              <h3>Interview Ready</h3>
-              <p>Practice questions and answers for interview prep</p>
+              <h3>{t('home.featureInterview')}</h3>
+              <p>{t('home.featureInterviewText')}</p>
             </div>
             <div className="feature-item">
               <div className="feature-icon">📱</div>
-              <h3>Mobile Friendly</h3>
-              <p>Learn anywhere on any device</p>
+              <h3>{t('home.featureMobile')}</h3>
+              <p>{t('home.featureMobileText')}</p>
             </div>
           </div>
         </section>
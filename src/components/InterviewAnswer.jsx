@@ -0,0 +1,28 @@
+import React from 'react';
+import ReactMarkdown from 'react-markdown';
+import rehypeHighlight from 'rehype-highlight';
+import remarkGfm from 'remark-gfm';
+import rehypeCodeLines from '../utils/rehypeCodeLines';
+import remarkCodeBlocks from '../utils/remarkCodeBlocks';
+import remarkFenceMeta from '../utils/remarkFenceMeta';
+import CodeFence from './CodeFence';
+import CodeTabs from './CodeTabs';
+import './InterviewAnswer.css';
+
+// Reference answer of an interview question card, rendered from its markdown
+const InterviewAnswer = ({ markdown }) => (
+  <div className="interview-answer">
+    <ReactMarkdown
+      remarkPlugins={[remarkGfm, remarkFenceMeta, remarkCodeBlocks]}
+      rehypePlugins={[rehypeHighlight, rehypeCodeLines]}
+      components={{
+        pre: CodeFence,
+        'code-tabs': CodeTabs
+      }}
+    >
+      {markdown}
+    </ReactMarkdown>
+  </div>
+);
+
+export default InterviewAnswer;
@@ -0,0 +1,114 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { getAdjacentPatterns } from '../data/patterns';
+import { isTypingTarget } from '../utils/keyboard';
+import './KeyboardShortcuts.css';
+
+// How long after "g" the second key of a "g x" sequence is accepted
+const SEQUENCE_TIMEOUT_MS = 1000;
+
+// "g" followed by one of these keys goes to the route
+const GO_TO_ROUTES = {
+  h: '/',
+  b: '/bookmarks'
+};
+
+const SHORTCUTS = [
+  { keys: ['['], description: 'Previous topic in this section' },
+  { keys: [']'], description: 'Next topic in this section' },
+  { keys: ['g', 'h'], description: 'Go to home' },
+  { keys: ['g', 'b'], description: 'Go to my bookmarks' },
+  { keys: ['Ctrl', 'K'], description: 'Open the command palette' },
+  { keys: ['?'], description: 'Show keyboard shortcuts' },
+  { keys: ['Esc'], description: 'Close this dialog' }
+];
+
+// Global keyboard shortcuts and their help overlay
+const KeyboardShortcuts = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [isHelpOpen, setIsHelpOpen] = useState(false);
+  const pendingGRef = useRef(0);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.ctrlKey || e.metaKey || e.altKey || isTypingTarget(e.target)) return;
+
+      if (e.key === 'Escape') {
+        setIsHelpOpen(false);
+        return;
+      }
+
+      if (e.key === '?') {
+        e.preventDefault();
+        setIsHelpOpen(open => !open);
+        return;
+      }
+
+      // Second key of a "g x" sequence
+      if (Date.now() - pendingGRef.current < SEQUENCE_TIMEOUT_MS) {
+        pendingGRef.current = 0;
+        const route = GO_TO_ROUTES[e.key];
+        if (route) {
+          e.preventDefault();
+          setIsHelpOpen(false);
+          navigate(route);
+        }
+        return;
+      }
+
+      if (e.key === 'g') {
+        pendingGRef.current = Date.now();
+        return;
+      }
+
+      if (e.key === '[' || e.key === ']') {
+        const patternMatch = location.pathname.match(/^\/pattern\/([^/]+)$/);
+        if (!patternMatch) return;
+
+        const { prev, next } = getAdjacentPatterns(decodeURIComponent(patternMatch[1]));
+        const target = e.key === '[' ? prev : next;
+        if (target) {
+          e.preventDefault();
+          navigate(`/pattern/${target.id}`);
+        }
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [navigate, location.pathname]);
+
+  if (!isHelpOpen) {
+    return null;
+  }
+
+  return (
+    <div className="shortcuts-overlay" onClick={() => setIsHelpOpen(false)}>
+      <div
+        className="shortcuts-dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="shortcuts-title"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="shortcuts-header">
+          <h2 id="shortcuts-title">Keyboard shortcuts</h2>
+          <button className="shortcuts-close" onClick={() => setIsHelpOpen(false)} aria-label="Close">✕</button>
+        </div>
+        <ul className="shortcuts-list">
+          {SHORTCUTS.map(shortcut => (
+            <li key={shortcut.description}>
+              <span>{shortcut.description}</span>
+              <span className="shortcut-keys">
+                {shortcut.keys.map(key => <kbd key={key}>{key}</kbd>)}
+              </span>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default KeyboardShortcuts;
@@ -0,0 +1,119 @@
+import React, { useEffect, useMemo } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { getPathTopics, getPrerequisites, learningPaths } from '../data/patterns';
+import { getTopicRoute } from '../utils/contentLinks';
+import { getCompletionStats, getNextTopic, isTopicCompleted, useProgress } from '../utils/progress';
+import DifficultyBadge from './DifficultyBadge';
+import TopicGraph from './TopicGraph';
+import './LearningPathsPage.css';
+import './LearningPathPage.css';
+
+// One learning path: its stages as a checklist, where to continue, and the
+// path's topics as a graph
+const LearningPathPage = ({ onBreadcrumbUpdate }) => {
+  const { pathId } = useParams();
+  const progress = useProgress();
+
+  const learningPath = learningPaths.find(p => p.id === pathId);
+  const topics = useMemo(() => (learningPath ? getPathTopics(learningPath) : []), [learningPath]);
+  const topicIds = useMemo(() => topics.map(topic => topic.id), [topics]);
+
+  useEffect(() => {
+    if (learningPath) {
+      onBreadcrumbUpdate(`Learning Paths / ${learningPath.title}`);
+    }
+  }, [learningPath, onBreadcrumbUpdate]);
+
+  if (!learningPath) {
+    return (
+      <div className="learning-path-page">
+        <div className="loading">
+          <h2>Learning Path Not Found</h2>
+          <p>The learning path "{pathId}" could not be found.</p>
+          <Link to="/paths" className="back-link">← All learning paths</Link>
+        </div>
+      </div>
+    );
+  }
+
+  const { done, total } = getCompletionStats(progress, topics);
+  const next = getNextTopic(progress, topics);
+  // Number of the first topic in each stage, counting across the whole path
+  const stageStarts = learningPath.stages.map((_, i) => (
+    learningPath.stages.slice(0, i).reduce((count, stage) => count + stage.topics.length, 1)
+  ));
+
+  return (
+    <div className="learning-path-page">
+      <div className="learning-path-header">
+        <Link to="/paths" className="learning-path-back">← All learning paths</Link>
+        <h1>{learningPath.icon} {learningPath.title}</h1>
+        <p>{learningPath.description}</p>
+        <div className="learning-path-summary">
+          {learningPath.duration && <span>⏱️ {learningPath.duration}</span>}
+          <span>{total} topics in {learningPath.stages.length} stages</span>
+        </div>
+        <div className="learning-path-progress">
+          <div className="learning-path-progress-bar">
+            <div className="learning-path-progress-fill" style={{ width: `${Math.round((done / total) * 100)}%` }} />
+          </div>
+          <span className="learning-path-progress-label">{done}/{total} completed</span>
+        </div>
+        {next ? (
+          <Link to={getTopicRoute(next)} className="learning-path-continue">
+            {done === 0 ? 'Start' : 'Continue'} with {next.icon} {next.title} →
+          </Link>
+        ) : (
+          <p className="learning-path-finished">🎉 You have completed every topic in this path.</p>
+        )}
+      </div>
+
+      {learningPath.stages.map((stage, stageIndex) => (
+        <section key={stage.title} className="learning-path-stage">
+          <h2>{stage.title}</h2>
+          <ol className="learning-path-topics">
+            {stage.topics.map((id, index) => {
+              const topic = topics.find(t => t.id === id);
+              const completed = isTopicCompleted(progress, id);
+              const missing = getPrerequisites(id).filter(prerequisite => (
+                !topicIds.includes(prerequisite.id) && !isTopicCompleted(progress, prerequisite.id)
+              ));
+
+              return (
+                <li key={id} className={`learning-path-topic ${completed ? 'completed' : ''} ${id === next?.id ? 'next' : ''}`}>
+                  <span className="learning-path-topic-marker" aria-label={completed ? 'Completed' : undefined}>
+                    {completed ? '✓' : stageStarts[stageIndex] + index}
+                  </span>
+                  <div className="learning-path-topic-body">
+                    <Link to={getTopicRoute(topic)} className="learning-path-topic-title">
+                      {topic.icon} {topic.title}
+                    </Link>
+                    {missing.length > 0 && (
+                      <span className="learning-path-topic-needs">
+                        Assumes{' '}
+                        {missing.map((prerequisite, index) => (
+                          <React.Fragment key={prerequisite.id}>
+                            {index > 0 && ', '}
+                            <Link to={getTopicRoute(prerequisite)}>{prerequisite.title}</Link>
+                          </React.Fragment>
+                        ))}
+                      </span>
+                    )}
+                  </div>
+                  <DifficultyBadge difficulty={topic.difficulty} />
+                </li>
+              );
+            })}
+          </ol>
+        </section>
+      ))}
+
+      <section className="learning-path-stage">
+        <h2>How the topics connect</h2>
+        <TopicGraph topicIds={topicIds} includeContext label={`${learningPath.title} topics and their prerequisites`} />
+      </section>
+    </div>
+  );
+};
+
+export default LearningPathPage;
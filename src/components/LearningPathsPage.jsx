@@ -0,0 +1,57 @@
+import React, { useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { getPathTopics, learningPaths } from '../data/patterns';
+import { getCompletionStats, useProgress } from '../utils/progress';
+import './LearningPathsPage.css';
+
+const LearningPathsPage = ({ onBreadcrumbUpdate }) => {
+  const progress = useProgress();
+
+  useEffect(() => {
+    onBreadcrumbUpdate('Learning Paths');
+  }, [onBreadcrumbUpdate]);
+
+  return (
+    <div className="learning-paths-page">
+      <div className="learning-paths-header">
+        <h1>🧭 Learning Paths</h1>
+        <p>Curated routes through the topics, each in an order where every topic comes after what it builds on.</p>
+      </div>
+
+      <div className="learning-paths-grid">
+        {learningPaths.map(learningPath => {
+          const topics = getPathTopics(learningPath);
+          const { done, total } = getCompletionStats(progress, topics);
+
+          return (
+            <Link key={learningPath.id} to={`/paths/${learningPath.id}`} className="learning-path-card">
+              <div className="learning-path-card-icon">{learningPath.icon}</div>
+              <h2 className="learning-path-card-title">{learningPath.title}</h2>
+              <p className="learning-path-card-description">{learningPath.description}</p>
+              <div className="learning-path-card-meta">
+                {learningPath.duration && <span>⏱️ {learningPath.duration}</span>}
+                <span>{total} topics</span>
+              </div>
+              <div className="learning-path-progress">
+                <div className="learning-path-progress-bar">
+                  <div className="learning-path-progress-fill" style={{ width: `${Math.round((done / total) * 100)}%` }} />
+                </div>
+                <span className="learning-path-progress-label">{done}/{total} completed</span>
+              </div>
+            </Link>
+          );
+        })}
+
+        <Link to="/graph" className="learning-path-card graph">
+          <div className="learning-path-card-icon">🕸️</div>
+          <h2 className="learning-path-card-title">Explore the Topic Graph</h2>
+          <p className="learning-path-card-description">
+            Every topic and its prerequisites in one picture, with the ones you have completed highlighted.
+          </p>
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default LearningPathsPage;
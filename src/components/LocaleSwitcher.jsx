@@ -0,0 +1,31 @@
+import React from 'react';
+import { useLocation } from 'react-router-dom';
+import { locales } from '../data/patterns';
+import { localizePath, useTranslation } from '../utils/i18n';
+import './LocaleSwitcher.css';
+
+// Switches to the same page in another language. Each locale has its own
+// router basename, so this is a full page load rather than a route change.
+const LocaleSwitcher = ({ className = '' }) => {
+  const { locale, t } = useTranslation();
+  const location = useLocation();
+
+  if (locales.length < 2) return null;
+
+  const handleChange = (e) => {
+    window.location.assign(localizePath(location.pathname, e.target.value) + location.search + location.hash);
+  };
+
+  return (
+    <label className={`locale-switcher ${className}`} title={t('locale.label')}>
+      <span aria-hidden="true">🌐</span>
+      <select value={locale} onChange={handleChange} aria-label={t('locale.label')}>
+        {locales.map(option => (
+          <option key={option.id} value={option.id} lang={option.id}>{option.name}</option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default LocaleSwitcher;
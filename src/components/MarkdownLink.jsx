@@ -0,0 +1,54 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { resolveContentLink } from '../utils/contentLinks';
+import './MarkdownLink.css';
+
+// Renders a link in a content page, resolved against the markdown file it
+// appears in: topic pages go through the router, other sites open in a new
+// tab, and targets missing from the registry are shown as broken. Other
+// attributes from the markdown (ids, classes, aria-* and data-* on footnote
+// references) are kept.
+const MarkdownLink = ({ file, href, title, className, children, ...attributes }) => {
+  // react-markdown's hast node is not an attribute
+  delete attributes.node;
+  const link = resolveContentLink(file, href);
+  const withClass = (extraClass) => [className, extraClass].filter(Boolean).join(' ');
+
+  switch (link.type) {
+    case 'route':
+      return <Link {...attributes} to={link.to} title={title} className={className}>{children}</Link>;
+
+    case 'external':
+      return link.newTab ? (
+        <a
+          {...attributes}
+          href={link.href}
+          target="_blank"
+          rel="noopener noreferrer"
+          className={withClass('external-link')}
+          title={title ?? 'Opens in a new tab'}
+        >
+          {children}
+        </a>
+      ) : (
+        <a {...attributes} href={link.href} title={title} className={className}>{children}</a>
+      );
+
+    case 'broken':
+      return (
+        <a
+          {...attributes}
+          className={withClass('broken-link')}
+          aria-disabled="true"
+          title={`Broken link: ${link.target || 'no target'} is not part of this site`}
+        >
+          {children}
+        </a>
+      );
+
+    default:
+      return <a {...attributes} href={link.href} title={title} className={className}>{children}</a>;
+  }
+};
+
+export default MarkdownLink;
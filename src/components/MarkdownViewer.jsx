@@ -1,66 +1,70 @@
-import React, { useEffect, useState, useRef, useCallback } from 'react';
-import { useNavigate } from 'react-router-dom';
+import React, { useEffect, useState, useRef, useMemo } from 'react';
+import { Link, useLocation } from 'react-router-dom';
 import ReactMarkdown from 'react-markdown';
 import rehypeHighlight from 'rehype-highlight';
 import rehypeSlug from 'rehype-slug';
 import rehypeRaw from 'rehype-raw';
 import remarkGfm from 'remark-gfm';
-import 'highlight.js/styles/github-dark.css';
 import { patterns } from '../data/patterns';
+import { fetchContent, getCachedContent } from '../utils/content';
+import { getTopicRoute } from '../utils/contentLinks';
+import { DEFAULT_LOCALE, getTopicTranslation, useTranslation } from '../utils/i18n';
+import { INTERVIEW_CATEGORY, getQuestionBank } from '../utils/interviewParser';
+import { getPlaygroundElementId, parsePlaygroundHash } from '../utils/playgroundHash';
+import rehypeCodeLines from '../utils/rehypeCodeLines';
+import remarkCodeBlocks from '../utils/remarkCodeBlocks';
+import remarkFenceMeta from '../utils/remarkFenceMeta';
+import { scrollToId } from '../utils/scroll';
+import BookmarkHeading from './BookmarkHeading';
+import CodeFence from './CodeFence';
+import CodeTabs from './CodeTabs';
+import MarkdownLink from './MarkdownLink';
+import TableOfContents from './TableOfContents';
+import TopicCompletion from './TopicCompletion';
+import TopicHistory from './TopicHistory';
+import TopicNavigation from './TopicNavigation';
+import TopicPrerequisites from './TopicPrerequisites';
 import './MarkdownViewer.css';
 
 const MarkdownViewer = ({ file, onBreadcrumbUpdate }) => {
-  const [content, setContent] = useState('');
-  const [loading, setLoading] = useState(true);
+  const topic = patterns.find(p => p.file === file);
+  const questionBank = topic ? getQuestionBank(topic.id) : null;
+  const topicId = topic?.id;
+  // The translation into the current locale if there is one, else the English file
+  const { locale, t } = useTranslation();
+  const translation = topicId ? getTopicTranslation(locale, topicId) : null;
+  const contentFile = translation?.file ?? file;
+  const englishRoute = topic ? getTopicRoute(topic) : null;
+
+  // Content already loaded (or prerendered) renders straight away
+  const [content, setContent] = useState(() => getCachedContent(contentFile) ?? '');
+  const [loading, setLoading] = useState(() => getCachedContent(contentFile) === undefined);
   const [error, setError] = useState(null);
+  const [headings, setHeadings] = useState([]);
+  const [hasStaleShare, setHasStaleShare] = useState(false);
   const contentRef = useRef(null);
-  const navigate = useNavigate();
-
-  // Convert markdown file path to React Router path
-  const convertFilePathToRoute = useCallback((filePath) => {
-    // Split off any hash anchor
-    const [pathPart, hashPart] = filePath.split('#');
-
-    // Clean the path - remove ./ and resolve ../
-    let cleanPath = pathPart.replace(/^\.\//, '');
-
-    // Handle ../ by resolving relative to current file
-    if (cleanPath.startsWith('../')) {
-      const currentDir = file.substring(0, file.lastIndexOf('/'));
-      cleanPath = cleanPath.replace(/^\.\.\//, '');
-    }
-
-    // Find pattern by file path
-    const pattern = patterns.find(p => p.file === cleanPath);
-
-    if (pattern) {
-      let route = pattern.id === 'overview' ? '/' : `/pattern/${pattern.id}`;
-
-      // Add hash if present
-      if (hashPart) {
-        route += `#${hashPart}`;
-      }
-
-      return route;
-    }
-
-    return null;
-  }, [file]);
+  const location = useLocation();
+
+  // h2/h3 headings can be bookmarked with a note; links resolve relative to the
+  // English file, which translations mirror
+  const markdownComponents = useMemo(() => ({
+    pre: CodeFence,
+    'code-tabs': CodeTabs,
+    a: (props) => <MarkdownLink file={file} {...props} />,
+    h2: (props) => <BookmarkHeading level={2} topicId={topicId} {...props} />,
+    h3: (props) => <BookmarkHeading level={3} topicId={topicId} {...props} />
+  }), [file, topicId]);
 
   useEffect(() => {
     const loadMarkdown = async () => {
       try {
-        setLoading(true);
-        setError(null);
-
-        const response = await fetch(`/content/${file}`);
-
-        if (!response.ok) {
-          throw new Error(`File not found: /content/${file} (${response.status})`);
+        const cached = getCachedContent(contentFile);
+        if (cached === undefined) {
+          setLoading(true);
         }
+        setError(null);
 
-        const text = await response.text();
-        setContent(text);
+        setContent(cached ?? await fetchContent(contentFile));
 
         // Update breadcrumb
         if (onBreadcrumbUpdate) {
@@ -78,53 +82,22 @@ const MarkdownViewer = ({ file, onBreadcrumbUpdate }) => {
       }
     };
 
-    if (file) {
+    if (contentFile) {
       loadMarkdown();
     }
-  }, [file]);
+  }, [contentFile]);
 
-  // Handle anchor link clicks for table of contents AND internal markdown links
+  // Handle anchor link clicks for table of contents and in-page #links.
+  // Links to other pages are router <Link>s (see MarkdownLink).
   useEffect(() => {
     const handleAnchorClick = (e) => {
-      const target = e.target;
+      const target = e.target.closest('a');
 
-      // Check if clicked element is an anchor link
-      if (target.tagName === 'A') {
+      if (target) {
         const href = target.getAttribute('href');
 
         if (!href) return;
 
-        // Handle internal markdown file links (e.g., ./creational/singleton.md)
-        if (href.endsWith('.md') || href.includes('.md#')) {
-          e.preventDefault();
-
-          const route = convertFilePathToRoute(href);
-
-          if (route) {
-            // Check if route has hash
-            if (route.includes('#')) {
-              const [path, hash] = route.split('#');
-              navigate(path);
-
-              // Scroll to hash after navigation
-              setTimeout(() => {
-                const element = document.getElementById(hash);
-                if (element) {
-                  const elementPosition = element.getBoundingClientRect().top;
-                  const offsetPosition = elementPosition + window.pageYOffset - 80;
-                  window.scrollTo({
-                    top: offsetPosition,
-                    behavior: 'smooth'
-                  });
-                }
-              }, 300);
-            } else {
-              navigate(route);
-            }
-          }
-          return;
-        }
-
         // Handle anchor links for table of contents (e.g., #section-name)
         if (href.startsWith('#')) {
           e.preventDefault();
@@ -132,18 +105,7 @@ const MarkdownViewer = ({ file, onBreadcrumbUpdate }) => {
 
           // Small delay to ensure DOM is ready
           setTimeout(() => {
-            const element = document.getElementById(targetId);
-            if (element) {
-              // Get the element's position
-              const elementPosition = element.getBoundingClientRect().top;
-              const offsetPosition = elementPosition + window.pageYOffset - 80; // 80px offset for header
-
-              // Smooth scroll to the element
-              window.scrollTo({
-                top: offsetPosition,
-                behavior: 'smooth'
-              });
-
+            if (scrollToId(targetId)) {
               // Update URL hash without scrolling
               history.replaceState(null, null, `#${targetId}`);
             }
@@ -157,26 +119,51 @@ const MarkdownViewer = ({ file, onBreadcrumbUpdate }) => {
       contentElement.addEventListener('click', handleAnchorClick);
       return () => contentElement.removeEventListener('click', handleAnchorClick);
     }
-  }, [content, navigate, convertFilePathToRoute]);
+  }, [content]);
 
-  // Scroll to hash on load
+  // Scroll to hash on load, and again when a link (e.g. a search result) changes it
   useEffect(() => {
-    if (!loading && window.location.hash) {
-      const targetId = window.location.hash.slice(1);
-      setTimeout(() => {
-        const element = document.getElementById(targetId);
-        if (element) {
-          const elementPosition = element.getBoundingClientRect().top;
-          const offsetPosition = elementPosition + window.pageYOffset - 80;
-          window.scrollTo({
-            top: offsetPosition,
-            behavior: 'smooth'
-          });
-        }
-      }, 200);
+    if (!loading && location.hash) {
+      const targetId = decodeURIComponent(location.hash.slice(1));
+      setTimeout(() => scrollToId(targetId), 200);
     }
+  }, [loading, content, location.hash]);
+
+  // Collect the rendered h2/h3 headings for the "On this page" navigation
+  useEffect(() => {
+    if (loading) return;
+
+    const frame = requestAnimationFrame(() => {
+      const elements = contentRef.current?.querySelectorAll('h2[id], h3[id]') || [];
+      setHeadings([...elements].map(element => ({
+        id: element.id,
+        // Leave out the bookmark controls rendered inside the heading
+        text: (element.querySelector('.heading-text') || element).textContent,
+        level: Number(element.tagName[1])
+      })));
+    });
+    return () => cancelAnimationFrame(frame);
   }, [loading, content]);
 
+  // A shared snippet whose block is gone: the page's code blocks changed since
+  // the link was made (see utils/playgroundHash.js)
+  useEffect(() => {
+    if (loading) return;
+
+    const shared = parsePlaygroundHash(location.hash);
+    if (!shared) return;
+
+    const frame = requestAnimationFrame(() => {
+      setHasStaleShare(!document.getElementById(getPlaygroundElementId(shared.blockId)));
+    });
+    return () => cancelAnimationFrame(frame);
+  }, [loading, content, location.hash]);
+
+  const dismissStaleShare = () => {
+    setHasStaleShare(false);
+    history.replaceState(null, '', window.location.pathname + window.location.search);
+  };
+
   const updateBreadcrumb = (file) => {
     let breadcrumbText = 'Home';
 
@@ -198,44 +185,6 @@ const MarkdownViewer = ({ file, onBreadcrumbUpdate }) => {
     }
   };
 
-  // Copy code functionality
-  const handleCopyCode = async (code) => {
-    try {
-      await navigator.clipboard.writeText(code);
-    } catch (err) {
-      console.error('Failed to copy code:', err);
-    }
-  };
-
-  // Custom code block component with copy button
-  const CodeBlock = ({ node, inline, className, children, ...props }) => {
-    const [copied, setCopied] = useState(false);
-    const codeString = String(children).replace(/\n$/, '');
-
-    const handleCopy = async () => {
-      await handleCopyCode(codeString);
-      setCopied(true);
-      setTimeout(() => setCopied(false), 2000);
-    };
-
-    if (inline) {
-      return <code className={className} {...props}>{children}</code>;
-    }
-
-    return (
-      <div className="code-block-wrapper">
-        <button className="copy-button" onClick={handleCopy}>
-          {copied ? 'Copied!' : 'Copy'}
-        </button>
-        <pre>
-          <code className={className} {...props}>
-            {children}
-          </code>
-        </pre>
-      </div>
-    );
-  };
-
   if (loading) {
     return <div className="loading">Loading...</div>;
   }
@@ -244,7 +193,7 @@ const MarkdownViewer = ({ file, onBreadcrumbUpdate }) => {
     return (
       <div className="loading">
         <h2>Error Loading Content</h2>
-        <p>Could not load {file}</p>
+        <p>Could not load {contentFile}</p>
         <p style={{ color: 'var(--danger)' }}>{error}</p>
         <p style={{ fontSize: '0.875rem', marginTop: '1rem' }}>
           Check the browser console for more details.
@@ -258,16 +207,49 @@ const MarkdownViewer = ({ file, onBreadcrumbUpdate }) => {
   }
 
   return (
-    <div ref={contentRef} className="markdown-content">
-      <ReactMarkdown
-        remarkPlugins={[remarkGfm]}
-        rehypePlugins={[rehypeSlug, rehypeHighlight, rehypeRaw]}
-        components={{
-          code: CodeBlock
-        }}
-      >
-        {content}
-      </ReactMarkdown>
+    <div className="markdown-layout">
+      <TableOfContents headings={headings} />
+      <div ref={contentRef} className="markdown-content">
+        {topic?.category === INTERVIEW_CATEGORY && (
+          <div className="practice-banners">
+            {questionBank && (
+              <Link to={`/practice/${questionBank.id}`} className="practice-banner">
+                <span>🃏 Practice these questions as flashcards</span>
+                <span className="practice-banner-arrow">→</span>
+              </Link>
+            )}
+            <Link to="/mock-interview" className="practice-banner">
+              <span>🎤 Take a timed mock interview</span>
+              <span className="practice-banner-arrow">→</span>
+            </Link>
+          </div>
+        )}
+        {topic && locale !== DEFAULT_LOCALE && (!translation || translation.outdated) && (
+          <div className={`translation-notice ${translation ? 'outdated' : ''}`}>
+            {translation && <span className="translation-badge">{t('topic.outdated')}</span>}
+            <span>{t(translation ? 'topic.outdatedText' : 'topic.untranslated')}</span>
+            {/* The English page has no locale prefix, so this leaves the router's basename */}
+            {translation && <a href={englishRoute} lang={DEFAULT_LOCALE}>{t('topic.readEnglish')} →</a>}
+          </div>
+        )}
+        {hasStaleShare && (
+          <div className="translation-notice outdated" role="status">
+            <span>{t('topic.staleShare')}</span>
+            <button className="notice-dismiss" onClick={dismissStaleShare}>{t('topic.dismiss')}</button>
+          </div>
+        )}
+        <TopicHistory file={contentFile} />
+        {topic?.section && <TopicPrerequisites topic={topic} />}
+        <ReactMarkdown
+          remarkPlugins={[remarkGfm, remarkFenceMeta, remarkCodeBlocks]}
+          rehypePlugins={[rehypeSlug, rehypeHighlight, rehypeCodeLines, rehypeRaw]}
+          components={markdownComponents}
+        >
+          {content}
+        </ReactMarkdown>
+        {topic?.section && <TopicCompletion topicId={topic.id} />}
+        {topic && <TopicNavigation topicId={topic.id} />}
+      </div>
     </div>
   );
 };
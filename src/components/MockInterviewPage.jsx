@@ -0,0 +1,352 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { fetchContent } from '../utils/content';
+import { getQuestionBank, getQuestionBanks, getTopicPattern, parseQuestionBank } from '../utils/interviewParser';
+import {
+  DEFAULT_SETTINGS,
+  QUESTION_COUNTS,
+  TIME_LIMITS,
+  formatDuration,
+  formatScore,
+  getOverallScore,
+  pickQuestions,
+  recordSession,
+  scoreQuestion,
+  summarizeByBank,
+  useInterviewHistory
+} from '../utils/mockInterview';
+import InterviewAnswer from './InterviewAnswer';
+import './PracticePage.css';
+import './MockInterviewPage.css';
+
+const loadCards = async (bankIds) => {
+  const banks = bankIds.map(getQuestionBank).filter(Boolean);
+  const cardsPerBank = await Promise.all(
+    banks.map(async bank => parseQuestionBank(await fetchContent(bank.file), bank.id))
+  );
+  return cardsPerBank.flat();
+};
+
+// Where to read up on a question afterwards: its pattern page, or the question itself
+const getReviewLink = (card) => {
+  const pattern = getTopicPattern(card.topic);
+  return pattern
+    ? { to: `/pattern/${pattern.id}`, label: pattern.title }
+    : { to: `/pattern/${card.bankId}#${card.anchor}`, label: 'Reference answer' };
+};
+
+const MockInterviewPage = ({ onBreadcrumbUpdate }) => {
+  const history = useInterviewHistory();
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  // setup -> answering <-> reviewing -> summary
+  const [phase, setPhase] = useState('setup');
+  const [questions, setQuestions] = useState([]);
+  const [index, setIndex] = useState(0);
+  const [deadline, setDeadline] = useState(null);
+  const [now, setNow] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const current = questions[index];
+  const remaining = deadline ? Math.max(0, Math.ceil((deadline - now) / 1000)) : 0;
+
+  useEffect(() => {
+    onBreadcrumbUpdate('Interview Questions / Mock Interview');
+  }, [onBreadcrumbUpdate]);
+
+  const updateCurrent = (changes) => {
+    setQuestions(prev => prev.map((question, i) => (i === index ? { ...question, ...changes } : question)));
+  };
+
+  const revealAnswer = (timedOut) => {
+    updateCurrent({
+      timedOut,
+      timeUsed: settings.timeLimit - Math.max(0, Math.ceil((deadline - Date.now()) / 1000))
+    });
+    setPhase('reviewing');
+  };
+
+  // Countdown for the question being answered; time up reveals the answer
+  useEffect(() => {
+    if (phase !== 'answering') return;
+
+    const timer = setInterval(() => {
+      const time = Date.now();
+      setNow(time);
+      if (time >= deadline) {
+        setQuestions(prev => prev.map((question, i) => (
+          i === index ? { ...question, timedOut: true, timeUsed: settings.timeLimit } : question
+        )));
+        setPhase('reviewing');
+      }
+    }, 250);
+    return () => clearInterval(timer);
+  }, [phase, deadline, index, settings.timeLimit]);
+
+  const startQuestion = (questionIndex) => {
+    const time = Date.now();
+    setIndex(questionIndex);
+    setNow(time);
+    setDeadline(time + settings.timeLimit * 1000);
+    setPhase('answering');
+  };
+
+  const handleStart = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const cards = await loadCards(settings.bankIds);
+      const picked = pickQuestions(cards, settings.questionCount);
+      setQuestions(picked.map(card => ({ card, answer: '', checked: [], timeUsed: 0, timedOut: false })));
+      startQuestion(0);
+    } catch (err) {
+      console.error('Error loading interview questions:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleNext = () => {
+    if (index + 1 < questions.length) {
+      startQuestion(index + 1);
+    } else {
+      recordSession(questions);
+      setPhase('summary');
+    }
+  };
+
+  const toggleChecked = (pointIndex) => {
+    const checked = current.checked.includes(pointIndex)
+      ? current.checked.filter(i => i !== pointIndex)
+      : [...current.checked, pointIndex];
+    updateCurrent({ checked });
+  };
+
+  const toggleBank = (bankId) => {
+    setSettings(prev => ({
+      ...prev,
+      bankIds: prev.bankIds.includes(bankId)
+        ? prev.bankIds.filter(id => id !== bankId)
+        : [...prev.bankIds, bankId]
+    }));
+  };
+
+  const header = (
+    <div className="practice-header">
+      <div>
+        <h1 className="practice-title">🎤 Mock Interview</h1>
+        <p className="practice-subtitle">Timed questions from the design pattern interview banks</p>
+      </div>
+      {phase !== 'setup' && phase !== 'summary' && (
+        <span className="mock-counter">Question {index + 1} of {questions.length}</span>
+      )}
+    </div>
+  );
+
+  if (phase === 'setup') {
+    return (
+      <div className="practice-page">
+        {header}
+        <div className="mock-setup">
+          <div className="mock-option">
+            <span className="mock-option-label">Questions</span>
+            <div className="mock-choices">
+              {QUESTION_COUNTS.map(count => (
+                <button
+                  key={count}
+                  className={`mock-choice ${settings.questionCount === count ? 'active' : ''}`}
+                  onClick={() => setSettings(prev => ({ ...prev, questionCount: count }))}
+                >
+                  {count}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="mock-option">
+            <span className="mock-option-label">Time per question</span>
+            <div className="mock-choices">
+              {TIME_LIMITS.map(seconds => (
+                <button
+                  key={seconds}
+                  className={`mock-choice ${settings.timeLimit === seconds ? 'active' : ''}`}
+                  onClick={() => setSettings(prev => ({ ...prev, timeLimit: seconds }))}
+                >
+                  {formatDuration(seconds)}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="mock-option">
+            <span className="mock-option-label">Question banks</span>
+            <div className="mock-choices">
+              {getQuestionBanks().map(bank => (
+                <label key={bank.id} className="mock-bank">
+                  <input
+                    type="checkbox"
+                    checked={settings.bankIds.includes(bank.id)}
+                    onChange={() => toggleBank(bank.id)}
+                  />
+                  {bank.icon} {bank.title}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          {error && <p className="mock-error">{error}</p>}
+
+          <button
+            className="practice-button primary"
+            onClick={handleStart}
+            disabled={loading || settings.bankIds.length === 0}
+          >
+            {loading ? 'Preparing...' : 'Start interview'}
+          </button>
+        </div>
+
+        {history.length > 0 && (
+          <div className="mock-history">
+            <h2>Past sessions</h2>
+            <ul>
+              {history.map(entry => (
+                <li key={entry.date}>
+                  <span>{new Date(entry.date).toLocaleString()}</span>
+                  <span>{entry.questionCount} questions</span>
+                  <span className="mock-score">{formatScore(entry.score)}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  if (phase === 'summary') {
+    const byBank = summarizeByBank(questions);
+
+    return (
+      <div className="practice-page">
+        {header}
+        <div className="practice-panel">
+          <h2>Interview complete</h2>
+          <div className="practice-stats">
+            <div className="practice-stat">
+              <span className="practice-stat-value">{formatScore(getOverallScore(questions))}</span>
+              <span className="practice-stat-label">Overall</span>
+            </div>
+            {byBank.map(group => (
+              <div key={group.bankId} className="practice-stat">
+                <span className="practice-stat-value">{formatScore(group.score)}</span>
+                <span className="practice-stat-label">
+                  {getQuestionBank(group.bankId)?.title} ({group.questions.length})
+                </span>
+              </div>
+            ))}
+          </div>
+          <div className="practice-actions">
+            <button className="practice-button primary" onClick={() => setPhase('setup')}>
+              New interview
+            </button>
+          </div>
+        </div>
+
+        <ol className="mock-results">
+          {questions.map(question => {
+            const review = getReviewLink(question.card);
+
+            return (
+              <li key={question.card.id} className="mock-result">
+                <div className="mock-result-question">
+                  <span className="flashcard-topic">{getQuestionBank(question.card.bankId)?.title}</span>
+                  <p>{question.card.question}</p>
+                  {question.timedOut && <span className="mock-timed-out">Ran out of time</span>}
+                </div>
+                <span className="mock-score">{formatScore(scoreQuestion(question))}</span>
+                <Link to={review.to} className="practice-link">{review.label} →</Link>
+              </li>
+            );
+          })}
+        </ol>
+      </div>
+    );
+  }
+
+  const { card } = current;
+  const checklist = card.checklist.length > 0 ? card.checklist : ['My answer covered the reference answer'];
+  const isReviewing = phase === 'reviewing';
+
+  return (
+    <div className="practice-page">
+      {header}
+
+      <div className="mock-question">
+        <div className="mock-question-header">
+          {card.topic && <span className="flashcard-topic">{card.topic}</span>}
+          <span className={`mock-timer ${!isReviewing && remaining <= 15 ? 'warning' : ''}`}>
+            {isReviewing ? `${formatDuration(current.timeUsed)} used` : formatDuration(remaining)}
+          </span>
+        </div>
+        <h2 className="flashcard-question">{card.question}</h2>
+
+        <textarea
+          key={card.id}
+          className="mock-answer-input"
+          value={current.answer}
+          onChange={(e) => updateCurrent({ answer: e.target.value })}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter' && (e.metaKey || e.ctrlKey) && !isReviewing) {
+              revealAnswer(false);
+            }
+          }}
+          placeholder="Type your answer as you would explain it in the interview..."
+          readOnly={isReviewing}
+          autoFocus
+        />
+
+        {!isReviewing && (
+          <div className="practice-actions">
+            <button className="practice-button primary" onClick={() => revealAnswer(false)}>
+              Submit answer
+            </button>
+          </div>
+        )}
+      </div>
+
+      {isReviewing && (
+        <>
+          {current.timedOut && <p className="mock-timed-out">Time's up!</p>}
+
+          <div className="mock-checklist">
+            <h3>Which key points did you cover?</h3>
+            {checklist.map((point, pointIndex) => (
+              <label key={pointIndex} className="mock-checklist-item">
+                <input
+                  type="checkbox"
+                  checked={current.checked.includes(pointIndex)}
+                  onChange={() => toggleChecked(pointIndex)}
+                />
+                {point}
+              </label>
+            ))}
+          </div>
+
+          <div className="mock-reference">
+            <h3>Reference answer</h3>
+            <InterviewAnswer markdown={card.answer} />
+          </div>
+
+          <div className="practice-actions">
+            <button className="practice-button primary" onClick={handleNext}>
+              {index + 1 < questions.length ? 'Next question' : 'See results'}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default MockInterviewPage;
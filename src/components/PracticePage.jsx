@@ -0,0 +1,270 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { fetchContent } from '../utils/content';
+import { getQuestionBank, parseQuestionBank } from '../utils/interviewParser';
+import { isTypingTarget } from '../utils/keyboard';
+import {
+  GRADES,
+  computeNextState,
+  formatInterval,
+  getDueCards,
+  getNextDueDate,
+  gradeCard,
+  useSchedule
+} from '../utils/spacedRepetition';
+import InterviewAnswer from './InterviewAnswer';
+import './PracticePage.css';
+
+const PracticeSession = ({ bankId, onBreadcrumbUpdate }) => {
+  const bank = getQuestionBank(bankId);
+  const schedule = useSchedule();
+
+  const [cards, setCards] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Current session: card ids still to study, in order. null = not started
+  const [queue, setQueue] = useState(null);
+  const [isCram, setIsCram] = useState(false);
+  const [isFlipped, setIsFlipped] = useState(false);
+  const [reviewed, setReviewed] = useState(0);
+
+  useEffect(() => {
+    if (bank) {
+      onBreadcrumbUpdate(`Practice / ${bank.title}`);
+    }
+  }, [bank, onBreadcrumbUpdate]);
+
+  useEffect(() => {
+    if (!bank) return;
+
+    let cancelled = false;
+    const loadCards = async () => {
+      try {
+        const markdown = await fetchContent(bank.file);
+        if (cancelled) return;
+        setCards(parseQuestionBank(markdown, bank.id));
+        setError(null);
+      } catch (err) {
+        console.error('Error loading question bank:', err);
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadCards();
+    return () => {
+      cancelled = true;
+    };
+  }, [bank]);
+
+  const cardsById = new Map(cards.map(card => [card.id, card]));
+  const currentCard = queue?.length > 0 ? cardsById.get(queue[0]) : null;
+  const dueCards = getDueCards(cards, schedule);
+  const newCount = dueCards.filter(card => !schedule[card.id]).length;
+
+  const startSession = (cram) => {
+    setIsCram(cram);
+    setQueue((cram ? cards : dueCards).map(card => card.id));
+    setIsFlipped(false);
+    setReviewed(0);
+  };
+
+  const handleGrade = useCallback((gradeId) => {
+    if (!currentCard) return;
+
+    // Cramming runs through the deck without touching the schedule
+    if (!isCram) {
+      gradeCard(currentCard.id, gradeId);
+    }
+
+    // Missed cards go to the back of the queue for another look this session
+    setQueue(prev => (gradeId === 'again' ? [...prev.slice(1), prev[0]] : prev.slice(1)));
+    setIsFlipped(false);
+    setReviewed(count => count + 1);
+  }, [currentCard, isCram]);
+
+  // Space/Enter flips the card, 1-4 grade it once the answer is showing
+  useEffect(() => {
+    if (!currentCard) return;
+
+    const handleKeyDown = (e) => {
+      if (e.metaKey || e.ctrlKey || e.altKey || isTypingTarget(e.target)) return;
+
+      if (e.key === ' ' || e.key === 'Enter') {
+        // Leave them to a focused button or link, so the grade buttons and
+        // "End session" work from the keyboard
+        if (e.target.closest?.('button, a, [role="button"]')) return;
+
+        e.preventDefault();
+        setIsFlipped(flipped => !flipped);
+        return;
+      }
+
+      const grade = GRADES.find(g => g.key === e.key);
+      if (grade && isFlipped) {
+        e.preventDefault();
+        handleGrade(grade.id);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [currentCard, isFlipped, handleGrade]);
+
+  if (!bank) {
+    return (
+      <div className="practice-page">
+        <div className="loading">
+          <h2>Question Bank Not Found</h2>
+          <p>There are no practice cards for "{bankId}".</p>
+          <Link to="/" className="back-link">← Back to Home</Link>
+        </div>
+      </div>
+    );
+  }
+
+  if (loading) {
+    return <div className="loading">Loading...</div>;
+  }
+
+  if (error) {
+    return (
+      <div className="loading">
+        <h2>Error Loading Questions</h2>
+        <p style={{ color: 'var(--danger)' }}>{error}</p>
+      </div>
+    );
+  }
+
+  const header = (
+    <div className="practice-header">
+      <div>
+        <h1 className="practice-title">{bank.icon} {bank.title}</h1>
+        <p className="practice-subtitle">Flashcard practice · {cards.length} questions</p>
+      </div>
+      <Link to={`/pattern/${bank.id}`} className="practice-link">Read all questions →</Link>
+    </div>
+  );
+
+  // Start screen, or the summary once the session runs out of cards
+  if (!currentCard) {
+    const nextDue = getNextDueDate(cards, schedule);
+    const isFinished = queue !== null;
+
+    return (
+      <div className="practice-page">
+        {header}
+        <div className="practice-panel">
+          {isFinished ? (
+            <>
+              <h2>Session complete 🎉</h2>
+              <p>You reviewed {reviewed} {reviewed === 1 ? 'card' : 'cards'}{isCram ? ' (cram mode, schedule unchanged)' : ''}.</p>
+            </>
+          ) : (
+            <h2>{dueCards.length > 0 ? 'Ready to practice' : 'All caught up'}</h2>
+          )}
+
+          <div className="practice-stats">
+            <div className="practice-stat">
+              <span className="practice-stat-value">{dueCards.length - newCount}</span>
+              <span className="practice-stat-label">Due for review</span>
+            </div>
+            <div className="practice-stat">
+              <span className="practice-stat-value">{newCount}</span>
+              <span className="practice-stat-label">New</span>
+            </div>
+            <div className="practice-stat">
+              <span className="practice-stat-value">{cards.length}</span>
+              <span className="practice-stat-label">Total</span>
+            </div>
+          </div>
+
+          {dueCards.length === 0 && nextDue && (
+            <p className="practice-muted">Next review due {nextDue.toLocaleString()}.</p>
+          )}
+
+          <div className="practice-actions">
+            {dueCards.length > 0 && (
+              <button className="practice-button primary" onClick={() => startSession(false)}>
+                Study {dueCards.length} {dueCards.length === 1 ? 'card' : 'cards'}
+              </button>
+            )}
+            <button className="practice-button" onClick={() => startSession(true)} disabled={cards.length === 0}>
+              Cram all cards
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="practice-page">
+      {header}
+
+      <div className="practice-progress">
+        <span>{reviewed} reviewed · {queue.length} left{isCram ? ' · cram mode' : ''}</span>
+        <button className="practice-end" onClick={() => setQueue([])}>End session</button>
+      </div>
+
+      <div className={`flashcard ${isFlipped ? 'flipped' : ''}`}>
+        <div className="flashcard-inner">
+          <button
+            className="flashcard-face flashcard-front"
+            onClick={() => setIsFlipped(true)}
+            aria-hidden={isFlipped}
+            tabIndex={isFlipped ? -1 : 0}
+          >
+            {currentCard.topic && <span className="flashcard-topic">{currentCard.topic}</span>}
+            <span className="flashcard-question">Q{currentCard.number}: {currentCard.question}</span>
+            <span className="flashcard-hint">Click or press Space to show the answer</span>
+          </button>
+
+          <div className="flashcard-face flashcard-back" aria-hidden={!isFlipped}>
+            <div className="flashcard-back-header">
+              <span className="flashcard-question small">Q{currentCard.number}: {currentCard.question}</span>
+              <Link to={`/pattern/${bank.id}#${currentCard.anchor}`} className="practice-link">
+                View on page
+              </Link>
+            </div>
+            {isFlipped && <InterviewAnswer markdown={currentCard.answer} />}
+          </div>
+        </div>
+      </div>
+
+      {isFlipped ? (
+        <div className="grade-buttons">
+          {GRADES.map(grade => (
+            <button
+              key={grade.id}
+              className={`grade-button ${grade.id}`}
+              onClick={() => handleGrade(grade.id)}
+            >
+              <span className="grade-label">{grade.label}</span>
+              <span className="grade-interval">
+                {isCram ? grade.key : `${formatInterval(computeNextState(schedule[currentCard.id], grade.id))} · ${grade.key}`}
+              </span>
+            </button>
+          ))}
+        </div>
+      ) : (
+        <div className="grade-buttons">
+          <button className="practice-button primary" onClick={() => setIsFlipped(true)}>
+            Show answer
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// A fresh session per bank, so moving between /practice/:bankId routes does
+// not carry the previous bank's cards, queue or summary over
+const PracticePage = ({ onBreadcrumbUpdate }) => {
+  const { bankId } = useParams();
+  return <PracticeSession key={bankId} bankId={bankId} onBreadcrumbUpdate={onBreadcrumbUpdate} />;
+};
+
+export default PracticePage;
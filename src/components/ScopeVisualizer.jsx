@@ -0,0 +1,191 @@
+import React, { useMemo, useState } from 'react';
+import CodeEditor from './CodeEditor';
+import StepControls from './StepControls';
+import { runScopeSnippet } from '../utils/scopeChain';
+import './ScopeVisualizer.css';
+
+const RecordCard = ({ record, isCurrent, isRetained = false }) => (
+  <div className={`scope-record ${record.kind} ${isCurrent ? 'current' : ''} ${isRetained ? 'retained' : ''}`}>
+    <div className="scope-record-header">
+      <span className="scope-record-label">{record.label}</span>
+      {record.outer && <span className="scope-record-outer">outer: {record.outer}</span>}
+    </div>
+
+    {record.bindings.length === 0 ? (
+      <div className="scope-empty">no bindings</div>
+    ) : (
+      <table className="scope-bindings">
+        <tbody>
+          {record.bindings.map(binding => (
+            <tr key={binding.name} className={binding.changed ? 'changed' : ''}>
+              <td><span className={`scope-kind ${binding.kind}`}>{binding.kind}</span></td>
+              <th scope="row">{binding.name}</th>
+              <td className={binding.isReady ? 'scope-value' : 'scope-value tdz'}>
+                {binding.isReady ? binding.text : 'TDZ'}
+                {binding.closure && (
+                  <span className="scope-closure" title="The record this function was created in, its [[Environment]]">↳ closes over {binding.closure}</span>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    )}
+
+    {record.thisValue !== null && (
+      <div className="scope-this">
+        <code>this</code> = {record.thisValue}
+        {record.isArrow && <span className="scope-this-note">lexical, from the enclosing scope</span>}
+      </div>
+    )}
+  </div>
+);
+
+// Renders a ```scope fence: runs the snippet with every environment record
+// watched (see utils/scopeChain.js) and steps through the scope chain, TDZ
+// state, `this` and the records closures keep alive. The optional meta text is
+// the title. Readers can edit the snippet to try their own.
+const ScopeVisualizer = ({ code, meta }) => {
+  // The editor changes `draft`; it only runs, as `source`, when the reader
+  // presses Run, so half-typed code is never executed
+  const [source, setSource] = useState(code.trimEnd());
+  const [draft, setDraft] = useState(source);
+  const [isEditing, setIsEditing] = useState(false);
+  const [stepIndex, setStepIndex] = useState(0);
+
+  const { run, error } = useMemo(() => {
+    try {
+      return { run: runScopeSnippet(source), error: null };
+    } catch (err) {
+      return { run: null, error: err };
+    }
+  }, [source]);
+
+  const runSource = (nextSource) => {
+    setSource(nextSource);
+    setDraft(nextSource);
+    setStepIndex(0);
+  };
+
+  const handleRun = () => {
+    runSource(draft);
+    setIsEditing(false);
+  };
+
+  const handleReset = () => {
+    runSource(code.trimEnd());
+    setIsEditing(false);
+  };
+
+  const title = meta || 'Scope chain';
+  const steps = run ? run.steps : [];
+  const step = steps[Math.min(stepIndex, steps.length - 1)];
+
+  return (
+    <div className="scope-visualizer">
+      <div className="scope-header">
+        <h4 className="scope-title">🔗 {title}</h4>
+        <div className="scope-header-actions">
+          {step && <span className="scope-step-count">Step {stepIndex + 1} / {steps.length}</span>}
+          {isEditing ? (
+            <button className="viz-button" onClick={handleRun} title="Run the edited snippet">▶ Run</button>
+          ) : (
+            <button className="viz-button" onClick={() => setIsEditing(true)}>✏️ Edit</button>
+          )}
+          {(source !== code.trimEnd() || draft !== code.trimEnd()) && (
+            <button className="viz-button" onClick={handleReset} title="Back to the original snippet">↺ Reset</button>
+          )}
+        </div>
+      </div>
+
+      <div className="scope-layout">
+        <div className="scope-source">
+          {isEditing ? (
+            <CodeEditor value={draft} language="javascript" onChange={setDraft} />
+          ) : (
+            <ol className="scope-code">
+              {source.split('\n').map((line, index) => (
+                <li key={index} className={step?.line === index + 1 ? 'active' : ''}>
+                  <code>{line || ' '}</code>
+                </li>
+              ))}
+            </ol>
+          )}
+
+          {step && (
+            <div className="scope-side-panels">
+              <section className="scope-panel">
+                <h5 className="scope-panel-title">Call Stack</h5>
+                {step.stack.length === 0 ? (
+                  <div className="scope-empty">empty</div>
+                ) : (
+                  <div className="scope-stack">
+                    {step.stack.map((frame, index) => (
+                      <div key={index} className={`scope-frame ${index === step.stack.length - 1 ? 'top' : ''}`}>{frame}</div>
+                    ))}
+                  </div>
+                )}
+              </section>
+
+              <section className="scope-panel">
+                <h5 className="scope-panel-title">Console</h5>
+                {step.console.length === 0 ? (
+                  <div className="scope-empty">no output yet</div>
+                ) : (
+                  <ol className="scope-console">
+                    {step.console.map((entry, index) => (
+                      <li key={index} className={entry.level}>{entry.text}</li>
+                    ))}
+                  </ol>
+                )}
+              </section>
+            </div>
+          )}
+        </div>
+
+        {error ? (
+          <div className="scope-error" role="alert">
+            ⚠️ Could not run this snippet: {error.message}
+          </div>
+        ) : (
+          <div className="scope-records">
+            <section className="scope-panel">
+              <h5 className="scope-panel-title">
+                Scope Chain
+                <span className="scope-panel-hint">lookups go top to bottom</span>
+              </h5>
+              <div className="scope-chain">
+                {step.chain.map((record, index) => (
+                  <RecordCard key={record.id} record={record} isCurrent={index === 0} />
+                ))}
+              </div>
+            </section>
+
+            {step.retained.length > 0 && (
+              <section className="scope-panel">
+                <h5 className="scope-panel-title">
+                  Kept Alive by Closures
+                  <span className="scope-panel-hint">not on the chain right now</span>
+                </h5>
+                <div className="scope-chain">
+                  {step.retained.map(record => (
+                    <RecordCard key={record.id} record={record} isCurrent={false} isRetained />
+                  ))}
+                </div>
+              </section>
+            )}
+          </div>
+        )}
+      </div>
+
+      {step && (
+        <>
+          <p className={`scope-message ${step.isError ? 'error' : ''}`} aria-live="polite">{step.message}</p>
+          <StepControls stepIndex={stepIndex} lastStep={steps.length - 1} onStepChange={setStepIndex} />
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ScopeVisualizer;
@@ -1,27 +1,32 @@
 import React, { useEffect } from 'react';
 import { Link, useParams } from 'react-router-dom';
 import { mainSections, getPatternsByCategory } from '../data/patterns';
+import { getCategoryName, getSectionText, getTopicTitle, useTranslation } from '../utils/i18n';
+import { getCompletionStats, isTopicCompleted, useProgress } from '../utils/progress';
 import './SectionPage.css';
 
 const SectionPage = ({ onBreadcrumbUpdate }) => {
   const { sectionId } = useParams();
+  const progress = useProgress();
+  const { locale, t } = useTranslation();
 
   const section = mainSections.find(s => s.id === sectionId);
   const patternsByCategory = getPatternsByCategory(sectionId);
+  const { title, description } = section ? getSectionText(section, locale) : {};
 
   useEffect(() => {
-    if (section) {
-      onBreadcrumbUpdate(section.title);
+    if (title) {
+      onBreadcrumbUpdate(title);
     }
-  }, [section, onBreadcrumbUpdate]);
+  }, [title, onBreadcrumbUpdate]);
 
   if (!section) {
     return (
       <div className="section-page">
         <div className="loading">
-          <h2>Section Not Found</h2>
-          <p>The section "{sectionId}" could not be found.</p>
-          <Link to="/" className="back-link">← Back to Home</Link>
+          <h2>{t('section.notFound')}</h2>
+          <p>{t('section.notFoundText', { id: sectionId })}</p>
+          <Link to="/" className="back-link">{t('section.backHome')}</Link>
         </div>
       </div>
     );
@@ -31,36 +36,51 @@ const SectionPage = ({ onBreadcrumbUpdate }) => {
     <div className="section-page">
       <div className="section-header" style={{ background: section.gradient }}>
         <div className="section-header-icon">{section.icon}</div>
-        <h1 className="section-header-title">{section.title}</h1>
-        <p className="section-header-description">{section.description}</p>
-        <Link to="/" className="back-home-link">← Back to Home</Link>
+        <h1 className="section-header-title">{title}</h1>
+        <p className="section-header-description">{description}</p>
+        <Link to="/" className="back-home-link">{t('section.backHome')}</Link>
       </div>
 
       <div className="section-content">
         {Object.keys(patternsByCategory).length === 0 ? (
           <div className="empty-state">
-            <h2>Coming Soon</h2>
-            <p>Topics for this section are currently being prepared.</p>
+            <h2>{t('section.comingSoon')}</h2>
+            <p>{t('section.comingSoonText')}</p>
           </div>
         ) : (
-          Object.entries(patternsByCategory).map(([category, patterns]) => (
-            <div key={category} className="category-group">
-              <h2 className="category-title">{category}</h2>
-              <div className="topics-grid">
-                {patterns.map((pattern) => (
-                  <Link
-                    key={pattern.id}
-                    to={`/pattern/${pattern.id}`}
-                    className="topic-card"
-                  >
-                    <div className="topic-icon">{pattern.icon}</div>
-                    <h3 className="topic-title">{pattern.title}</h3>
-                    <div className="topic-arrow">→</div>
-                  </Link>
-                ))}
+          Object.entries(patternsByCategory).map(([category, patterns]) => {
+            const { done, total } = getCompletionStats(progress, patterns);
+
+            return (
+              <div key={category} className="category-group">
+                <h2 className="category-title">
+                  {getCategoryName(category, locale)}
+                  <span className={`category-progress ${done === total ? 'all-done' : ''}`}>
+                    {t('section.categoryProgress', { done, total })}
+                  </span>
+                </h2>
+                <div className="topics-grid">
+                  {patterns.map((pattern) => {
+                    const completed = isTopicCompleted(progress, pattern.id);
+
+                    return (
+                      <Link
+                        key={pattern.id}
+                        to={`/pattern/${pattern.id}`}
+                        className={`topic-card ${completed ? 'completed' : ''}`}
+                      >
+                        <div className="topic-icon">{pattern.icon}</div>
+                        <h3 className="topic-title">{getTopicTitle(pattern, locale)}</h3>
+                        {completed
+                          ? <div className="topic-check" title={t('section.completed')}>✓</div>
+                          : <div className="topic-arrow">→</div>}
+                      </Link>
+                    );
+                  })}
+                </div>
               </div>
-            </div>
-          ))
+            );
+          })
         )}
       </div>
     </div>
@@ -1,10 +1,16 @@
 import React, { useState } from 'react';
 import { Link, useLocation } from 'react-router-dom';
 import { patterns, mainSections, getPatternsByCategory } from '../data/patterns';
+import { useBookmarks } from '../utils/bookmarks';
+import { getCategoryName, getSectionText, getTopicTitle, useTranslation } from '../utils/i18n';
+import { getCompletionStats, isTopicCompleted, useProgress } from '../utils/progress';
+import { isSearchableQuery, loadSearchIndex, searchContent } from '../utils/search';
 import './Sidebar.css';
 
 const Sidebar = ({ isOpen, onClose }) => {
   const [searchTerm, setSearchTerm] = useState('');
+  const [contentResults, setContentResults] = useState([]);
+  const [searchFailed, setSearchFailed] = useState(false);
   const [expandedSections, setExpandedSections] = useState({
     'js-fundamentals': true,
     'design-patterns': true,
@@ -13,6 +19,9 @@ const Sidebar = ({ isOpen, onClose }) => {
   });
   const location = useLocation();
   const [activeSection, setActiveSection] = useState(null);
+  const progress = useProgress();
+  const bookmarkCount = Object.keys(useBookmarks()).length;
+  const { locale, t } = useTranslation();
 
   // Determine active section based on current route
   React.useEffect(() => {
@@ -51,10 +60,45 @@ const Sidebar = ({ isOpen, onClose }) => {
     const searchLower = searchTerm.toLowerCase();
     return (
       pattern.title.toLowerCase().includes(searchLower) ||
+      getTopicTitle(pattern, locale).toLowerCase().includes(searchLower) ||
       pattern.file.toLowerCase().includes(searchLower)
     );
   });
 
+  // Full-text search across every content file, debounced while typing
+  React.useEffect(() => {
+    if (!isSearchableQuery(searchTerm)) return;
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      let index;
+      try {
+        index = await loadSearchIndex();
+      } catch (err) {
+        console.error('Failed to load the search index:', err);
+        if (!cancelled) {
+          setContentResults([]);
+          setSearchFailed(true);
+        }
+        return;
+      }
+      if (cancelled) return;
+
+      setSearchFailed(false);
+      const results = searchContent(index, searchTerm)
+        .map(result => ({ ...result, pattern: patterns.find(p => p.file === result.file) }))
+        .filter(result => result.pattern);
+      setContentResults(results);
+    }, 150);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [searchTerm]);
+
+  const visibleContentResults = isSearchableQuery(searchTerm) ? contentResults : [];
+
   const toggleSection = (sectionId) => {
     setExpandedSections(prev => ({
       ...prev,
@@ -62,20 +106,17 @@ const Sidebar = ({ isOpen, onClose }) => {
     }));
   };
 
-  const handleKeyDown = (e) => {
-    if ((e.ctrlKey || e.metaKey) && e.key === 'k') {
-      e.preventDefault();
-      document.getElementById('searchInput').focus();
-    }
-    if (e.key === 'Escape') {
-      onClose();
-    }
-  };
-
+  // Ctrl/Cmd+K belongs to the app-wide CommandPalette
   React.useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        onClose();
+      }
+    };
+
     document.addEventListener('keydown', handleKeyDown);
     return () => document.removeEventListener('keydown', handleKeyDown);
-  }, []);
+  }, [onClose]);
 
   return (
     <>
@@ -83,14 +124,14 @@ const Sidebar = ({ isOpen, onClose }) => {
       <aside className={`sidebar ${isOpen ? 'active' : ''}`}>
         <div className="sidebar-header">
           <h1>JS Learning Hub</h1>
-          <p className="subtitle">Comprehensive Guide</p>
+          <p className="subtitle">{t('sidebar.subtitle')}</p>
         </div>
 
         <div className="search-box">
           <input
             type="text"
             id="searchInput"
-            placeholder="Search topics..."
+            placeholder={t('sidebar.search')}
             value={searchTerm}
             onChange={(e) => setSearchTerm(e.target.value)}
           />
@@ -103,7 +144,36 @@ const Sidebar = ({ isOpen, onClose }) => {
               className={`nav-item ${location.pathname === '/' ? 'active' : ''}`}
               onClick={onClose}
             >
-              <span className="icon">🏠</span> Home
+              <span className="icon">🏠</span> {t('sidebar.home')}
+            </Link>
+            <Link
+              to="/bookmarks"
+              className={`nav-item ${location.pathname === '/bookmarks' ? 'active' : ''}`}
+              onClick={onClose}
+            >
+              <span className="icon">🔖</span> {t('sidebar.bookmarks')}
+              {bookmarkCount > 0 && <span className="nav-count">{bookmarkCount}</span>}
+            </Link>
+            <Link
+              to="/paths"
+              className={`nav-item ${location.pathname.startsWith('/paths') ? 'active' : ''}`}
+              onClick={onClose}
+            >
+              <span className="icon">🧭</span> {t('sidebar.paths')}
+            </Link>
+            <Link
+              to="/graph"
+              className={`nav-item ${location.pathname === '/graph' ? 'active' : ''}`}
+              onClick={onClose}
+            >
+              <span className="icon">🕸️</span> {t('sidebar.graph')}
+            </Link>
+            <Link
+              to="/changelog"
+              className={`nav-item ${location.pathname === '/changelog' ? 'active' : ''}`}
+              onClick={onClose}
+            >
+              <span className="icon">📝</span> {t('sidebar.changelog')}
             </Link>
           </div>
 
@@ -126,7 +196,7 @@ const Sidebar = ({ isOpen, onClose }) => {
                   onClick={() => toggleSection(section.id)}
                 >
                   <span className="section-icon">{section.icon}</span>
-                  <span className="section-name">{section.title}</span>
+                  <span className="section-name">{getSectionText(section, locale).title}</span>
                   {hasPatterns && (
                     <span className={`expand-icon ${isExpanded ? 'expanded' : ''}`}>
                       ▼
@@ -143,9 +213,14 @@ const Sidebar = ({ isOpen, onClose }) => {
 
                       if (visiblePatterns.length === 0) return null;
 
+                      const { done, total } = getCompletionStats(progress, categoryPatterns);
+
                       return (
                         <div key={category} className="category-group">
-                          <div className="category-title">{category}</div>
+                          <div className="category-title">
+                            {getCategoryName(category, locale)}
+                            <span className="category-progress">{done}/{total}</span>
+                          </div>
                           {visiblePatterns.map(pattern => (
                             <Link
                               key={pattern.id}
@@ -153,7 +228,10 @@ const Sidebar = ({ isOpen, onClose }) => {
                               className={`nav-item ${location.pathname === `/pattern/${pattern.id}` ? 'active' : ''}`}
                               onClick={onClose}
                             >
-                              <span className="icon">{pattern.icon}</span> {pattern.title}
+                              <span className="icon">{pattern.icon}</span> {getTopicTitle(pattern, locale)}
+                              {isTopicCompleted(progress, pattern.id) && (
+                                <span className="nav-check" title={t('sidebar.completed')}>✓</span>
+                              )}
                             </Link>
                           ))}
                         </div>
@@ -164,16 +242,45 @@ const Sidebar = ({ isOpen, onClose }) => {
 
                 {isExpanded && !hasPatterns && (
                   <div className="section-content">
-                    <p className="coming-soon">Coming Soon</p>
+                    <p className="coming-soon">{t('sidebar.comingSoon')}</p>
                   </div>
                 )}
               </div>
             );
           })}
+
+          {isSearchableQuery(searchTerm) && (
+            <div className="nav-section search-results">
+              <div className="category-title">{t('sidebar.foundInContent')}</div>
+              {visibleContentResults.length === 0 && (
+                <p className="coming-soon">{t(searchFailed ? 'sidebar.searchFailed' : 'sidebar.noMatches')}</p>
+              )}
+              {visibleContentResults.map(result => (
+                <Link
+                  key={`${result.file}#${result.slug}`}
+                  to={`/pattern/${result.pattern.id}${result.slug ? `#${result.slug}` : ''}`}
+                  className="search-result"
+                  onClick={onClose}
+                >
+                  <span className="search-result-title">
+                    {result.pattern.icon} {result.pattern.title}
+                    {result.heading && result.heading !== result.pattern.title && ` › ${result.heading}`}
+                  </span>
+                  <span className="search-result-snippet">
+                    {result.snippet.map((segment, index) => (
+                      segment.match
+                        ? <mark key={index}>{segment.text}</mark>
+                        : <React.Fragment key={index}>{segment.text}</React.Fragment>
+                    ))}
+                  </span>
+                </Link>
+              ))}
+            </div>
+          )}
         </nav>
 
         <div className="sidebar-footer">
-          <p>40+ JS Topics + 23 Design Patterns</p>
+          <p>{t('sidebar.footer')}</p>
           <p className="version">v3.0.0</p>
         </div>
       </aside>
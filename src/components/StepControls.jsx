@@ -0,0 +1,64 @@
+import React, { useEffect, useState } from 'react';
+import './StepControls.css';
+
+// Milliseconds per step at each playback speed
+const SPEEDS = [
+  { label: '0.5×', delay: 1600 },
+  { label: '1×', delay: 800 },
+  { label: '2×', delay: 400 },
+  { label: '4×', delay: 200 }
+];
+
+// Playback buttons shared by the step-through visualizers. The parent owns the
+// current step; play/pause and speed live here.
+const StepControls = ({ stepIndex, lastStep, onStepChange }) => {
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+
+  // Advance one step per tick while playing, and stop at the end
+  useEffect(() => {
+    if (!isPlaying) return;
+
+    const timer = setTimeout(() => {
+      if (stepIndex >= lastStep) {
+        setIsPlaying(false);
+      } else {
+        onStepChange(stepIndex + 1);
+      }
+    }, SPEEDS[speed].delay);
+    return () => clearTimeout(timer);
+  }, [isPlaying, stepIndex, lastStep, speed, onStepChange]);
+
+  const handlePlay = () => {
+    // Play from the start again once the end is reached
+    if (stepIndex >= lastStep) onStepChange(0);
+    setIsPlaying(!isPlaying);
+  };
+
+  const goTo = (index) => {
+    setIsPlaying(false);
+    onStepChange(Math.min(Math.max(index, 0), lastStep));
+  };
+
+  return (
+    <div className="viz-controls">
+      <button className="viz-button" onClick={() => goTo(0)} disabled={stepIndex === 0} title="Back to the start">⏮</button>
+      <button className="viz-button" onClick={() => goTo(stepIndex - 1)} disabled={stepIndex === 0} title="Previous step">◀</button>
+      <button className="viz-button primary" onClick={handlePlay}>
+        {isPlaying ? '⏸ Pause' : stepIndex >= lastStep ? '↻ Replay' : '▶ Play'}
+      </button>
+      <button className="viz-button" onClick={() => goTo(stepIndex + 1)} disabled={stepIndex >= lastStep} title="Next step">▶</button>
+      <button className="viz-button" onClick={() => goTo(lastStep)} disabled={stepIndex >= lastStep} title="Jump to the end">⏭</button>
+      <label className="viz-speed">
+        Speed
+        <select value={speed} onChange={(e) => setSpeed(Number(e.target.value))}>
+          {SPEEDS.map((option, index) => (
+            <option key={option.label} value={index}>{option.label}</option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+};
+
+export default StepControls;
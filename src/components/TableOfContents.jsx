@@ -0,0 +1,126 @@
+import React, { useEffect, useState } from 'react';
+import { HEADER_OFFSET, scrollToId } from '../utils/scroll';
+import './TableOfContents.css';
+
+// Pixels below the sticky header at which a heading counts as the current section
+const ACTIVE_THRESHOLD = HEADER_OFFSET + 16;
+
+// Turn a flat list of h2/h3 headings into h2 entries with their h3 children
+const buildTree = (headings) => {
+  const tree = [];
+  for (const heading of headings) {
+    if (heading.level === 2 || tree.length === 0) {
+      tree.push({ ...heading, children: [] });
+    } else {
+      tree[tree.length - 1].children.push(heading);
+    }
+  }
+  return tree;
+};
+
+// Scroll-spy: the active heading is the last one scrolled past the header
+const useActiveHeading = (headings) => {
+  const [activeId, setActiveId] = useState(null);
+
+  useEffect(() => {
+    if (headings.length === 0) return;
+
+    let frame = null;
+    const updateActive = () => {
+      frame = null;
+      let current = headings[0].id;
+      for (const heading of headings) {
+        const element = document.getElementById(heading.id);
+        if (element && element.getBoundingClientRect().top <= ACTIVE_THRESHOLD) {
+          current = heading.id;
+        } else if (element) {
+          break;
+        }
+      }
+      setActiveId(current);
+    };
+
+    const handleScroll = () => {
+      if (frame === null) {
+        frame = requestAnimationFrame(updateActive);
+      }
+    };
+
+    handleScroll();
+    window.addEventListener('scroll', handleScroll, { passive: true });
+    window.addEventListener('resize', handleScroll);
+    return () => {
+      window.removeEventListener('scroll', handleScroll);
+      window.removeEventListener('resize', handleScroll);
+      if (frame !== null) cancelAnimationFrame(frame);
+    };
+  }, [headings]);
+
+  return activeId;
+};
+
+const TableOfContents = ({ headings }) => {
+  const activeId = useActiveHeading(headings);
+  const [isOpen, setIsOpen] = useState(false);
+
+  if (headings.length < 2) {
+    return null;
+  }
+
+  const tree = buildTree(headings);
+  const activeHeading = headings.find(heading => heading.id === activeId);
+
+  const handleClick = (e, id) => {
+    e.preventDefault();
+    setIsOpen(false);
+    if (scrollToId(id)) {
+      // Update URL hash without scrolling
+      history.replaceState(null, null, `#${id}`);
+    }
+  };
+
+  const renderItems = (items, depth = 0) => (
+    <ul className={`toc-list ${depth > 0 ? 'toc-sublist' : ''}`}>
+      {items.map(item => (
+        <li key={item.id}>
+          <a
+            href={`#${item.id}`}
+            className={`toc-link ${item.id === activeId ? 'active' : ''}`}
+            onClick={(e) => handleClick(e, item.id)}
+          >
+            {item.text}
+          </a>
+          {item.children?.length > 0 && renderItems(item.children, depth + 1)}
+        </li>
+      ))}
+    </ul>
+  );
+
+  return (
+    <>
+      {/* Small screens: collapsible dropdown above the content */}
+      <div className={`toc-dropdown ${isOpen ? 'open' : ''}`}>
+        <button
+          className="toc-dropdown-toggle"
+          onClick={() => setIsOpen(!isOpen)}
+          aria-expanded={isOpen}
+        >
+          <span className="toc-dropdown-label">On this page</span>
+          <span className="toc-dropdown-current">{activeHeading?.text}</span>
+          <span className="toc-dropdown-icon">▼</span>
+        </button>
+        {isOpen && <nav className="toc-dropdown-menu">{renderItems(tree)}</nav>}
+      </div>
+
+      {/* Wide screens: sticky rail next to the content */}
+      <aside className="toc-rail">
+        <nav>
+          <div className="toc-title">On this page</div>
+          {renderItems(tree)}
+        </nav>
+      </aside>
+    </>
+  );
+};
+
+export default TableOfContents;
@@ -0,0 +1,27 @@
+import React from 'react';
+import { THEMES, setTheme, useTheme } from '../utils/theme';
+import './ThemeSwitcher.css';
+
+const ThemeSwitcher = ({ className = '' }) => {
+  const theme = useTheme();
+
+  return (
+    <div className={`theme-switcher ${className}`} role="radiogroup" aria-label="Color theme">
+      {THEMES.map(option => (
+        <button
+          key={option.id}
+          className={`theme-option ${theme === option.id ? 'active' : ''}`}
+          onClick={() => setTheme(option.id)}
+          role="radio"
+          aria-checked={theme === option.id}
+          title={`${option.label} theme`}
+        >
+          <span aria-hidden="true">{option.icon}</span>
+          <span className="theme-option-label">{option.label}</span>
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default ThemeSwitcher;
@@ -0,0 +1,53 @@
+import React, { useEffect, useRef } from 'react';
+import { isTopicCompleted, setTopicCompleted, useProgress } from '../utils/progress';
+import './TopicCompletion.css';
+
+// Only auto-complete when the reader actually scrolled down to the end,
+// not when a short page happens to fit on screen
+const AUTO_COMPLETE_MIN_SCROLL = 200;
+
+const TopicCompletion = ({ topicId }) => {
+  const progress = useProgress();
+  const completed = isTopicCompleted(progress, topicId);
+  const sentinelRef = useRef(null);
+  const dismissedRef = useRef(false);
+
+  // Mark the topic as read once the end of the page scrolls into view
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (completed || !sentinel) return;
+
+    const observer = new IntersectionObserver(([entry]) => {
+      if (entry.isIntersecting && !dismissedRef.current && window.scrollY > AUTO_COMPLETE_MIN_SCROLL) {
+        setTopicCompleted(topicId, true);
+      }
+    });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [topicId, completed]);
+
+  // A topic un-marked by hand stays un-marked for the rest of the visit
+  useEffect(() => {
+    dismissedRef.current = false;
+  }, [topicId]);
+
+  const handleToggle = () => {
+    if (completed) {
+      dismissedRef.current = true;
+    }
+    setTopicCompleted(topicId, !completed);
+  };
+
+  return (
+    <div ref={sentinelRef} className={`topic-completion ${completed ? 'completed' : ''}`}>
+      <span className="topic-completion-label">
+        {completed ? 'You have completed this topic' : 'Finished reading?'}
+      </span>
+      <button className="topic-completion-button" onClick={handleToggle}>
+        {completed ? '✓ Completed' : 'Mark as complete'}
+      </button>
+    </div>
+  );
+};
+
+export default TopicCompletion;
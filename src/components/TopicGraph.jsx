@@ -0,0 +1,136 @@
+import React, { useId, useMemo, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { getTopicRoute } from '../utils/contentLinks';
+import { isTopicCompleted, isTopicReady, useProgress } from '../utils/progress';
+import { NODE_HEIGHT, NODE_WIDTH, getRelatedTopics, layoutTopicGraph } from '../utils/topicGraph';
+import './TopicGraph.css';
+
+const describeNode = (topic, status, graph) => {
+  const prerequisites = topic.prerequisites
+    .filter(id => graph.nodes.has(id))
+    .map(id => graph.nodes.get(id).topic.title);
+
+  return [
+    topic.title,
+    topic.difficulty,
+    status === 'completed' ? 'completed' : status === 'ready' ? 'ready to learn' : null,
+    prerequisites.length > 0 ? `builds on ${prerequisites.join(', ')}` : null
+  ].filter(Boolean).join(', ');
+};
+
+// Topics as cards in columns, each right of the topics it builds on, with
+// prerequisite arrows and (optionally) dashed cross-links between pages that
+// link to each other. Completed topics are highlighted, and so are the ones
+// whose prerequisites are all done. Hovering or focusing a topic picks out
+// everything it builds on and everything built on it. `topicIds` should keep
+// its identity between renders; see utils/topicGraph.js for the options.
+const TopicGraph = ({ topicIds, includeLinks = false, includeContext = false, label }) => {
+  const progress = useProgress();
+  const [activeId, setActiveId] = useState(null);
+  const markerId = `topic-graph-${useId().replace(/[^a-zA-Z0-9_-]/g, '')}-arrow`;
+
+  const graph = useMemo(
+    () => layoutTopicGraph(topicIds, { includeLinks, includeContext }),
+    [topicIds, includeLinks, includeContext]
+  );
+
+  const related = useMemo(() => {
+    if (!activeId || !graph.nodes.has(activeId)) return null;
+
+    const { ancestors, descendants } = getRelatedTopics(graph.edges, activeId);
+    const linked = graph.edges
+      .filter(edge => edge.type === 'link' && (edge.from === activeId || edge.to === activeId))
+      .map(edge => (edge.from === activeId ? edge.to : edge.from));
+    return { ancestors, descendants, ids: new Set([activeId, ...ancestors, ...descendants, ...linked]) };
+  }, [graph, activeId]);
+
+  const isEdgeHighlighted = (edge) => {
+    if (!related) return false;
+    if (edge.type === 'link') return edge.from === activeId || edge.to === activeId;
+
+    const { ancestors, descendants } = related;
+    return (ancestors.has(edge.from) && (edge.to === activeId || ancestors.has(edge.to)))
+      || ((edge.from === activeId || descendants.has(edge.from)) && descendants.has(edge.to));
+  };
+
+  if (graph.nodes.size === 0) {
+    return <p className="topic-graph-empty">No topics to show.</p>;
+  }
+
+  const getStatus = (topic) => {
+    if (isTopicCompleted(progress, topic.id)) return 'completed';
+    return isTopicReady(progress, topic) ? 'ready' : null;
+  };
+
+  return (
+    <div className="topic-graph-container">
+      <div className="topic-graph-scroll">
+        <div
+          className={`topic-graph ${related ? 'has-active' : ''}`}
+          style={{ width: graph.width, height: graph.height }}
+          role="group"
+          aria-label={label}
+        >
+          <svg className="topic-graph-edges" width={graph.width} height={graph.height} aria-hidden="true">
+            <defs>
+              <marker id={markerId} viewBox="0 0 10 10" refX="9" refY="5" markerWidth="8" markerHeight="8" orient="auto">
+                <path d="M 1 1 L 9 5 L 1 9 Z" />
+              </marker>
+            </defs>
+            {graph.edges.map(edge => (
+              <path
+                key={`${edge.type}-${edge.from}-${edge.to}`}
+                d={edge.path}
+                className={`topic-graph-edge ${edge.type} ${isEdgeHighlighted(edge) ? 'highlighted' : ''}`}
+                markerEnd={edge.type === 'prerequisite' ? `url(#${markerId})` : undefined}
+              />
+            ))}
+          </svg>
+
+          {[...graph.nodes].map(([id, node]) => {
+            const status = getStatus(node.topic);
+            const classes = [
+              'topic-graph-node',
+              node.topic.difficulty,
+              status,
+              node.isContext ? 'context' : '',
+              id === activeId ? 'active' : '',
+              related && !related.ids.has(id) ? 'dimmed' : ''
+            ].filter(Boolean).join(' ');
+
+            return (
+              <Link
+                key={id}
+                to={getTopicRoute(node.topic)}
+                className={classes}
+                style={{ left: node.x, top: node.y, width: NODE_WIDTH, height: NODE_HEIGHT }}
+                aria-label={describeNode(node.topic, status, graph)}
+                onMouseEnter={() => setActiveId(id)}
+                onMouseLeave={() => setActiveId(null)}
+                onFocus={() => setActiveId(id)}
+                onBlur={() => setActiveId(null)}
+              >
+                <span className="topic-graph-node-icon" aria-hidden="true">{node.topic.icon}</span>
+                <span className="topic-graph-node-title">{node.topic.title}</span>
+                {status === 'completed' && <span className="topic-graph-node-check" aria-hidden="true">✓</span>}
+              </Link>
+            );
+          })}
+        </div>
+      </div>
+
+      <ul className="topic-graph-legend">
+        <li><span className="topic-graph-swatch completed" />Completed</li>
+        <li><span className="topic-graph-swatch ready" />Ready to learn</li>
+        <li><span className="topic-graph-swatch beginner" />Beginner</li>
+        <li><span className="topic-graph-swatch intermediate" />Intermediate</li>
+        <li><span className="topic-graph-swatch advanced" />Advanced</li>
+        <li><span className="topic-graph-line prerequisite" />Prerequisite</li>
+        {includeLinks && <li><span className="topic-graph-line link" />Pages link to each other</li>}
+        {includeContext && <li><span className="topic-graph-swatch context" />Prerequisite from elsewhere</li>}
+      </ul>
+    </div>
+  );
+};
+
+export default TopicGraph;
@@ -0,0 +1,61 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { mainSections, patterns } from '../data/patterns';
+import TopicGraph from './TopicGraph';
+import './TopicGraphPage.css';
+
+const ALL_SECTIONS = 'all';
+
+// Every topic in one graph, or one section's topics with the prerequisites
+// they borrow from other sections
+const TopicGraphPage = ({ onBreadcrumbUpdate }) => {
+  const [sectionId, setSectionId] = useState(ALL_SECTIONS);
+  const [showLinks, setShowLinks] = useState(true);
+
+  useEffect(() => {
+    onBreadcrumbUpdate('Topic Graph');
+  }, [onBreadcrumbUpdate]);
+
+  const topicIds = useMemo(() => patterns
+    .filter(p => (sectionId === ALL_SECTIONS ? p.section : p.section === sectionId))
+    .map(p => p.id), [sectionId]);
+
+  const sectionTitle = mainSections.find(section => section.id === sectionId)?.title;
+
+  return (
+    <div className="topic-graph-page">
+      <div className="topic-graph-header">
+        <h1>🕸️ Topic Graph</h1>
+        <p>
+          Each topic sits to the right of the topics it builds on. Hover or tab to a topic to trace its prerequisites,
+          or follow one of the <Link to="/paths">learning paths</Link>.
+        </p>
+      </div>
+
+      <div className="topic-graph-controls">
+        <label>
+          Section
+          <select value={sectionId} onChange={(e) => setSectionId(e.target.value)}>
+            <option value={ALL_SECTIONS}>All sections</option>
+            {mainSections.map(section => (
+              <option key={section.id} value={section.id}>{section.icon} {section.title}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <input type="checkbox" checked={showLinks} onChange={(e) => setShowLinks(e.target.checked)} />
+          Show cross-links
+        </label>
+      </div>
+
+      <TopicGraph
+        topicIds={topicIds}
+        includeLinks={showLinks}
+        includeContext={sectionId !== ALL_SECTIONS}
+        label={sectionTitle ? `${sectionTitle} topics and their prerequisites` : 'All topics and their prerequisites'}
+      />
+    </div>
+  );
+};
+
+export default TopicGraphPage;
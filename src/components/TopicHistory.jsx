@@ -0,0 +1,39 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { formatDate, getFileHistory } from '../utils/contentHistory';
+import { useTranslation } from '../utils/i18n';
+import './TopicHistory.css';
+
+// When a content page last changed and by how many people, with its most
+// recent changes folded away underneath
+const TopicHistory = ({ file }) => {
+  const { locale, t } = useTranslation();
+  const history = getFileHistory(file);
+
+  if (!history) return null;
+
+  return (
+    <details className="topic-history">
+      <summary>
+        <span>
+          🕒 {t('history.updated')} <time dateTime={history.updated}>{formatDate(history.updated, locale)}</time>
+        </span>
+        <span className="topic-history-contributors">
+          {t(history.contributors === 1 ? 'history.contributor' : 'history.contributors', { count: history.contributors })}
+        </span>
+      </summary>
+      <ol className="topic-history-changes">
+        {history.changes.map(change => (
+          <li key={change.hash}>
+            <time dateTime={change.date}>{formatDate(change.date, locale)}</time>
+            <span className="topic-history-subject">{change.subject}</span>
+            <span className="topic-history-author">{change.author}</span>
+          </li>
+        ))}
+      </ol>
+      <Link to="/changelog" className="topic-history-all">{t('history.changelog')} →</Link>
+    </details>
+  );
+};
+
+export default TopicHistory;
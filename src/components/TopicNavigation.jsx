@@ -0,0 +1,32 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { getAdjacentPatterns } from '../data/patterns';
+import './TopicNavigation.css';
+
+// Previous / next topic cards at the end of a topic page ([ and ] on the keyboard)
+const TopicNavigation = ({ topicId }) => {
+  const { prev, next } = getAdjacentPatterns(topicId);
+
+  if (!prev && !next) {
+    return null;
+  }
+
+  return (
+    <nav className="topic-navigation" aria-label="Topic navigation">
+      {prev ? (
+        <Link to={`/pattern/${prev.id}`} className="topic-nav-card prev">
+          <span className="topic-nav-label">← Previous</span>
+          <span className="topic-nav-title">{prev.icon} {prev.title}</span>
+        </Link>
+      ) : <span />}
+      {next && (
+        <Link to={`/pattern/${next.id}`} className="topic-nav-card next">
+          <span className="topic-nav-label">Next →</span>
+          <span className="topic-nav-title">{next.icon} {next.title}</span>
+        </Link>
+      )}
+    </nav>
+  );
+};
+
+export default TopicNavigation;
@@ -0,0 +1,54 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { getPathsForPattern, getPrerequisites } from '../data/patterns';
+import { getTopicRoute } from '../utils/contentLinks';
+import { isTopicCompleted, useProgress } from '../utils/progress';
+import DifficultyBadge from './DifficultyBadge';
+import './TopicPrerequisites.css';
+
+// Difficulty, prerequisites and learning paths above a topic page
+const TopicPrerequisites = ({ topic }) => {
+  const progress = useProgress();
+  const prerequisites = getPrerequisites(topic.id);
+  const paths = getPathsForPattern(topic.id);
+
+  if (!topic.difficulty && prerequisites.length === 0 && paths.length === 0) {
+    return null;
+  }
+
+  return (
+    <aside className="topic-prerequisites" aria-label="About this topic">
+      <DifficultyBadge difficulty={topic.difficulty} />
+      {prerequisites.length > 0 && (
+        <span className="topic-prerequisites-group">
+          Builds on
+          {prerequisites.map(prerequisite => {
+            const completed = isTopicCompleted(progress, prerequisite.id);
+            return (
+              <Link
+                key={prerequisite.id}
+                to={getTopicRoute(prerequisite)}
+                className={`topic-prerequisite ${completed ? 'completed' : ''}`}
+                title={completed ? 'Completed' : 'Not completed yet'}
+              >
+                {completed ? '✓' : prerequisite.icon} {prerequisite.title}
+              </Link>
+            );
+          })}
+        </span>
+      )}
+      {paths.length > 0 && (
+        <span className="topic-prerequisites-group">
+          Part of
+          {paths.map(learningPath => (
+            <Link key={learningPath.id} to={`/paths/${learningPath.id}`} className="topic-prerequisite">
+              {learningPath.icon} {learningPath.title}
+            </Link>
+          ))}
+        </span>
+      )}
+    </aside>
+  );
+};
+
+export default TopicPrerequisites;
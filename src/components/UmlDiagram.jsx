@@ -0,0 +1,134 @@
+import React, { useId, useMemo } from 'react';
+import { LINE_HEIGHT, PADDING_X, PADDING_Y, getMemberText, getStereotype, layoutUml, parseUml } from '../utils/uml';
+import './UmlDiagram.css';
+
+// Markers drawn at each end of a relation's line
+const EDGE_MARKERS = {
+  extends: { end: 'triangle' },
+  implements: { end: 'triangle', dashed: true },
+  composition: { start: 'diamond-filled' },
+  aggregation: { start: 'diamond' },
+  association: { end: 'arrow' },
+  dependency: { end: 'arrow', dashed: true }
+};
+
+const Member = ({ member, x, y }) => (
+  <text
+    x={x}
+    y={y}
+    className={`uml-member ${member.isStatic ? 'static' : ''} ${member.isAbstract ? 'abstract' : ''}`}
+  >
+    {getMemberText(member)}
+  </text>
+);
+
+const ClassBox = ({ box }) => {
+  const stereotype = getStereotype(box.kind);
+  const textX = box.x + PADDING_X;
+  const firstLine = (top) => box.y + top + PADDING_Y + LINE_HEIGHT * 0.75;
+
+  return (
+    <g className={`uml-class ${box.kind}`}>
+      <rect x={box.x} y={box.y} width={box.width} height={box.height} rx="4" className="uml-box" />
+      {stereotype && (
+        <text x={box.x + box.width / 2} y={firstLine(0)} className="uml-stereotype">{stereotype}</text>
+      )}
+      <text
+        x={box.x + box.width / 2}
+        y={firstLine(0) + (stereotype ? LINE_HEIGHT : 0)}
+        className="uml-class-name"
+      >
+        {box.name}
+      </text>
+
+      {box.attributes.length > 0 && (
+        <line x1={box.x} x2={box.x + box.width} y1={box.y + box.attributesTop} y2={box.y + box.attributesTop} className="uml-divider" />
+      )}
+      {box.attributes.map((member, index) => (
+        <Member key={index} member={member} x={textX} y={firstLine(box.attributesTop) + index * LINE_HEIGHT} />
+      ))}
+
+      {box.methods.length > 0 && (
+        <line x1={box.x} x2={box.x + box.width} y1={box.y + box.methodsTop} y2={box.y + box.methodsTop} className="uml-divider" />
+      )}
+      {box.methods.map((member, index) => (
+        <Member key={index} member={member} x={textX} y={firstLine(box.methodsTop) + index * LINE_HEIGHT} />
+      ))}
+    </g>
+  );
+};
+
+// Renders a ```uml fence as an SVG class diagram (syntax in utils/uml.js)
+const UmlDiagram = ({ code }) => {
+  // Marker ids must be unique when a page has several diagrams
+  const markerPrefix = `uml-${useId().replace(/[^a-zA-Z0-9_-]/g, '')}`;
+
+  const { diagram, error } = useMemo(() => {
+    try {
+      return { diagram: layoutUml(parseUml(code)), error: null };
+    } catch (err) {
+      return { diagram: null, error: err };
+    }
+  }, [code]);
+
+  if (error) {
+    return (
+      <div className="uml-diagram uml-error">
+        <p className="uml-error-message">⚠️ Could not draw this diagram. {error.message}</p>
+        <pre><code>{code}</code></pre>
+      </div>
+    );
+  }
+
+  const markerUrl = (name) => (name ? `url(#${markerPrefix}-${name})` : undefined);
+  const classNames = diagram.boxes.map(box => box.name).join(', ');
+
+  return (
+    <figure className="uml-diagram">
+      <svg
+        viewBox={`0 0 ${diagram.width} ${diagram.height}`}
+        width={diagram.width}
+        role="img"
+        aria-label={`Class diagram: ${classNames}`}
+      >
+        <defs>
+          <marker id={`${markerPrefix}-triangle`} viewBox="0 0 12 12" refX="11" refY="6" markerWidth="12" markerHeight="12" markerUnits="userSpaceOnUse" orient="auto-start-reverse">
+            <path d="M 1 1 L 11 6 L 1 11 Z" className="uml-marker-hollow" />
+          </marker>
+          <marker id={`${markerPrefix}-arrow`} viewBox="0 0 12 12" refX="11" refY="6" markerWidth="10" markerHeight="10" markerUnits="userSpaceOnUse" orient="auto-start-reverse">
+            <path d="M 1 1 L 11 6 L 1 11" className="uml-marker-open" />
+          </marker>
+          <marker id={`${markerPrefix}-diamond`} viewBox="0 0 18 10" refX="17" refY="5" markerWidth="18" markerHeight="10" markerUnits="userSpaceOnUse" orient="auto-start-reverse">
+            <path d="M 1 5 L 9 1 L 17 5 L 9 9 Z" className="uml-marker-hollow" />
+          </marker>
+          <marker id={`${markerPrefix}-diamond-filled`} viewBox="0 0 18 10" refX="17" refY="5" markerWidth="18" markerHeight="10" markerUnits="userSpaceOnUse" orient="auto-start-reverse">
+            <path d="M 1 5 L 9 1 L 17 5 L 9 9 Z" className="uml-marker-filled" />
+          </marker>
+        </defs>
+
+        {diagram.edges.map((edge, index) => {
+          const markers = EDGE_MARKERS[edge.type];
+          return (
+            <g key={index} className={`uml-relation ${edge.type}`}>
+              <path
+                d={edge.path}
+                className={`uml-edge ${markers.dashed ? 'dashed' : ''}`}
+                markerStart={markerUrl(markers.start)}
+                markerEnd={markerUrl(markers.end)}
+              />
+              {edge.label && (
+                <text x={edge.labelX} y={edge.labelY - 4} textAnchor={edge.labelAnchor} className="uml-edge-label">
+                  {edge.label}
+                </text>
+              )}
+            </g>
+          );
+        })}
+
+        {diagram.boxes.map(box => <ClassBox key={box.name} box={box} />)}
+      </svg>
+    </figure>
+  );
+};
+
+export default UmlDiagram;
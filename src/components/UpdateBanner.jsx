@@ -0,0 +1,22 @@
+import React from 'react';
+import { applyUpdate, dismissUpdate, useUpdateAvailable } from '../utils/serviceWorker';
+import './UpdateBanner.css';
+
+// Shown when a new deploy has been downloaded by the service worker
+const UpdateBanner = () => {
+  const updateAvailable = useUpdateAvailable();
+
+  if (!updateAvailable) {
+    return null;
+  }
+
+  return (
+    <div className="update-banner" role="status">
+      <span>🔄 New content is available.</span>
+      <button className="update-banner-reload" onClick={applyUpdate}>Reload</button>
+      <button className="update-banner-dismiss" onClick={dismissUpdate} aria-label="Dismiss">✕</button>
+    </div>
+  );
+};
+
+export default UpdateBanner;
@@ -0,0 +1,136 @@
+// Interface text by locale. English is the reference: a key missing from
+// another locale falls back to it (see utils/i18n.js). `{name}` placeholders
+// are filled in by translate().
+export const UI_STRINGS = {
+  en: {
+    'locale.label': 'Language',
+
+    'home.title': '📚 JavaScript Learning Hub',
+    'home.subtitle': 'Your comprehensive guide to master JavaScript, from fundamentals to advanced concepts',
+    'home.sectionProgress': '{done}/{total} completed',
+    'home.pathsTitle': 'Not sure where to start?',
+    'home.pathsText': 'Follow a learning path, or see how every topic builds on the others.',
+    'home.topicGraph': '🕸️ Topic Graph',
+    'home.recentTitle': 'Recently updated',
+    'home.recentChangelog': 'See every change in the changelog',
+    'home.statJavaScript': 'JavaScript Topics',
+    'home.statPatterns': 'Design Patterns',
+    'home.statDsa': 'DSA Topics',
+    'home.statSystemDesign': 'System Design',
+    'home.comingSoon': 'Coming Soon',
+    'home.progressTitle': 'Your Progress',
+    'home.progressText': 'Progress is saved in this browser. Export it to move it to another device.',
+    'home.export': 'Export JSON',
+    'home.import': 'Import JSON',
+    'home.imported': 'Imported progress: {count} new topic(s) marked as completed.',
+    'home.featuresTitle': 'Why Choose This Platform?',
+    'home.featureContent': 'Comprehensive Content',
+    'home.featureContentText': 'From basics to advanced topics with real-world examples',
+    'home.featureCode': 'Interactive Code',
+    'home.featureCodeText': 'Syntax highlighted examples you can copy or run right in the page',
+    'home.featureInterview': 'Interview Ready',
+    'home.featureInterviewText': 'Practice questions and answers for interview prep',
+    'home.featureMobile': 'Mobile Friendly',
+    'home.featureMobileText': 'Learn anywhere on any device',
+
+    'section.notFound': 'Section Not Found',
+    'section.notFoundText': 'The section "{id}" could not be found.',
+    'section.backHome': '← Back to Home',
+    'section.comingSoon': 'Coming Soon',
+    'section.comingSoonText': 'Topics for this section are currently being prepared.',
+    'section.categoryProgress': '{done}/{total} done',
+    'section.completed': 'Completed',
+
+    'sidebar.subtitle': 'Comprehensive Guide',
+    'sidebar.search': 'Search topics and content...',
+    'sidebar.home': 'Home',
+    'sidebar.bookmarks': 'My Bookmarks',
+    'sidebar.paths': 'Learning Paths',
+    'sidebar.graph': 'Topic Graph',
+    'sidebar.changelog': 'Changelog',
+    'sidebar.comingSoon': 'Coming Soon',
+    'sidebar.completed': 'Completed',
+    'sidebar.foundInContent': 'Found in content',
+    'sidebar.noMatches': 'No matches in content',
+    'sidebar.searchFailed': 'Search is unavailable right now. Check your connection and try again.',
+    'sidebar.footer': '40+ JS Topics + 23 Design Patterns',
+
+    'topic.untranslated': 'This page has not been translated yet, so it is shown in English.',
+    'topic.outdated': 'Translation outdated',
+    'topic.outdatedText': 'The English page has changed since this translation was made.',
+    'topic.readEnglish': 'Read the English version',
+    'topic.staleShare': 'The shared code in this link no longer matches this page: its examples have changed since the link was made.',
+    'topic.dismiss': 'Dismiss',
+
+    'history.updated': 'Last updated',
+    'history.contributor': '{count} contributor',
+    'history.contributors': '{count} contributors',
+    'history.changelog': 'All content changes'
+  },
+
+  es: {
+    'locale.label': 'Idioma',
+
+    'home.title': '📚 JavaScript Learning Hub',
+    'home.subtitle': 'Tu guía completa para dominar JavaScript, desde los fundamentos hasta los conceptos avanzados',
+    'home.sectionProgress': '{done}/{total} completados',
+    'home.pathsTitle': '¿No sabes por dónde empezar?',
+    'home.pathsText': 'Sigue una ruta de aprendizaje o mira cómo cada tema se apoya en los demás.',
+    'home.topicGraph': '🕸️ Grafo de temas',
+    'home.recentTitle': 'Actualizado recientemente',
+    'home.recentChangelog': 'Ver todos los cambios en el registro de cambios',
+    'home.statJavaScript': 'Temas de JavaScript',
+    'home.statPatterns': 'Patrones de diseño',
+    'home.statDsa': 'Temas de DSA',
+    'home.statSystemDesign': 'Diseño de sistemas',
+    'home.comingSoon': 'Próximamente',
+    'home.progressTitle': 'Tu progreso',
+    'home.progressText': 'El progreso se guarda en este navegador. Expórtalo para llevarlo a otro dispositivo.',
+    'home.export': 'Exportar JSON',
+    'home.import': 'Importar JSON',
+    'home.imported': 'Progreso importado: {count} tema(s) nuevo(s) marcado(s) como completado(s).',
+    'home.featuresTitle': '¿Por qué esta plataforma?',
+    'home.featureContent': 'Contenido completo',
+    'home.featureContentText': 'De lo básico a los temas avanzados, con ejemplos reales',
+    'home.featureCode': 'Código interactivo',
+    'home.featureCodeText': 'Ejemplos con resaltado de sintaxis que puedes copiar o ejecutar en la propia página',
+    'home.featureInterview': 'Listo para entrevistas',
+    'home.featureInterviewText': 'Preguntas y respuestas para preparar entrevistas',
+    'home.featureMobile': 'Adaptado a móviles',
+    'home.featureMobileText': 'Aprende en cualquier lugar y con cualquier dispositivo',
+
+    'section.notFound': 'Sección no encontrada',
+    'section.notFoundText': 'No se encontró la sección "{id}".',
+    'section.backHome': '← Volver al inicio',
+    'section.comingSoon': 'Próximamente',
+    'section.comingSoonText': 'Los temas de esta sección se están preparando.',
+    'section.categoryProgress': '{done}/{total} hechos',
+    'section.completed': 'Completado',
+
+    'sidebar.subtitle': 'Guía completa',
+    'sidebar.search': 'Buscar temas y contenido...',
+    'sidebar.home': 'Inicio',
+    'sidebar.bookmarks': 'Mis marcadores',
+    'sidebar.paths': 'Rutas de aprendizaje',
+    'sidebar.graph': 'Grafo de temas',
+    'sidebar.changelog': 'Registro de cambios',
+    'sidebar.comingSoon': 'Próximamente',
+    'sidebar.completed': 'Completado',
+    'sidebar.foundInContent': 'Encontrado en el contenido',
+    'sidebar.noMatches': 'Sin resultados en el contenido',
+    'sidebar.searchFailed': 'La búsqueda no está disponible ahora. Comprueba tu conexión e inténtalo de nuevo.',
+    'sidebar.footer': 'Más de 40 temas de JS + 23 patrones de diseño',
+
+    'topic.untranslated': 'Esta página todavía no está traducida, así que se muestra en inglés.',
+    'topic.outdated': 'Traducción desactualizada',
+    'topic.outdatedText': 'La página en inglés ha cambiado desde que se hizo esta traducción.',
+    'topic.readEnglish': 'Leer la versión en inglés',
+    'topic.staleShare': 'El código compartido en este enlace ya no corresponde a esta página: sus ejemplos han cambiado desde que se creó el enlace.',
+    'topic.dismiss': 'Cerrar',
+
+    'history.updated': 'Última actualización:',
+    'history.contributor': '{count} colaborador',
+    'history.contributors': '{count} colaboradores',
+    'history.changelog': 'Todos los cambios del contenido'
+  }
+};
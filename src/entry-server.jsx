@@ -0,0 +1,20 @@
+import { StrictMode } from 'react'
+import { renderToString } from 'react-dom/server'
+import { StaticRouter } from 'react-router-dom'
+import App from './App.jsx'
+import { getLocaleBasename, splitLocalePath } from './utils/i18n'
+
+export { learningPaths, locales, mainSections, patterns, translations } from './data/patterns'
+export { preloadContent } from './utils/content'
+export { localizePath } from './utils/i18n'
+export { getPageTitle, SITE_NAME } from './utils/pageMeta'
+
+// Server entry used by scripts/prerender.js to render each route to HTML.
+// `url` includes the locale prefix, which becomes the router's basename as in main.jsx.
+export const render = (url) => renderToString(
+  <StrictMode>
+    <StaticRouter location={url} basename={getLocaleBasename(splitLocalePath(url).locale)}>
+      <App />
+    </StaticRouter>
+  </StrictMode>,
+)
@@ -1,10 +1,39 @@
 import { StrictMode } from 'react'
-import { createRoot } from 'react-dom/client'
+import { createRoot, hydrateRoot } from 'react-dom/client'
+import { BrowserRouter } from 'react-router-dom'
 import './index.css'
+import 'virtual:highlight-themes.css'
 import App from './App.jsx'
+import { preloadContent } from './utils/content'
+import { getLocaleBasename, splitLocalePath } from './utils/i18n'
+import { registerServiceWorker } from './utils/serviceWorker'
+import { initTheme } from './utils/theme'
 
-createRoot(document.getElementById('root')).render(
+initTheme()
+registerServiceWorker()
+
+// Prerendered pages (see scripts/prerender.js) ship their markdown inline,
+// so the first render matches the server HTML without fetching it again
+if (window.__INITIAL_CONTENT__) {
+  preloadContent(window.__INITIAL_CONTENT__)
+}
+
+// Every locale but the default has its routes under a prefix (/es/pattern/closures),
+// which the router takes as its basename so links inside the app keep the locale
+const { locale } = splitLocalePath(window.location.pathname)
+document.documentElement.lang = locale
+
+const root = document.getElementById('root')
+const app = (
   <StrictMode>
-    <App />
-  </StrictMode>,
+    <BrowserRouter basename={getLocaleBasename(locale)}>
+      <App />
+    </BrowserRouter>
+  </StrictMode>
 )
+
+if (root.hasChildNodes()) {
+  hydrateRoot(root, app)
+} else {
+  createRoot(root).render(app)
+}
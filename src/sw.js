@@ -0,0 +1,106 @@
+// Service worker for offline reading. Emitted as /sw.js by plugins/serviceWorker.js,
+// which fills in the two placeholders below with the build's file list and a hash
+// of it, so every deploy that changes a file installs a new worker.
+const PRECACHE_URLS = __PRECACHE_URLS__;
+const CACHE_PREFIX = 'js-learning-hub-';
+const CACHE_NAME = `${CACHE_PREFIX}${__CACHE_VERSION__}`;
+const APP_SHELL_URL = '/app-shell.html';
+
+self.addEventListener('install', (event) => {
+  // No skipWaiting() here: a new version waits until the page accepts the update.
+  // Files are fetched past the HTTP cache, which may hold copies from the last deploy.
+  event.waitUntil(
+    caches.open(CACHE_NAME).then(cache => cache.addAll(
+      PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' }))
+    ))
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+// Hashed build assets never change: serve from cache, fall back to the network
+const cacheFirst = async (request) => {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(CACHE_NAME);
+    cache.put(request, response.clone());
+  }
+  return response;
+};
+
+// Markdown and other files: answer from cache straight away and refresh it in the
+// background, revalidating with the server rather than taking the HTTP cache's copy
+const staleWhileRevalidate = async (event) => {
+  const { request } = event;
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request);
+
+  const refresh = fetch(request, { cache: 'no-cache' })
+    .then(response => {
+      if (response.ok) {
+        cache.put(request, response.clone());
+      }
+      return response;
+    })
+    .catch(() => null);
+
+  if (cached) {
+    event.waitUntil(refresh);
+    return cached;
+  }
+
+  const response = await refresh;
+  return response || Response.error();
+};
+
+// Pages: the network first, so readers get the current prerendered HTML, with
+// a cached copy of each page visited for offline use. Offline, a page never
+// visited gets the app shell, which renders any route on the client.
+const networkFirst = async (request) => {
+  try {
+    const response = await fetch(request);
+    // A redirected response can't answer a later navigation, so it isn't kept
+    if (response.ok && !response.redirected) {
+      const cache = await caches.open(CACHE_NAME);
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch {
+    const cached = await caches.match(request, { ignoreSearch: true }) || await caches.match(APP_SHELL_URL);
+    return cached || Response.error();
+  }
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request));
+  } else if (url.pathname.startsWith('/assets/')) {
+    event.respondWith(cacheFirst(request));
+  } else {
+    event.respondWith(staleWhileRevalidate(event));
+  }
+});
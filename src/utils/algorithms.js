@@ -0,0 +1,508 @@
+// Step generators for ```visualize fences (see components/AlgorithmVisualizer.jsx).
+//
+//   ```visualize bubble-sort
+//   array: 5, 1, 4, 2, 8
+//   ```
+//
+// The word after `visualize` picks an entry from ALGORITHMS; the optional body
+// sets its inputs as `key: value` lines, falling back to the entry's defaults.
+// Each algorithm runs to completion up front and returns the list of steps to
+// play back. A step is a snapshot of the structure plus the pseudocode line
+// being executed and a one-line explanation.
+
+const MAX_ITEMS = 16;
+
+export class VisualizerInputError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'VisualizerInputError';
+  }
+}
+
+const parseNumbers = (text, key) => {
+  const numbers = text.split(/[\s,]+/).filter(Boolean).map(Number);
+  if (numbers.length === 0 || numbers.some(Number.isNaN)) {
+    throw new VisualizerInputError(`"${key}" must be a list of numbers, e.g. ${key}: 5, 1, 4`);
+  }
+  if (numbers.length > MAX_ITEMS) {
+    throw new VisualizerInputError(`"${key}" can have at most ${MAX_ITEMS} numbers`);
+  }
+  return numbers;
+};
+
+const parseNumber = (text, key) => {
+  const number = Number(text);
+  if (text.trim() === '' || Number.isNaN(number)) {
+    throw new VisualizerInputError(`"${key}" must be a number`);
+  }
+  return number;
+};
+
+// "push 3, pop, push 7" -> [{ op: 'push', value: 3 }, { op: 'pop', value: null }, ...]
+const parseOperations = (allowed) => (text, key) => {
+  const operations = text.split(',').map(item => item.trim()).filter(Boolean).map(item => {
+    const [op, value] = item.split(/\s+/);
+    if (!allowed.includes(op)) {
+      throw new VisualizerInputError(`unknown operation "${op}" in "${key}" (expected ${allowed.join(', ')})`);
+    }
+    return { op, value: value === undefined ? null : parseNumber(value, `${key}: ${item}`) };
+  });
+
+  if (operations.length === 0) {
+    throw new VisualizerInputError(`"${key}" needs at least one operation`);
+  }
+  if (operations.length > MAX_ITEMS * 2) {
+    throw new VisualizerInputError(`"${key}" can have at most ${MAX_ITEMS * 2} operations`);
+  }
+  return operations;
+};
+
+// Collects steps; `line` indexes the algorithm's pseudocode
+const createRecorder = () => {
+  const steps = [];
+  const record = (line, message, state) => {
+    steps.push({ line, message, ...structuredClone(state) });
+  };
+  return { steps, record };
+};
+
+const range = (from, to) => Array.from({ length: Math.max(0, to - from + 1) }, (_, i) => from + i);
+
+const bubbleSort = ({ array }) => {
+  const { steps, record } = createRecorder();
+  const a = [...array];
+  const n = a.length;
+  const sorted = [];
+
+  record(null, `Sort ${n} items by repeatedly swapping neighbours that are out of order.`, { array: a, sorted });
+  for (let i = 0; i < n - 1; i++) {
+    record(0, `Pass ${i + 1}: the largest unsorted item bubbles to the end.`, { array: a, sorted });
+    let swapped = false;
+
+    for (let j = 0; j < n - i - 1; j++) {
+      record(2, `Compare ${a[j]} and ${a[j + 1]}.`, { array: a, sorted, compare: [j, j + 1] });
+      if (a[j] > a[j + 1]) {
+        [a[j], a[j + 1]] = [a[j + 1], a[j]];
+        swapped = true;
+        record(3, `${a[j + 1]} > ${a[j]}, so swap them.`, { array: a, sorted, swap: [j, j + 1] });
+      }
+    }
+
+    sorted.push(n - i - 1);
+    record(4, `${a[n - i - 1]} is now in its final place.`, { array: a, sorted });
+    if (!swapped) {
+      sorted.push(...range(0, n - i - 2));
+      record(5, 'No swaps in this pass, so the rest is already sorted.', { array: a, sorted });
+      break;
+    }
+  }
+
+  record(null, 'Done: the array is sorted.', { array: a, sorted: range(0, n - 1) });
+  return steps;
+};
+
+const mergeSort = ({ array }) => {
+  const { steps, record } = createRecorder();
+  const a = [...array];
+
+  const sort = (lo, hi) => {
+    record(0, `Sort a[${lo}..${hi}].`, { array: a, range: [lo, hi] });
+    if (lo >= hi) {
+      record(1, 'One item is already sorted.', { array: a, range: [lo, hi] });
+      return;
+    }
+
+    const mid = Math.floor((lo + hi) / 2);
+    record(2, `Split at index ${mid}.`, { array: a, range: [lo, hi], pointers: { mid } });
+    sort(lo, mid);
+    sort(mid + 1, hi);
+
+    record(5, `Merge a[${lo}..${mid}] and a[${mid + 1}..${hi}].`, { array: a, range: [lo, hi], pointers: { mid } });
+    const left = a.slice(lo, mid + 1);
+    const right = a.slice(mid + 1, hi + 1);
+    let i = 0;
+    let j = 0;
+    for (let k = lo; k <= hi; k++) {
+      const takeLeft = j >= right.length || (i < left.length && left[i] <= right[j]);
+      a[k] = takeLeft ? left[i++] : right[j++];
+      record(6, `Take ${a[k]}, the smaller front item, into position ${k}.`, { array: a, range: [lo, hi], write: [k] });
+    }
+  };
+
+  record(null, 'Split the array in halves, sort each half, then merge them.', { array: a });
+  sort(0, a.length - 1);
+  record(null, 'Done: the array is sorted.', { array: a, sorted: range(0, a.length - 1) });
+  return steps;
+};
+
+const quickSort = ({ array }) => {
+  const { steps, record } = createRecorder();
+  const a = [...array];
+  const sorted = [];
+
+  const sort = (lo, hi) => {
+    record(0, `Sort a[${lo}..${hi}].`, { array: a, sorted, range: [lo, hi] });
+    if (lo >= hi) {
+      if (lo === hi) sorted.push(lo);
+      record(1, 'Nothing left to partition.', { array: a, sorted, range: [lo, hi] });
+      return;
+    }
+
+    const pivot = a[hi];
+    record(2, `Use the last item, ${pivot}, as the pivot.`, { array: a, sorted, range: [lo, hi], pivot: hi });
+    let i = lo;
+    for (let j = lo; j < hi; j++) {
+      record(5, `Is ${a[j]} < ${pivot}?`, { array: a, sorted, range: [lo, hi], pivot: hi, compare: [j], pointers: { i, j } });
+      if (a[j] < pivot) {
+        [a[i], a[j]] = [a[j], a[i]];
+        record(6, `Yes: move ${a[i]} into the "smaller" part at index ${i}.`, {
+          array: a, sorted, range: [lo, hi], pivot: hi, swap: [i, j], pointers: { i, j }
+        });
+        i++;
+      }
+    }
+
+    [a[i], a[hi]] = [a[hi], a[i]];
+    sorted.push(i);
+    record(7, `Put the pivot ${a[i]} between the parts, at index ${i}.`, { array: a, sorted, range: [lo, hi], swap: [i, hi] });
+    sort(lo, i - 1);
+    sort(i + 1, hi);
+  };
+
+  record(null, 'Partition around a pivot, then sort each side.', { array: a, sorted });
+  sort(0, a.length - 1);
+  record(null, 'Done: the array is sorted.', { array: a, sorted: range(0, a.length - 1) });
+  return steps;
+};
+
+const binarySearch = ({ array, target }) => {
+  const { steps, record } = createRecorder();
+  const a = [...array].sort((x, y) => x - y);
+  let lo = 0;
+  let hi = a.length - 1;
+
+  record(null, `Search the sorted array for ${target}.`, { array: a });
+  record(0, 'Start with the whole array.', { array: a, range: [lo, hi], pointers: { lo, hi } });
+
+  while (lo <= hi) {
+    const mid = Math.floor((lo + hi) / 2);
+    record(2, `Check the middle item, a[${mid}] = ${a[mid]}.`, { array: a, range: [lo, hi], compare: [mid], pointers: { lo, mid, hi } });
+
+    if (a[mid] === target) {
+      record(3, `Found ${target} at index ${mid}.`, { array: a, found: [mid], pointers: { mid } });
+      return steps;
+    }
+    if (a[mid] < target) {
+      lo = mid + 1;
+      record(4, `${a[mid]} < ${target}: discard the left half.`, { array: a, range: [lo, hi], pointers: { lo, hi } });
+    } else {
+      hi = mid - 1;
+      record(5, `${a[mid]} > ${target}: discard the right half.`, { array: a, range: [lo, hi], pointers: { lo, hi } });
+    }
+  }
+
+  record(6, `The range is empty, so ${target} is not in the array.`, { array: a, range: [lo, hi] });
+  return steps;
+};
+
+const stackOperations = ({ operations }) => {
+  const { steps, record } = createRecorder();
+  const items = [];
+
+  record(null, 'An empty stack. Items are added and removed at the top.', { items });
+  for (const { op, value } of operations) {
+    if (op === 'push') {
+      items.push(value);
+      record(1, `push(${value}): ${value} goes on top.`, { items, active: [items.length - 1] });
+    } else if (items.length === 0) {
+      record(op === 'pop' ? 3 : 6, `${op}() on an empty stack: nothing to return.`, { items, error: true });
+    } else if (op === 'pop') {
+      const top = items.length - 1;
+      record(4, `pop(): remove the top item, ${items[top]}.`, { items, removing: [top] });
+      items.pop();
+      record(4, 'The item below is now the top.', { items });
+    } else {
+      record(7, `peek(): the top item is ${items[items.length - 1]}; nothing is removed.`, { items, active: [items.length - 1] });
+    }
+  }
+  return steps;
+};
+
+const queueOperations = ({ operations }) => {
+  const { steps, record } = createRecorder();
+  const items = [];
+
+  record(null, 'An empty queue. Items join at the back and leave from the front.', { items });
+  for (const { op, value } of operations) {
+    if (op === 'enqueue') {
+      items.push(value);
+      record(1, `enqueue(${value}): ${value} joins the back.`, { items, active: [items.length - 1] });
+    } else if (items.length === 0) {
+      record(op === 'dequeue' ? 3 : 6, `${op}() on an empty queue: nothing to return.`, { items, error: true });
+    } else if (op === 'dequeue') {
+      record(4, `dequeue(): remove the front item, ${items[0]}.`, { items, removing: [0] });
+      items.shift();
+      record(4, 'The next item is now at the front.', { items });
+    } else {
+      record(7, `peek(): the front item is ${items[0]}; nothing is removed.`, { items, active: [0] });
+    }
+  }
+  return steps;
+};
+
+const linkedListOperations = ({ operations }) => {
+  const { steps, record } = createRecorder();
+  const items = [];
+
+  record(null, 'An empty list: head is null.', { items });
+  for (const { op, value } of operations) {
+    if (op === 'prepend') {
+      items.unshift(value);
+      record(2, `prepend(${value}): the new node points at the old head and becomes the head.`, { items, active: [0] });
+    } else if (op === 'append') {
+      if (items.length === 0) {
+        items.push(value);
+        record(6, `append(${value}): the list was empty, so the node becomes the head.`, { items, active: [0] });
+        continue;
+      }
+      for (let i = 0; i < items.length; i++) {
+        record(8, `Walk: current = ${items[i]}${i === items.length - 1 ? ' (the last node)' : ''}.`, { items, current: i });
+      }
+      items.push(value);
+      record(9, `append(${value}): link the last node to the new node.`, { items, active: [items.length - 1] });
+    } else {
+      const index = items.indexOf(value);
+      const last = index === -1 ? items.length - 1 : index;
+      for (let i = 0; i <= last; i++) {
+        record(12, `Is current (${items[i]}) the node with ${value}?`, { items, current: i });
+      }
+      if (index === -1) {
+        record(13, `${value} is not in the list; nothing to remove.`, { items, error: true });
+        continue;
+      }
+      record(14, index === 0
+        ? `Remove ${value}: head moves to the next node.`
+        : `Remove ${value}: point ${items[index - 1]} past it.`, { items, removing: [index] });
+      items.splice(index, 1);
+      record(14, `${value} is unlinked.`, { items });
+    }
+  }
+  return steps;
+};
+
+// Tree nodes are { value, left, right } with child indexes into `nodes`
+const bstInsert = ({ values }) => {
+  const { steps, record } = createRecorder();
+  const nodes = [];
+  let root = null;
+
+  record(null, 'An empty binary search tree: smaller values go left, larger or equal go right.', { nodes, root });
+  for (const value of values) {
+    record(0, `insert(${value})`, { nodes, root });
+    if (root === null) {
+      nodes.push({ value, left: null, right: null });
+      root = 0;
+      record(1, `The tree is empty, so ${value} becomes the root.`, { nodes, root, active: [0] });
+      continue;
+    }
+
+    let current = root;
+    for (;;) {
+      const node = nodes[current];
+      const side = value < node.value ? 'left' : 'right';
+      record(side === 'left' ? 3 : 6, `${value} ${side === 'left' ? '<' : '>='} ${node.value}: go ${side}.`, { nodes, root, current });
+
+      if (node[side] === null) {
+        nodes.push({ value, left: null, right: null });
+        node[side] = nodes.length - 1;
+        record(side === 'left' ? 4 : 7, `The ${side} spot is empty: put ${value} there.`, { nodes, root, active: [nodes.length - 1] });
+        break;
+      }
+      current = node[side];
+      record(side === 'left' ? 5 : 8, `Move to ${nodes[current].value}.`, { nodes, root, current });
+    }
+  }
+  return steps;
+};
+
+// view: which renderer draws the steps. inputs: a parser per fence body key;
+// defaults: the text used for keys the fence leaves out.
+export const ALGORITHMS = {
+  'bubble-sort': {
+    title: 'Bubble Sort',
+    view: 'array',
+    inputs: { array: parseNumbers },
+    defaults: { array: '5, 1, 4, 2, 8, 3' },
+    pseudocode: [
+      'for i from 0 to n - 2',
+      '  for j from 0 to n - i - 2',
+      '    if a[j] > a[j + 1]',
+      '      swap a[j] and a[j + 1]',
+      '  a[n - i - 1] is in place',
+      '  if nothing was swapped: stop'
+    ],
+    run: bubbleSort
+  },
+  'merge-sort': {
+    title: 'Merge Sort',
+    view: 'array',
+    inputs: { array: parseNumbers },
+    defaults: { array: '38, 27, 43, 3, 9, 82, 10' },
+    pseudocode: [
+      'mergeSort(a, lo, hi)',
+      '  if lo >= hi: return',
+      '  mid = floor((lo + hi) / 2)',
+      '  mergeSort(a, lo, mid)',
+      '  mergeSort(a, mid + 1, hi)',
+      '  merge a[lo..mid] with a[mid + 1..hi]',
+      '    copy the smaller front item into a[k]'
+    ],
+    run: mergeSort
+  },
+  'quick-sort': {
+    title: 'Quick Sort',
+    view: 'array',
+    inputs: { array: parseNumbers },
+    defaults: { array: '10, 80, 30, 90, 40, 50, 70' },
+    pseudocode: [
+      'quickSort(a, lo, hi)',
+      '  if lo >= hi: return',
+      '  pivot = a[hi]',
+      '  i = lo',
+      '  for j from lo to hi - 1',
+      '    if a[j] < pivot',
+      '      swap a[i] and a[j]; i = i + 1',
+      '  swap a[i] and a[hi]',
+      '  quickSort(a, lo, i - 1); quickSort(a, i + 1, hi)'
+    ],
+    run: quickSort
+  },
+  'binary-search': {
+    title: 'Binary Search',
+    view: 'array',
+    inputs: { array: parseNumbers, target: parseNumber },
+    defaults: { array: '2, 5, 8, 12, 16, 23, 38, 56, 72, 91', target: '23' },
+    pseudocode: [
+      'lo = 0, hi = n - 1',
+      'while lo <= hi',
+      '  mid = floor((lo + hi) / 2)',
+      '  if a[mid] == target: return mid',
+      '  if a[mid] < target: lo = mid + 1',
+      '  else: hi = mid - 1',
+      'return -1'
+    ],
+    run: binarySearch
+  },
+  'stack': {
+    title: 'Stack',
+    view: 'stack',
+    inputs: { operations: parseOperations(['push', 'pop', 'peek']) },
+    defaults: { operations: 'push 3, push 7, push 1, peek, pop, push 9, pop, pop' },
+    pseudocode: [
+      'push(x)',
+      '  items[top] = x; top = top + 1',
+      'pop()',
+      '  if top == 0: underflow',
+      '  top = top - 1; return items[top]',
+      'peek()',
+      '  if top == 0: underflow',
+      '  return items[top - 1]'
+    ],
+    run: stackOperations
+  },
+  'queue': {
+    title: 'Queue',
+    view: 'queue',
+    inputs: { operations: parseOperations(['enqueue', 'dequeue', 'peek']) },
+    defaults: { operations: 'enqueue 3, enqueue 7, enqueue 1, peek, dequeue, enqueue 9, dequeue' },
+    pseudocode: [
+      'enqueue(x)',
+      '  items[back] = x; back = back + 1',
+      'dequeue()',
+      '  if front == back: empty',
+      '  x = items[front]; front = front + 1; return x',
+      'peek()',
+      '  if front == back: empty',
+      '  return items[front]'
+    ],
+    run: queueOperations
+  },
+  'linked-list': {
+    title: 'Singly Linked List',
+    view: 'list',
+    inputs: { operations: parseOperations(['append', 'prepend', 'remove']) },
+    defaults: { operations: 'append 4, append 8, prepend 1, append 15, remove 8' },
+    pseudocode: [
+      'prepend(x)',
+      '  node = new Node(x)',
+      '  node.next = head; head = node',
+      'append(x)',
+      '  node = new Node(x)',
+      '  if head == null',
+      '    head = node; return',
+      '  current = head',
+      '  while current.next != null: current = current.next',
+      '  current.next = node',
+      'remove(x)',
+      '  current = head, previous = null',
+      '  while current != null and current.value != x: move on',
+      '  if current == null: return',
+      '  unlink current (previous.next or head = current.next)'
+    ],
+    run: linkedListOperations
+  },
+  'bst-insert': {
+    title: 'Binary Search Tree Insert',
+    view: 'tree',
+    inputs: { values: parseNumbers },
+    defaults: { values: '50, 30, 70, 20, 40, 60, 80, 35' },
+    pseudocode: [
+      'insert(x)',
+      '  if root == null: root = new Node(x); return',
+      '  current = root; loop:',
+      '    if x < current.value',
+      '      if current.left == null: current.left = new Node(x); return',
+      '      current = current.left',
+      '    else',
+      '      if current.right == null: current.right = new Node(x); return',
+      '      current = current.right'
+    ],
+    run: bstInsert
+  }
+};
+
+// Parse a fence body (`key: value` lines) into the algorithm's inputs
+export const parseVisualizerInput = (algorithm, source) => {
+  const values = { ...algorithm.defaults };
+
+  for (const rawLine of source.split('\n')) {
+    const line = rawLine.trim();
+    if (line === '' || line.startsWith('//')) continue;
+
+    const match = line.match(/^([a-z]+)\s*:\s*(.*)$/i);
+    if (!match) {
+      throw new VisualizerInputError(`can't read "${line}" (expected key: value)`);
+    }
+    const [, key, value] = match;
+    if (!algorithm.inputs[key]) {
+      throw new VisualizerInputError(`unknown input "${key}" (expected ${Object.keys(algorithm.inputs).join(', ')})`);
+    }
+    values[key] = value;
+  }
+
+  return Object.fromEntries(
+    Object.entries(values).map(([key, value]) => [key, algorithm.inputs[key](value, key)])
+  );
+};
+
+// All steps for a ```visualize fence. Throws VisualizerInputError.
+export const buildVisualization = (name, source) => {
+  const algorithm = ALGORITHMS[name];
+  if (!algorithm) {
+    throw new VisualizerInputError(
+      `${name ? `unknown algorithm "${name}"` : 'no algorithm given'} (expected one of: ${Object.keys(ALGORITHMS).join(', ')})`
+    );
+  }
+
+  return { algorithm, steps: algorithm.run(parseVisualizerInput(algorithm, source)) };
+};
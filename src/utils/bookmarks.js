@@ -0,0 +1,90 @@
+import { createStore, useStore } from './storage';
+
+// Bookmarked headings, keyed by "topicId#headingId":
+// { topicId, headingId, headingText, note, createdAt, updatedAt }
+const bookmarkStore = createStore('bookmarks', {});
+
+const EXPORT_VERSION = 1;
+
+export const useBookmarks = () => useStore(bookmarkStore);
+
+export const getBookmarkKey = (topicId, headingId) => `${topicId}#${headingId}`;
+
+export const getBookmark = (bookmarks, topicId, headingId) => bookmarks[getBookmarkKey(topicId, headingId)] || null;
+
+// Create the bookmark if needed and apply the given changes (e.g. { note })
+export const saveBookmark = (topicId, headingId, headingText, changes = {}) => {
+  const key = getBookmarkKey(topicId, headingId);
+  const now = new Date().toISOString();
+
+  bookmarkStore.set(bookmarks => ({
+    ...bookmarks,
+    [key]: {
+      topicId,
+      headingId,
+      headingText,
+      note: '',
+      createdAt: now,
+      ...bookmarks[key],
+      ...changes,
+      updatedAt: now
+    }
+  }));
+};
+
+export const removeBookmark = (topicId, headingId) => {
+  bookmarkStore.set(bookmarks => {
+    const next = { ...bookmarks };
+    delete next[getBookmarkKey(topicId, headingId)];
+    return next;
+  });
+};
+
+export const exportBookmarks = () => ({
+  type: 'js-learning-hub-bookmarks',
+  version: EXPORT_VERSION,
+  exportedAt: new Date().toISOString(),
+  bookmarks: Object.values(bookmarkStore.get())
+});
+
+const isValidBookmark = (bookmark) => (
+  typeof bookmark?.topicId === 'string' &&
+  typeof bookmark.headingId === 'string' &&
+  typeof bookmark.updatedAt === 'string'
+);
+
+const stringOr = (value, fallback) => (typeof value === 'string' ? value : fallback);
+
+// Only the known fields, with defaults for any that are missing or not
+// strings, so a hand-edited file can't break the bookmarks page
+const normalizeBookmark = (bookmark) => ({
+  topicId: bookmark.topicId,
+  headingId: bookmark.headingId,
+  headingText: stringOr(bookmark.headingText, bookmark.headingId),
+  note: stringOr(bookmark.note, ''),
+  createdAt: stringOr(bookmark.createdAt, new Date(0).toISOString()),
+  updatedAt: bookmark.updatedAt
+});
+
+// Merge an exported file into the current bookmarks, keeping whichever copy of a
+// bookmark was edited last; returns how many bookmarks were added or updated
+export const importBookmarks = (data) => {
+  if (data?.type !== 'js-learning-hub-bookmarks' || !Array.isArray(data.bookmarks)) {
+    throw new Error('This file is not a bookmarks export');
+  }
+
+  const current = bookmarkStore.get();
+  const next = { ...current };
+  let changed = 0;
+
+  for (const bookmark of data.bookmarks.filter(isValidBookmark).map(normalizeBookmark)) {
+    const key = getBookmarkKey(bookmark.topicId, bookmark.headingId);
+    if (!current[key] || current[key].updatedAt < bookmark.updatedAt) {
+      next[key] = bookmark;
+      changed++;
+    }
+  }
+
+  bookmarkStore.set(next);
+  return changed;
+};
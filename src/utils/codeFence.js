@@ -0,0 +1,64 @@
+import { toString } from 'hast-util-to-string';
+
+// The <code> element inside a fenced block's <pre>
+export const getCodeNode = (preNode) => preNode?.children?.find(child => child.tagName === 'code');
+
+// Pull the language out of the `language-xxx` class rehype-highlight leaves on <code>
+export const getLanguage = (codeNode) => {
+  const classNames = codeNode?.properties?.className || [];
+  const languageClass = classNames.find(name => String(name).startsWith('language-'));
+  return languageClass ? String(languageClass).replace('language-', '') : null;
+};
+
+// Source text of a fenced block, without the trailing newline
+export const getFenceCode = (preNode) => toString(getCodeNode(preNode) || preNode).replace(/\n$/, '');
+
+// Whatever follows the language in the fence's info string, e.g. `sort` in ```visualize sort
+// (kept by utils/remarkFenceMeta.js)
+export const getFenceMeta = (codeNode) => {
+  const meta = codeNode?.properties?.dataMeta;
+  return meta ? String(meta).trim() : '';
+};
+
+// key=value or key="quoted value", {line ranges}, or a bare flag
+const META_TOKEN = /(\w+)=(?:"([^"]*)"|'([^']*)'|(\S+))|\{([\d,\s-]*)\}|(\S+)/g;
+
+// "1,3-5" -> Set {1, 3, 4, 5}
+const parseLineRanges = (ranges) => {
+  const lines = new Set();
+  for (const range of ranges.split(',')) {
+    const [start, end = start] = range.split('-').map(part => Number(part.trim()));
+    if (!Number.isInteger(start) || !Number.isInteger(end)) continue;
+    for (let line = start; line <= end; line++) {
+      lines.add(line);
+    }
+  }
+  return lines;
+};
+
+// Options a code block takes after its language:
+//   ```javascript title="counter.js" {2,4-6} collapse tab="ES2015+"
+// -> { title: 'counter.js', highlight: Set {2, 4, 5, 6}, collapse: true, tab: 'ES2015+' }
+// `collapse` folds the block even when it is short, `expanded` never folds it.
+// Diagram fences (see components/CodeFence.jsx) read their info string themselves.
+export const parseFenceMeta = (meta) => {
+  const options = { title: null, tab: null, highlight: new Set(), collapse: null };
+
+  for (const [, key, doubleQuoted, singleQuoted, bare, ranges, flag] of (meta || '').matchAll(META_TOKEN)) {
+    if (key === 'title' || key === 'tab') {
+      options[key] = doubleQuoted ?? singleQuoted ?? bare;
+    } else if (ranges !== undefined) {
+      parseLineRanges(ranges).forEach(line => options.highlight.add(line));
+    } else if (flag === 'collapse' || flag === 'expanded') {
+      options.collapse = flag === 'collapse';
+    }
+  }
+
+  return options;
+};
+
+// ```diff fences, and ```diff-<language> ones highlighted as that language,
+// mark their lines added or removed with a leading + or -
+// (see utils/remarkCodeBlocks.js). The flag is checked by presence, since
+// rehype-raw turns its value into an empty string.
+export const isDiffFence = (codeNode) => 'dataDiff' in (codeNode?.properties || {});
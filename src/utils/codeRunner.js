@@ -0,0 +1,61 @@
+// Run code snippets inside a throwaway Web Worker so they can't touch the page
+
+export const RUN_TIMEOUT_MS = 3000;
+
+// Languages whose fenced blocks get a "Run" button
+export const RUNNABLE_LANGUAGES = ['javascript', 'js'];
+
+export const isRunnableLanguage = (language) => RUNNABLE_LANGUAGES.includes(language);
+
+// Starts the snippet and streams each console entry to onOutput.
+// Returns a promise that resolves with 'done', 'timeout' or 'stopped',
+// and a stop() function for cancelling (e.g. when the block unmounts).
+export const runCode = (code, { onOutput, timeout = RUN_TIMEOUT_MS } = {}) => {
+  const worker = new Worker(new URL('../workers/codeRunner.worker.js', import.meta.url), {
+    type: 'module'
+  });
+
+  let finish;
+  const result = new Promise((resolve) => {
+    finish = resolve;
+  });
+
+  const end = (status) => {
+    clearTimeout(timer);
+    worker.terminate();
+    finish(status);
+  };
+
+  const timer = setTimeout(() => {
+    onOutput?.({
+      level: 'error',
+      text: `Execution timed out after ${timeout / 1000}s (possible infinite loop)`
+    });
+    end('timeout');
+  }, timeout);
+
+  worker.addEventListener('message', (event) => {
+    const { type, level, text, message } = event.data;
+
+    if (type === 'log') {
+      onOutput?.({ level, text });
+    } else if (type === 'error') {
+      onOutput?.({ level: 'error', text: `Uncaught ${message}` });
+    } else if (type === 'done') {
+      end('done');
+    }
+  });
+
+  worker.addEventListener('error', (event) => {
+    event.preventDefault();
+    onOutput?.({ level: 'error', text: event.message || 'Failed to start the code runner' });
+    end('done');
+  });
+
+  worker.postMessage({ code });
+
+  return {
+    result,
+    stop: () => end('stopped')
+  };
+};
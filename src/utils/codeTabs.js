@@ -0,0 +1,10 @@
+import { createStore, useStore } from './storage';
+
+// The tab label picked last in any group of tabbed code blocks. Every group
+// that has a tab with this label shows it, so choosing "TypeScript" once
+// switches the whole site.
+const codeTabStore = createStore('code-tab', null);
+
+export const useCodeTab = () => useStore(codeTabStore);
+
+export const setCodeTab = (label) => codeTabStore.set(label);
@@ -0,0 +1,470 @@
+import { parseExpressionAt } from 'acorn';
+
+// The abstract operations behind `==`, `===`, `Object.is`, `+` and the
+// relational operators, written out step by step for the ```coercion explorer
+// (components/CoercionExplorer.jsx). Each operation follows the spec's
+// algorithm (IsLooselyEqual, ToPrimitive, ToNumber, ...) and records what it
+// did, so the explorer can show why `[] == false` is true and not only that
+// it is. The fence body lists the values to pick from:
+//
+//   [] == false
+//   []
+//   false
+//   "0"
+//
+// An optional first line `left <operator> right` picks the starting pair;
+// every other line is one preset value, written as a JavaScript literal.
+
+export const DEFAULT_PRESETS = [
+  '[]', '{}', '[0]', '[1]', 'null', 'undefined', 'NaN', '0', '1', '""', '"0"', '"1"', '" "', 'true', 'false'
+];
+
+export const OPERATORS = [
+  { id: '==', format: (left, right) => `${left} == ${right}` },
+  { id: '===', format: (left, right) => `${left} === ${right}` },
+  { id: 'Object.is', format: (left, right) => `Object.is(${left}, ${right})` },
+  { id: '+', format: (left, right) => `${left} + ${right}` },
+  { id: '<', format: (left, right) => `${left} < ${right}` },
+  { id: '>', format: (left, right) => `${left} > ${right}` },
+  { id: '<=', format: (left, right) => `${left} <= ${right}` },
+  { id: '>=', format: (left, right) => `${left} >= ${right}` }
+];
+
+const START_PATTERN = /^(.+?)\s+(===|==|<=|>=|<|>|\+)\s+(.+)$/;
+
+// Presets and starting pair from a fence body
+export const parseCoercionFence = (source) => {
+  const lines = source.split('\n').map(line => line.trim()).filter(Boolean);
+  const match = lines.length > 0 ? START_PATTERN.exec(lines[0]) : null;
+  const start = match ? { left: match[1], operator: match[2], right: match[3] } : null;
+  const values = match ? lines.slice(1) : lines;
+  const presets = values.length > 0 ? values : DEFAULT_PRESETS;
+
+  return {
+    presets,
+    start: start ?? { left: presets[0], operator: '==', right: presets[Math.min(1, presets.length - 1)] }
+  };
+};
+
+// Built-ins a typed value may construct or call, e.g. new Date(0) or Symbol("id")
+const CONSTRUCTORS = { Date, Number, String, Boolean };
+const FUNCTIONS = { Symbol, BigInt, String, Number, Boolean };
+const GLOBALS = { undefined, NaN, Infinity };
+
+const UNARY_OPERATORS = {
+  '-': (value) => -value,
+  '+': (value) => +value,
+  '!': (value) => !value,
+  void: () => undefined
+};
+
+// Builds the value a literal's syntax tree describes. Nothing the reader types
+// is run as code: there are no function literals, so no valueOf/toString of
+// theirs can run while the value is built or compared.
+const buildValue = (node) => {
+  switch (node.type) {
+    case 'Literal':
+      if (node.regex) return new RegExp(node.regex.pattern, node.regex.flags);
+      if (node.bigint !== undefined) return BigInt(node.bigint);
+      return node.value;
+
+    case 'ParenthesizedExpression':
+      return buildValue(node.expression);
+
+    case 'Identifier':
+      if (Object.hasOwn(GLOBALS, node.name)) return GLOBALS[node.name];
+      throw new Error(`${node.name} is not defined here; only literal values can be used`);
+
+    case 'TemplateLiteral':
+      if (node.expressions.length > 0) break;
+      return node.quasis[0].value.cooked;
+
+    case 'UnaryExpression':
+      if (!Object.hasOwn(UNARY_OPERATORS, node.operator)) break;
+      return UNARY_OPERATORS[node.operator](buildValue(node.argument));
+
+    case 'ArrayExpression': {
+      const array = [];
+      node.elements.forEach((element, index) => {
+        if (element?.type === 'SpreadElement') throw new Error('Spread is not supported in values');
+        if (element) array[index] = buildValue(element);
+      });
+      array.length = node.elements.length;
+      return array;
+    }
+
+    case 'ObjectExpression': {
+      const object = {};
+      for (const property of node.properties) {
+        if (property.type !== 'Property' || property.kind !== 'init' || property.method) {
+          throw new Error('Object values can only have plain key: value properties');
+        }
+        const key = property.computed || property.key.type === 'Literal'
+          ? String(buildValue(property.key))
+          : property.key.name;
+        object[key] = buildValue(property.value);
+      }
+      return object;
+    }
+
+    case 'NewExpression':
+    case 'CallExpression': {
+      const builtins = node.type === 'NewExpression' ? CONSTRUCTORS : FUNCTIONS;
+      const name = node.callee.type === 'Identifier' ? node.callee.name : null;
+      if (!name || !Object.hasOwn(builtins, name)) break;
+
+      const args = node.arguments.map(buildValue);
+      return node.type === 'NewExpression' ? new builtins[name](...args) : builtins[name](...args);
+    }
+  }
+
+  throw new Error(`${node.type} is not supported; only literal values can be used`);
+};
+
+// Reads a value typed by the reader, e.g. `[1, 2]`, `{ a: 1 }` or `new Date(0)`.
+// It is parsed as a literal rather than run, so a half-typed loop or a call
+// like `localStorage.clear()` is an error instead of code on the page.
+export const evaluateValue = (source) => {
+  const text = source.trim();
+  if (!text) throw new Error('Type a value');
+
+  const node = parseExpressionAt(text, 0, { ecmaVersion: 'latest', preserveParens: true });
+  if (node.end !== text.length) {
+    throw new SyntaxError(`Unexpected "${text.slice(node.end).trim()}" after the value`);
+  }
+  return buildValue(node);
+};
+
+const isObject = (value) => (typeof value === 'object' && value !== null) || typeof value === 'function';
+
+// The spec's type names: Undefined, Null, Boolean, String, Number, BigInt, Symbol, Object
+const getType = (value) => {
+  if (value === null) return 'Null';
+  if (isObject(value)) return 'Object';
+  const type = typeof value;
+  return type === 'bigint' ? 'BigInt' : type[0].toUpperCase() + type.slice(1);
+};
+
+const describeType = (value) => {
+  const type = getType(value);
+  return /^[AEIOU]/.test(type) ? `an ${type}` : `a ${type}`;
+};
+
+// A value written back as JavaScript source: "0", [1, 2], -0, 1n
+export const formatLiteral = (value, depth = 0) => {
+  if (typeof value === 'string') return JSON.stringify(value);
+  if (typeof value === 'bigint') return `${value}n`;
+  if (Object.is(value, -0)) return '-0';
+  if (typeof value === 'symbol') return value.toString();
+  if (typeof value === 'function') return `function ${value.name || 'anonymous'}`;
+  if (!isObject(value)) return String(value);
+  if (value instanceof Date) return `Date(${Number.isNaN(value.getTime()) ? 'Invalid Date' : value.toISOString()})`;
+  if (depth > 1) return Array.isArray(value) ? '[…]' : '{…}';
+  if (Array.isArray(value)) return `[${value.map(item => formatLiteral(item, depth + 1)).join(', ')}]`;
+
+  const entries = Object.entries(value).map(([key, item]) => `${key}: ${formatLiteral(item, depth + 1)}`);
+  return entries.length ? `{ ${entries.join(', ')} }` : '{}';
+};
+
+// Nested list of what the operations did. `call` indents the steps of an
+// abstract operation under its name and notes what it returned.
+const createTrace = () => {
+  const steps = [];
+  let depth = 0;
+
+  return {
+    steps,
+    note: (text) => steps.push({ depth, text, result: null }),
+    call: (text, run) => {
+      const step = { depth, text, result: null };
+      steps.push(step);
+      depth += 1;
+      try {
+        const value = run();
+        step.result = formatLiteral(value);
+        return value;
+      } finally {
+        depth -= 1;
+      }
+    }
+  };
+};
+
+const toPrimitive = (trace, input, hint) => trace.call(`ToPrimitive(${formatLiteral(input)}, hint "${hint}")`, () => {
+  const exotic = input[Symbol.toPrimitive];
+  if (exotic !== undefined && exotic !== null) {
+    const result = exotic.call(input, hint);
+    trace.note(`It has a [Symbol.toPrimitive] method, which returns ${formatLiteral(result)}`);
+    if (isObject(result)) throw new TypeError('Cannot convert object to primitive value');
+    return result;
+  }
+
+  const order = hint === 'string' ? ['toString', 'valueOf'] : ['valueOf', 'toString'];
+  trace.note(`OrdinaryToPrimitive: try ${order[0]}() first, then ${order[1]}()`);
+  for (const name of order) {
+    const method = input[name];
+    if (typeof method !== 'function') {
+      trace.note(`${name} is not a function, so skip it`);
+      continue;
+    }
+    const result = method.call(input);
+    if (!isObject(result)) {
+      trace.note(`${name}() returns ${formatLiteral(result)}, a primitive`);
+      return result;
+    }
+    trace.note(`${name}() returns ${formatLiteral(result)}, still an object`);
+  }
+  throw new TypeError('Cannot convert object to primitive value');
+});
+
+const toNumber = (trace, value) => trace.call(`ToNumber(${formatLiteral(value)})`, () => {
+  switch (getType(value)) {
+    case 'Undefined':
+      trace.note('undefined becomes NaN');
+      return NaN;
+    case 'Null':
+      trace.note('null becomes 0');
+      return 0;
+    case 'Boolean':
+      trace.note(`${value} becomes ${Number(value)}`);
+      return Number(value);
+    case 'Number':
+      trace.note('Already a number');
+      return value;
+    case 'String': {
+      const number = Number(value);
+      if (value.trim() === '') {
+        trace.note('An empty or all-whitespace string becomes 0');
+      } else if (Number.isNaN(number)) {
+        trace.note('Not a numeric literal, even after trimming whitespace, so NaN');
+      } else {
+        trace.note('Read as a numeric literal after trimming whitespace');
+      }
+      return number;
+    }
+    case 'Object':
+      return toNumber(trace, toPrimitive(trace, value, 'number'));
+    default:
+      throw new TypeError(`Cannot convert a ${getType(value)} value to a number`);
+  }
+});
+
+// ToNumber, except that BigInts stay BigInts
+const toNumeric = (trace, value) => {
+  const primitive = isObject(value) ? toPrimitive(trace, value, 'number') : value;
+  return typeof primitive === 'bigint' || typeof primitive === 'number' ? primitive : toNumber(trace, primitive);
+};
+
+const toString = (trace, value) => trace.call(`ToString(${formatLiteral(value)})`, () => {
+  switch (getType(value)) {
+    case 'String':
+      trace.note('Already a string');
+      return value;
+    case 'Number':
+      if (Object.is(value, -0)) trace.note('-0 is written as "0"');
+      return String(value);
+    case 'Symbol':
+      throw new TypeError('Cannot convert a Symbol value to a string');
+    case 'Object':
+      return toString(trace, toPrimitive(trace, value, 'string'));
+    default:
+      return String(value);
+  }
+});
+
+// undefined when the string is not a BigInt literal
+const stringToBigInt = (trace, value) => trace.call(`StringToBigInt(${formatLiteral(value)})`, () => {
+  try {
+    return BigInt(value.trim());
+  } catch {
+    trace.note('Not a BigInt literal');
+    return undefined;
+  }
+});
+
+const isStrictlyEqual = (trace, x, y) => {
+  if (getType(x) !== getType(y)) {
+    trace.note(`Different types (${getType(x)} and ${getType(y)}), so false without converting anything`);
+    return false;
+  }
+  if (typeof x === 'number') {
+    if (Number.isNaN(x) || Number.isNaN(y)) {
+      trace.note('NaN is not equal to anything, itself included');
+      return false;
+    }
+    if (x === 0 && y === 0 && !Object.is(x, y)) {
+      trace.note('+0 and -0 count as equal');
+      return true;
+    }
+  }
+  if (isObject(x)) {
+    trace.note(x === y
+      ? 'Both sides are the same object'
+      : 'Two different objects: objects are compared by reference, never by their contents');
+    return x === y;
+  }
+  trace.note(x === y ? `Both are ${getType(x)}s with the same value` : `Both are ${getType(x)}s, with different values`);
+  return x === y;
+};
+
+const isSameValue = (trace, x, y) => {
+  if (typeof x === 'number' && typeof y === 'number') {
+    if (Number.isNaN(x) && Number.isNaN(y)) {
+      trace.note('Object.is treats NaN as the same as NaN');
+      return true;
+    }
+    if (x === 0 && y === 0 && !Object.is(x, y)) {
+      trace.note('Object.is tells +0 and -0 apart');
+      return false;
+    }
+  }
+  return isStrictlyEqual(trace, x, y);
+};
+
+const isLooselyEqual = (trace, x, y) => {
+  trace.note(`Compare ${formatLiteral(x)} == ${formatLiteral(y)}`);
+  const typeX = getType(x);
+  const typeY = getType(y);
+
+  if (typeX === typeY) {
+    trace.note(`Both are ${typeX}s, so this is the same as ===`);
+    return isStrictlyEqual(trace, x, y);
+  }
+  if (x == null && y == null) {
+    trace.note('null and undefined are loosely equal to each other, and to nothing else');
+    return true;
+  }
+  if (typeX === 'Number' && typeY === 'String') {
+    trace.note('A Number and a String: convert the string to a number');
+    return isLooselyEqual(trace, x, toNumber(trace, y));
+  }
+  if (typeX === 'String' && typeY === 'Number') {
+    trace.note('A String and a Number: convert the string to a number');
+    return isLooselyEqual(trace, toNumber(trace, x), y);
+  }
+  if (typeX === 'BigInt' && typeY === 'String') {
+    const n = stringToBigInt(trace, y);
+    return n === undefined ? false : isLooselyEqual(trace, x, n);
+  }
+  if (typeX === 'String' && typeY === 'BigInt') {
+    const n = stringToBigInt(trace, x);
+    return n === undefined ? false : isLooselyEqual(trace, n, y);
+  }
+  if (typeX === 'Boolean') {
+    trace.note('The left side is a Boolean: convert it to a number');
+    return isLooselyEqual(trace, toNumber(trace, x), y);
+  }
+  if (typeY === 'Boolean') {
+    trace.note('The right side is a Boolean: convert it to a number');
+    return isLooselyEqual(trace, x, toNumber(trace, y));
+  }
+  if (['String', 'Number', 'BigInt', 'Symbol'].includes(typeX) && typeY === 'Object') {
+    trace.note('A primitive and an object: convert the object to a primitive');
+    return isLooselyEqual(trace, x, toPrimitive(trace, y, 'default'));
+  }
+  if (typeX === 'Object' && ['String', 'Number', 'BigInt', 'Symbol'].includes(typeY)) {
+    trace.note('An object and a primitive: convert the object to a primitive');
+    return isLooselyEqual(trace, toPrimitive(trace, x, 'default'), y);
+  }
+  if ((typeX === 'BigInt' && typeY === 'Number') || (typeX === 'Number' && typeY === 'BigInt')) {
+    const finite = Number.isFinite(Number(x)) && Number.isFinite(Number(y));
+    trace.note(finite ? 'A BigInt and a Number: compare their mathematical values' : 'NaN and Infinity never equal a BigInt');
+    return finite && x == y;
+  }
+  trace.note(`No rule converts ${describeType(x)} and ${describeType(y)} into each other, so false`);
+  return false;
+};
+
+// IsLessThan: true, false, or undefined when NaN is involved
+const isLessThan = (trace, x, y, leftFirst) => {
+  let px;
+  let py;
+  if (leftFirst) {
+    px = isObject(x) ? toPrimitive(trace, x, 'number') : x;
+    py = isObject(y) ? toPrimitive(trace, y, 'number') : y;
+  } else {
+    py = isObject(y) ? toPrimitive(trace, y, 'number') : y;
+    px = isObject(x) ? toPrimitive(trace, x, 'number') : x;
+  }
+
+  if (typeof px === 'string' && typeof py === 'string') {
+    let index = 0;
+    while (index < px.length && index < py.length && px[index] === py[index]) index += 1;
+    if (index === px.length || index === py.length) {
+      trace.note('Both are strings and one starts with the other, so the shorter one is smaller');
+    } else {
+      trace.note(`Both are strings, compared code unit by code unit: they first differ at index ${index}, ${formatLiteral(px[index])} against ${formatLiteral(py[index])}`);
+    }
+    return px < py;
+  }
+  if (typeof px === 'bigint' && typeof py === 'string') {
+    const n = stringToBigInt(trace, py);
+    return n === undefined ? undefined : px < n;
+  }
+  if (typeof px === 'string' && typeof py === 'bigint') {
+    const n = stringToBigInt(trace, px);
+    return n === undefined ? undefined : n < py;
+  }
+
+  const nx = toNumeric(trace, px);
+  const ny = toNumeric(trace, py);
+  if (Number.isNaN(nx) || Number.isNaN(ny)) {
+    trace.note('NaN is involved, so the comparison is undefined, which the operator turns into false');
+    return undefined;
+  }
+  trace.note(`Compare the numbers ${formatLiteral(nx)} and ${formatLiteral(ny)}`);
+  return nx < ny;
+};
+
+const add = (trace, x, y) => {
+  const lprim = isObject(x) ? toPrimitive(trace, x, 'default') : x;
+  const rprim = isObject(y) ? toPrimitive(trace, y, 'default') : y;
+
+  if (typeof lprim === 'string' || typeof rprim === 'string') {
+    trace.note('One side is a string, so + joins strings');
+    const lstr = typeof lprim === 'string' ? lprim : toString(trace, lprim);
+    const rstr = typeof rprim === 'string' ? rprim : toString(trace, rprim);
+    return lstr + rstr;
+  }
+  trace.note('Neither side is a string, so + adds numbers');
+  const lnum = toNumeric(trace, lprim);
+  const rnum = toNumeric(trace, rprim);
+  if (typeof lnum !== typeof rnum) {
+    throw new TypeError('Cannot mix BigInt and other types, use explicit conversions');
+  }
+  return lnum + rnum;
+};
+
+const OPERATIONS = {
+  '==': isLooselyEqual,
+  '===': isStrictlyEqual,
+  'Object.is': isSameValue,
+  '+': add,
+  '<': (trace, x, y) => isLessThan(trace, x, y, true) ?? false,
+  '>': (trace, x, y) => {
+    trace.note('a > b is worked out as b < a');
+    return isLessThan(trace, y, x, false) ?? false;
+  },
+  '<=': (trace, x, y) => {
+    trace.note('a <= b is worked out as !(b < a), and is false when that comparison is undefined');
+    const result = isLessThan(trace, y, x, false);
+    return result === undefined ? false : !result;
+  },
+  '>=': (trace, x, y) => {
+    trace.note('a >= b is worked out as !(a < b), and is false when that comparison is undefined');
+    const result = isLessThan(trace, x, y, true);
+    return result === undefined ? false : !result;
+  }
+};
+
+// Result of `left <operator> right` and the steps that lead to it. A thrown
+// TypeError (e.g. from a Symbol) is reported as the result.
+export const explainOperation = (operator, left, right) => {
+  const trace = createTrace();
+  try {
+    const value = OPERATIONS[operator](trace, left, right);
+    return { value, text: formatLiteral(value), error: null, steps: trace.steps };
+  } catch (error) {
+    return { value: undefined, text: `${error.name}: ${error.message}`, error, steps: trace.steps };
+  }
+};
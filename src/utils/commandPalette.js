@@ -0,0 +1,168 @@
+import { learningPaths, mainSections, patterns } from '../data/patterns';
+import { getTopicRoute } from './contentLinks';
+import { getQuestionBanks } from './interviewParser';
+import { createStore, useStore } from './storage';
+
+const MAX_RECENT = 5;
+const MAX_RESULTS = 50;
+
+// Ties between equally good matches go to the broader kind of item
+const KIND_BONUS = {
+  action: 3,
+  section: 2,
+  path: 2,
+  topic: 1,
+  heading: 0
+};
+
+// Items last picked in the palette, newest first. Navigation items are kept
+// whole, since headings only exist once the search index has loaded.
+const recentStore = createStore('recent-commands', []);
+
+export const useRecentCommands = () => useStore(recentStore);
+
+export const recordRecentCommand = (item) => {
+  const entry = { id: item.id, kind: item.kind, title: item.title, subtitle: item.subtitle, icon: item.icon, route: item.route };
+  recentStore.set(recent => [entry, ...recent.filter(other => other.id !== item.id)].slice(0, MAX_RECENT));
+};
+
+const isWordStart = (text, index) => {
+  if (index === 0) return true;
+  const previous = text[index - 1];
+  return /[\s\-_/.:(›]/.test(previous) || (/[a-z]/.test(previous) && /[A-Z]/.test(text[index]));
+};
+
+// Index of each query character in the text, in order, or null. With
+// `preferWordStarts` a character is matched at the next word start when
+// there is one, which finds "ee" in "Event Emitter" at both capitals.
+const findSubsequence = (query, text, preferWordStarts) => {
+  const lower = text.toLowerCase();
+  const indexes = [];
+  let from = 0;
+
+  for (const char of query) {
+    let found = lower.indexOf(char, from);
+    if (found === -1) return null;
+
+    if (preferWordStarts) {
+      for (let i = found; i !== -1; i = lower.indexOf(char, i + 1)) {
+        if (isWordStart(text, i)) {
+          found = i;
+          break;
+        }
+      }
+    }
+    indexes.push(found);
+    from = found + 1;
+  }
+  return indexes;
+};
+
+const scoreIndexes = (text, indexes) => indexes.reduce((score, index, i) => {
+  if (i > 0 && index === indexes[i - 1] + 1) return score + 5;
+  return score + (isWordStart(text, index) ? 8 : 1);
+}, 0);
+
+// [start, end) ranges covering consecutive matched characters, for <mark>
+const toRanges = (indexes) => indexes.reduce((ranges, index) => {
+  const last = ranges[ranges.length - 1];
+  if (last && last[1] === index) {
+    last[1] = index + 1;
+  } else {
+    ranges.push([index, index + 1]);
+  }
+  return ranges;
+}, []);
+
+// Fuzzy match of a query against a title: { score, ranges } or null. A
+// substring beats a scattered match, and matches at word starts beat
+// matches in the middle of words.
+export const fuzzyMatch = (query, text) => {
+  const needle = query.toLowerCase().replace(/\s+/g, '');
+  if (!needle) return { score: 0, ranges: [] };
+
+  const phrase = query.toLowerCase().trim().replace(/\s+/g, ' ');
+  const substring = text.toLowerCase().indexOf(phrase);
+  if (substring !== -1) {
+    const bonus = substring === 0 ? 40 : isWordStart(text, substring) ? 20 : 0;
+    return { score: 100 + bonus - text.length * 0.1, ranges: [[substring, substring + phrase.length]] };
+  }
+
+  const candidates = [findSubsequence(needle, text, true), findSubsequence(needle, text, false)].filter(Boolean);
+  if (candidates.length === 0) return null;
+
+  const best = candidates
+    .map(indexes => ({ indexes, score: scoreIndexes(text, indexes) }))
+    .sort((a, b) => b.score - a.score)[0];
+  return { score: best.score - text.length * 0.1, ranges: toRanges(best.indexes) };
+};
+
+// Ranked items for a query. Items match on their title, or with a penalty
+// on their keywords (section, category, ...), in which case nothing is marked.
+export const searchCommands = (items, query, limit = MAX_RESULTS) => {
+  const results = [];
+
+  for (const item of items) {
+    const titleMatch = fuzzyMatch(query, item.title);
+    const keywordMatch = titleMatch || !item.keywords ? null : fuzzyMatch(query, item.keywords);
+    const match = titleMatch || (keywordMatch && { score: keywordMatch.score / 2, ranges: [] });
+    if (match) {
+      results.push({ item, ranges: match.ranges, score: match.score + KIND_BONUS[item.kind] });
+    }
+  }
+  return results.sort((a, b) => b.score - a.score).slice(0, limit);
+};
+
+// Sections, learning paths and topics, available without loading anything
+export const getNavigationItems = () => [
+  ...mainSections.map(section => ({
+    id: `section:${section.id}`,
+    kind: 'section',
+    title: section.title,
+    subtitle: 'Go to section',
+    icon: section.icon,
+    route: `/section/${section.id}`,
+    keywords: `go to section ${section.title}`
+  })),
+  ...learningPaths.map(learningPath => ({
+    id: `path:${learningPath.id}`,
+    kind: 'path',
+    title: learningPath.title,
+    subtitle: 'Learning path',
+    icon: learningPath.icon,
+    route: `/paths/${learningPath.id}`,
+    keywords: `learning path ${learningPath.duration ?? ''}`
+  })),
+  ...patterns.map(pattern => ({
+    id: `topic:${pattern.id}`,
+    kind: 'topic',
+    title: pattern.title,
+    subtitle: pattern.category,
+    icon: pattern.icon,
+    route: getTopicRoute(pattern),
+    keywords: [pattern.category, ...(pattern.tags || [])].filter(Boolean).join(' ')
+  }))
+];
+
+// One item per heading in the search index (plugins/searchIndex.js), except a
+// page's own title
+export const getHeadingItems = (index) => index.sections.flatMap(([fileIndex, heading, slug]) => {
+  const pattern = patterns.find(p => p.file === index.files[fileIndex]);
+  if (!pattern || !heading || !slug || heading === pattern.title) return [];
+
+  return [{
+    id: `heading:${pattern.id}#${slug}`,
+    kind: 'heading',
+    topicId: pattern.id,
+    title: heading,
+    subtitle: pattern.title,
+    icon: pattern.icon,
+    route: `${getTopicRoute(pattern)}#${slug}`
+  }];
+});
+
+// "Q3: ..." headings in the interview question banks
+export const getInterviewQuestionItems = (headingItems) => {
+  const bankIds = new Set(getQuestionBanks().map(bank => bank.id));
+  return headingItems.filter(item => bankIds.has(item.topicId) && /^Q\d+:/.test(item.title));
+};
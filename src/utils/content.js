@@ -0,0 +1,27 @@
+import { stripFrontmatter } from './frontmatter';
+
+// Markdown already loaded, by file. Prerendered pages seed it with the content they
+// were rendered from, so hydration starts from the same markup as the server.
+const contentCache = new Map();
+
+export const getCachedContent = (file) => contentCache.get(file);
+
+// Add { [file]: markdown } entries (frontmatter already stripped) to the cache
+export const preloadContent = (entries) => {
+  for (const [file, markdown] of Object.entries(entries)) {
+    contentCache.set(file, markdown);
+  }
+};
+
+// Fetch a markdown file from public/content/ without its frontmatter
+export const fetchContent = async (file) => {
+  const response = await fetch(`/content/${file}`);
+
+  if (!response.ok) {
+    throw new Error(`File not found: /content/${file} (${response.status})`);
+  }
+
+  const markdown = stripFrontmatter(await response.text());
+  contentCache.set(file, markdown);
+  return markdown;
+};
@@ -0,0 +1,41 @@
+import { changelog, contentHistory } from 'virtual:content-history';
+import { patterns, translations } from '../data/patterns';
+
+// Git history of the content files, read at build time by plugins/contentHistory.js
+export { changelog };
+
+// { updated, contributors, changes } for a content file, or null when it has
+// no committed history (e.g. a page that was just added)
+export const getFileHistory = (file) => contentHistory[file] ?? null;
+
+// "Oct 19, 2026" in the given locale. Dates are shown in UTC so a prerendered
+// page and the browser hydrating it agree on the day.
+export const formatDate = (date, locale) => {
+  return new Intl.DateTimeFormat(locale, { dateStyle: 'medium', timeZone: 'UTC' }).format(new Date(date));
+};
+
+// "2026-10-19", for grouping changes by day
+export const getDay = (date) => new Date(date).toISOString().slice(0, 10);
+
+// The topics whose pages changed most recently: [{ topic, updated }], newest first
+export const getRecentlyUpdatedTopics = (count) => {
+  return patterns
+    .filter(topic => contentHistory[topic.file])
+    .map(topic => ({ topic, updated: contentHistory[topic.file].updated }))
+    .sort((a, b) => Date.parse(b.updated) - Date.parse(a.updated))
+    .slice(0, count);
+};
+
+// Topics a changelog entry touched: [{ topic, locale }], where `locale` is set
+// for a translation and null for the English page. Files that are no longer
+// topics (moved or deleted pages) are left out.
+export const getChangedTopics = (files) => files.flatMap(file => {
+  const topic = patterns.find(p => p.file === file);
+  if (topic) return [{ topic, locale: null }];
+
+  for (const [locale, { topics }] of Object.entries(translations)) {
+    const topicId = Object.keys(topics).find(id => topics[id].file === file);
+    if (topicId) return [{ topic: patterns.find(p => p.id === topicId), locale }];
+  }
+  return [];
+});
@@ -0,0 +1,119 @@
+import { patterns } from '../data/patterns';
+
+const SCHEME_PATTERN = /^[a-z][a-z0-9+.-]*:/i;
+const WEB_URL_PATTERN = /^(https?:)?\/\//i;
+const CONTENT_PREFIX = '/content/';
+
+// Route of a topic page; the overview README is the homepage
+export const getTopicRoute = (topic) => (topic.id === 'overview' ? '/' : `/pattern/${topic.id}`);
+
+// "path?query#hash" -> { path, query, hash }, query and hash keeping their prefix
+const splitUrl = (url) => {
+  const hashIndex = url.indexOf('#');
+  const hash = hashIndex === -1 ? '' : url.slice(hashIndex);
+  const beforeHash = hashIndex === -1 ? url : url.slice(0, hashIndex);
+  const queryIndex = beforeHash.indexOf('?');
+
+  return {
+    path: queryIndex === -1 ? beforeHash : beforeHash.slice(0, queryIndex),
+    query: queryIndex === -1 ? '' : beforeHash.slice(queryIndex),
+    hash
+  };
+};
+
+const decodePath = (path) => {
+  try {
+    return decodeURIComponent(path);
+  } catch {
+    return path;
+  }
+};
+
+// Resolve a link path against the folder of the content file it appears in,
+// e.g. ('creational/singleton.md', '../structural/adapter.md') -> 'structural/adapter.md'.
+// Paths starting with /content/ are relative to the content root. Returns null
+// when the path climbs above the content root.
+export const resolveContentPath = (fromFile, linkPath) => {
+  const isRootPath = linkPath.startsWith(CONTENT_PREFIX);
+  const segments = isRootPath ? [] : fromFile.split('/').slice(0, -1);
+  const relative = isRootPath ? linkPath.slice(CONTENT_PREFIX.length) : linkPath;
+
+  for (const segment of decodePath(relative).split('/')) {
+    if (segment === '' || segment === '.') continue;
+
+    if (segment === '..') {
+      if (segments.length === 0) return null;
+      segments.pop();
+    } else {
+      segments.push(segment);
+    }
+  }
+
+  // A link to a folder means the folder's README
+  if (relative.endsWith('/') || relative === '.') {
+    segments.push('README.md');
+  }
+  return segments.join('/');
+};
+
+// A folder without a README of its own, e.g. ../creational/, stands for the
+// section its topics belong to, as long as they all share one
+const getFolderSection = (readmePath) => {
+  if (!readmePath.endsWith('/README.md')) return null;
+
+  const folder = readmePath.slice(0, -'README.md'.length);
+  const sections = new Set(patterns.filter(p => p.file.startsWith(folder)).map(p => p.section));
+  return sections.size === 1 ? [...sections][0] : null;
+};
+
+// Work out where a link in a content file goes:
+//   { type: 'anchor', href }     same-page #heading
+//   { type: 'external', href }   another site, opened in a new tab
+//   { type: 'route', to }        a topic page (or another app route)
+//   { type: 'asset', href }      a non-markdown file under /content/
+//   { type: 'broken', target }   a file or folder that isn't in the topic registry
+// mailto:, tel: and other schemes come back as 'external' with `newTab: false`.
+export const resolveContentLink = (fromFile, href) => {
+  if (!href) return { type: 'broken', target: '' };
+
+  if (href.startsWith('#')) {
+    return { type: 'anchor', href };
+  }
+
+  if (WEB_URL_PATTERN.test(href)) {
+    return { type: 'external', href, newTab: true };
+  }
+  if (SCHEME_PATTERN.test(href)) {
+    return { type: 'external', href, newTab: false };
+  }
+
+  const { path, query, hash } = splitUrl(href);
+  if (!path) {
+    return { type: 'anchor', href: hash || '#' };
+  }
+
+  // App routes such as /pattern/closures pass straight through
+  if (path.startsWith('/') && !path.startsWith(CONTENT_PREFIX)) {
+    return { type: 'route', to: href };
+  }
+
+  const resolved = resolveContentPath(fromFile, path);
+  if (resolved === null) {
+    return { type: 'broken', target: path };
+  }
+
+  const lastSegment = resolved.split('/').pop();
+  if (!lastSegment.endsWith('.md') && lastSegment.includes('.')) {
+    return { type: 'asset', href: `${CONTENT_PREFIX}${resolved}${query}${hash}` };
+  }
+
+  const topic = patterns.find(p => p.file === resolved);
+  if (!topic) {
+    const sectionId = getFolderSection(resolved);
+    return sectionId
+      ? { type: 'route', to: `/section/${sectionId}` }
+      : { type: 'broken', target: resolved };
+  }
+
+  return { type: 'route', to: `${getTopicRoute(topic)}${query}${hash}` };
+};
@@ -0,0 +1,464 @@
+import { instrumentSnippet } from './eventLoopTransform';
+import { compileSnippet } from './sourceInstrumentation';
+
+// Simulated event loop behind ```eventloop fences (see components/EventLoopVisualizer.jsx).
+//
+// The snippet is instrumented (eventLoopTransform.js) and run against stand-ins
+// for Promise, setTimeout, queueMicrotask and console that queue work on a
+// virtual loop instead of the real one. Timers use a virtual clock, so a
+// 1000ms timeout costs nothing. Like the algorithm visualizer, the whole run
+// happens up front: every change to the call stack, the two queues or the
+// console records a step to play back.
+
+const MAX_STEPS = 500;
+const MAX_LOOP_ITERATIONS = 10000;
+const SCRIPT_FRAME = 'script';
+
+// Simulated promises print themselves through this, see formatValue
+const DESCRIBE = Symbol('describe');
+
+// Thrown into the snippet by a loop that has run too long
+class SimulationLimitError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SimulationLimitError';
+  }
+}
+
+// Roughly how the browser console prints a value; strings are only quoted
+// inside other values
+export const formatValue = (value, nested = false, seen = new Set()) => {
+  if (typeof value === 'string') return nested ? `'${value.replace(/'/g, "\\'")}'` : value;
+  if (typeof value === 'function') return `[Function: ${value.name || 'anonymous'}]`;
+  if (typeof value === 'bigint') return `${value}n`;
+  if (typeof value === 'symbol') return value.toString();
+  if (value === null || typeof value !== 'object') return String(value);
+  if (value instanceof Error) return `${value.name}: ${value.message}`;
+  if (value[DESCRIBE]) return value[DESCRIBE]();
+  if (seen.has(value) || seen.size > 2) return Array.isArray(value) ? '[…]' : '{…}';
+
+  const inner = new Set(seen).add(value);
+  if (Array.isArray(value)) {
+    return `[${value.map(item => formatValue(item, true, inner)).join(', ')}]`;
+  }
+  const entries = Object.entries(value).map(([key, item]) => `${key}: ${formatValue(item, true, inner)}`);
+  return entries.length ? `{ ${entries.join(', ')} }` : '{}';
+};
+
+// "then(logResult)" for a named callback, "then callback" otherwise
+const describeCallback = (kind, callback) => (callback?.name ? `${kind}(${callback.name})` : `${kind} callback`);
+
+export const runEventLoop = (source) => {
+  const code = instrumentSnippet(source);
+
+  const stack = [];
+  const microtasks = [];
+  const timers = [];
+  const output = [];
+  const steps = [];
+  const unhandled = new Set();
+  let clock = 0;
+  let nextTimerId = 1;
+  let currentLine = null;
+  let loopIterations = 0;
+  let runningTask = null;
+  let stopped = null;
+  // What the loop is busy with: 'script', 'microtask', 'macrotask' or 'done'
+  let phase = 'script';
+
+  // `line` is the snippet line to highlight; null highlights none
+  const record = (message, line = currentLine, isError = false) => {
+    if (stopped) return;
+    currentLine = line;
+
+    steps.push({
+      message,
+      phase,
+      isError,
+      line: currentLine,
+      time: clock,
+      stack: stack.map(frame => frame.name),
+      microtasks: microtasks.map(task => task.label),
+      macrotasks: [...timers].sort(compareTimers).map(timer => ({ label: timer.label, due: timer.due })),
+      console: output.map(entry => ({ ...entry }))
+    });
+
+    if (steps.length >= MAX_STEPS) {
+      stopped = new SimulationLimitError(`Stopped after ${MAX_STEPS} steps`);
+    }
+  };
+
+  const log = (level, text, line = currentLine) => {
+    output.push({ level, text });
+    record(`console.${level} prints "${text}"`, line);
+  };
+
+  const reportUncaught = (error, prefix = 'Uncaught') => {
+    if (error instanceof SimulationLimitError) return;
+    output.push({ level: 'error', text: `${prefix} ${formatValue(error)}` });
+    record(`${prefix} ${formatValue(error)}`, currentLine, true);
+  };
+
+  const compareTimers = (a, b) => a.due - b.due || a.id - b.id;
+
+  // Runs on an empty call stack; anonymous functions called straight from a
+  // task are shown under the task's name
+  const runTask = (task) => {
+    runningTask = task;
+    try {
+      task.run();
+    } catch (error) {
+      stack.length = 0;
+      reportUncaught(error);
+    } finally {
+      runningTask = null;
+      stack.length = 0;
+    }
+  };
+
+  const queueMicrotask = (label, run) => {
+    microtasks.push({ label, run });
+    record(`"${label}" joins the microtask queue`);
+  };
+
+  // Promise rejections nobody handled by the time the microtasks are done
+  const reportUnhandledRejections = () => {
+    for (const promise of unhandled) {
+      reportUncaught(promise.value, 'Uncaught (in promise)');
+    }
+    unhandled.clear();
+  };
+
+  const drainMicrotasks = () => {
+    while (microtasks.length > 0 && !stopped) {
+      const task = microtasks.shift();
+      phase = 'microtask';
+      record(`The call stack is empty, so the event loop runs the next microtask: "${task.label}"`, null);
+      runTask(task);
+    }
+    reportUnhandledRejections();
+  };
+
+  // Minimal spec-shaped Promise: settles through the simulated microtask queue
+  class SimPromise {
+    constructor(executor) {
+      if (typeof executor !== 'function') {
+        throw new TypeError('Promise resolver is not a function');
+      }
+      this.state = 'pending';
+      this.value = undefined;
+      this.reactions = [];
+
+      const { resolve, reject } = this.createResolvers();
+      try {
+        executor(resolve, reject);
+      } catch (error) {
+        reject(error);
+      }
+    }
+
+    createResolvers() {
+      let alreadyResolved = false;
+
+      const resolve = (value) => {
+        if (alreadyResolved) return;
+        alreadyResolved = true;
+
+        if (value === this) {
+          this.settle('rejected', new TypeError('Chaining cycle detected for promise'));
+          return;
+        }
+        // Adopting another promise's state takes an extra microtask
+        const then = value !== null && (typeof value === 'object' || typeof value === 'function') ? value.then : undefined;
+        if (typeof then === 'function') {
+          queueMicrotask('adopt the returned promise', () => {
+            const resolvers = this.createResolvers();
+            try {
+              then.call(value, resolvers.resolve, resolvers.reject);
+            } catch (error) {
+              resolvers.reject(error);
+            }
+          });
+          return;
+        }
+        this.settle('fulfilled', value);
+      };
+
+      const reject = (reason) => {
+        if (alreadyResolved) return;
+        alreadyResolved = true;
+        this.settle('rejected', reason);
+      };
+
+      return { resolve, reject };
+    }
+
+    settle(state, value) {
+      this.state = state;
+      this.value = value;
+
+      if (state === 'rejected' && this.reactions.length === 0) {
+        unhandled.add(this);
+      }
+      for (const reaction of this.reactions) {
+        this.queueReaction(reaction);
+      }
+      this.reactions = [];
+    }
+
+    queueReaction(reaction) {
+      queueMicrotask(reaction.label, () => {
+        const handler = this.state === 'fulfilled' ? reaction.onFulfilled : reaction.onRejected;
+        if (typeof handler !== 'function') {
+          (this.state === 'fulfilled' ? reaction.resolve : reaction.reject)(this.value);
+          return;
+        }
+        try {
+          reaction.resolve(handler(this.value));
+        } catch (error) {
+          reaction.reject(error);
+        }
+      });
+    }
+
+    subscribe(onFulfilled, onRejected, label) {
+      let resolvers;
+      const derived = new SimPromise((resolve, reject) => {
+        resolvers = { resolve, reject };
+      });
+      const reaction = { onFulfilled, onRejected, label, ...resolvers };
+
+      unhandled.delete(this);
+      if (this.state === 'pending') {
+        this.reactions.push(reaction);
+      } else {
+        this.queueReaction(reaction);
+      }
+      return derived;
+    }
+
+    then(onFulfilled, onRejected) {
+      const handler = this.state === 'rejected' ? onRejected : onFulfilled;
+      return this.subscribe(onFulfilled, onRejected, describeCallback('then', handler));
+    }
+
+    catch(onRejected) {
+      return this.subscribe(undefined, onRejected, describeCallback('catch', onRejected));
+    }
+
+    finally(onFinally) {
+      if (typeof onFinally !== 'function') return this.then(onFinally, onFinally);
+
+      return this.subscribe(
+        (value) => SimPromise.resolve(onFinally()).then(() => value),
+        (reason) => SimPromise.resolve(onFinally()).then(() => { throw reason; }),
+        describeCallback('finally', onFinally)
+      );
+    }
+
+    [DESCRIBE]() {
+      if (this.state === 'pending') return 'Promise { <pending> }';
+      const value = formatValue(this.value, true);
+      return this.state === 'fulfilled' ? `Promise { ${value} }` : `Promise { <rejected> ${value} }`;
+    }
+
+    static resolve(value) {
+      return value instanceof SimPromise ? value : new SimPromise(resolve => resolve(value));
+    }
+
+    static reject(reason) {
+      return new SimPromise((_, reject) => reject(reason));
+    }
+
+    static all(values) {
+      return new SimPromise((resolve, reject) => {
+        const items = [...values];
+        const results = new Array(items.length);
+        let remaining = items.length;
+        if (remaining === 0) resolve(results);
+
+        items.forEach((item, index) => {
+          SimPromise.resolve(item).subscribe((value) => {
+            results[index] = value;
+            remaining -= 1;
+            if (remaining === 0) resolve(results);
+          }, reject, `Promise.all: item ${index}`);
+        });
+      });
+    }
+
+    static allSettled(values) {
+      return new SimPromise((resolve) => {
+        const items = [...values];
+        const results = new Array(items.length);
+        let remaining = items.length;
+        if (remaining === 0) resolve(results);
+
+        const settle = (index, result) => {
+          results[index] = result;
+          remaining -= 1;
+          if (remaining === 0) resolve(results);
+        };
+        items.forEach((item, index) => {
+          SimPromise.resolve(item).subscribe(
+            value => settle(index, { status: 'fulfilled', value }),
+            reason => settle(index, { status: 'rejected', reason }),
+            `Promise.allSettled: item ${index}`
+          );
+        });
+      });
+    }
+
+    static race(values) {
+      return new SimPromise((resolve, reject) => {
+        [...values].forEach((item, index) => {
+          SimPromise.resolve(item).subscribe(resolve, reject, `Promise.race: item ${index}`);
+        });
+      });
+    }
+  }
+
+  const setTimeout = (callback, delay = 0, ...args) => {
+    if (typeof callback !== 'function') {
+      throw new TypeError('setTimeout needs a callback function');
+    }
+    const ms = Math.max(0, Number(delay) || 0);
+    const timer = {
+      id: nextTimerId++,
+      due: clock + ms,
+      label: describeCallback('setTimeout', callback),
+      run: () => callback(...args)
+    };
+    timers.push(timer);
+    record(`setTimeout hands "${timer.label}" to the browser's timer; it joins the macrotask queue after ${ms}ms`);
+    return timer.id;
+  };
+
+  const clearTimeout = (id) => {
+    const index = timers.findIndex(timer => timer.id === id);
+    if (index === -1) return;
+    const [timer] = timers.splice(index, 1);
+    record(`clearTimeout cancels "${timer.label}"`);
+  };
+
+  const queueMicrotaskGlobal = (callback) => {
+    if (typeof callback !== 'function') {
+      throw new TypeError('queueMicrotask needs a callback function');
+    }
+    queueMicrotask(describeCallback('queueMicrotask', callback), () => callback());
+  };
+
+  const consoleAt = (line) => {
+    const print = (level) => (...values) => log(level, values.map(value => formatValue(value)).join(' '), line);
+    return { log: print('log'), info: print('info'), warn: print('warn'), error: print('error') };
+  };
+
+  // Frames remember the caller's line to highlight again once they return
+  const enter = (name, line) => {
+    const frameName = name ?? (stack.length === 0 && runningTask ? runningTask.label : 'anonymous function');
+    stack.push({ name: frameName, returnLine: currentLine });
+    record(`${frameName} is called and goes on top of the call stack`, line);
+  };
+
+  const exit = () => {
+    const frame = stack.pop();
+    record(`${frame.name} returns and leaves the call stack`, frame.returnLine);
+  };
+
+  const setLine = (line) => {
+    currentLine = line;
+  };
+
+  const tick = () => {
+    loopIterations += 1;
+    if (loopIterations > MAX_LOOP_ITERATIONS) {
+      stopped = stopped || new SimulationLimitError(`Stopped after ${MAX_LOOP_ITERATIONS} loop iterations`);
+      throw stopped;
+    }
+  };
+
+  const awaitMarker = (line, value) => ({ awaitLine: line, value });
+
+  // Drives an async function's generator: each resume is a fresh frame on the
+  // call stack, each await hands the rest of the function to a microtask
+  const runAsync = (thisArg, args, generatorFunction, name, line) => {
+    const generator = generatorFunction.apply(thisArg, args ?? []);
+
+    return new SimPromise((resolve, reject) => {
+      const resume = (method, value, isResuming) => {
+        const returnLine = isResuming ? null : currentLine;
+        stack.push({ name, returnLine });
+        record(isResuming ? `${name} resumes after its await` : `${name} is called and goes on top of the call stack`, line);
+
+        let result;
+        try {
+          result = generator[method](value);
+        } catch (error) {
+          stack.pop();
+          record(`${name} throws, so the promise it returned rejects`, returnLine);
+          reject(error);
+          return;
+        }
+
+        stack.pop();
+        if (result.done) {
+          record(`${name} finishes and leaves the call stack; the promise it returned resolves`, returnLine);
+          resolve(result.value);
+          return;
+        }
+
+        const { awaitLine, value: awaited } = result.value;
+        record(`await pauses ${name} and takes it off the call stack; the rest of it waits for a microtask`, awaitLine);
+        SimPromise.resolve(awaited).subscribe(
+          settled => resume('next', settled, true),
+          error => resume('throw', error, true),
+          `resume ${name}`
+        );
+        setLine(returnLine);
+      };
+
+      resume('next', undefined, false);
+    });
+  };
+
+  const globals = {
+    Promise: SimPromise,
+    setTimeout,
+    clearTimeout,
+    queueMicrotask: queueMicrotaskGlobal,
+    __console: consoleAt,
+    __enter: enter,
+    __exit: exit,
+    __tick: tick,
+    __line: setLine,
+    __await: awaitMarker,
+    __async: runAsync
+  };
+  const script = compileSnippet(globals, `'use strict';\n${code}`);
+
+  record('The event loop starts by running the whole script as one task', null);
+  stack.push({ name: SCRIPT_FRAME, returnLine: null });
+  record('The script goes on the call stack', null);
+  runTask({ label: SCRIPT_FRAME, run: () => script(...Object.values(globals)) });
+  record('The script has finished, so the call stack is empty', null);
+  drainMicrotasks();
+
+  while (timers.length > 0 && !stopped) {
+    timers.sort(compareTimers);
+    const timer = timers.shift();
+    clock = Math.max(clock, timer.due);
+    phase = 'macrotask';
+    record(`At ${clock}ms the event loop takes "${timer.label}" from the macrotask queue`, null);
+    runTask(timer);
+    drainMicrotasks();
+  }
+
+  if (stopped) {
+    steps[steps.length - 1] = { ...steps[steps.length - 1], message: `${stopped.message}, the snippet may never finish`, isError: true };
+  } else {
+    phase = 'done';
+    record('Done: the call stack and both queues are empty', null);
+  }
+
+  return { steps, lines: source.split('\n') };
+};
@@ -0,0 +1,114 @@
+import { parse } from 'acorn';
+import {
+  FUNCTION_TYPES,
+  LOOP_TYPES,
+  STATEMENT_LISTS,
+  UnsupportedSyntaxError,
+  createSourceEditor,
+  getFunctionName,
+  isConsoleCall,
+  isMethodValue,
+  walk
+} from './sourceInstrumentation';
+
+// Rewrites an ```eventloop snippet so the simulator in eventLoop.js can watch it
+// run. The snippet's own source is spliced rather than regenerated:
+//
+//   function f() { ... }        -> function f() { __enter('f', 1); try { ... } finally { __exit(); } }
+//   async function g() { ... }  -> function g() { return __async(this, arguments, function* () { ... }, 'g', 1); }
+//   await promise               -> (yield __await(3, promise))
+//   console.log(x)              -> __console(4).log(x)
+//   while (...) { ... }         -> while (...) { __tick(); ... }
+//   x = 1;                      -> __line(5); x = 1;
+//
+// Async functions become generators driven by the simulator, so every await
+// goes through its microtask queue instead of the engine's.
+
+const findAsyncKeyword = (source, from, to) => {
+  const match = /\basync\b/.exec(source.slice(from, to));
+  return from + match.index;
+};
+
+export const instrumentSnippet = (source) => {
+  const ast = parse(source, { ecmaVersion: 'latest', sourceType: 'script', locations: true });
+  const { open, close, replace, apply } = createSourceEditor(source);
+
+  walk(ast, (node, ancestors) => {
+    const depth = ancestors.length;
+    const line = node.loc.start.line;
+    const parent = ancestors[ancestors.length - 1];
+
+    // Keep track of the line being run; only statements in a list can take a
+    // statement in front of them
+    if (STATEMENT_LISTS.has(parent?.type) && node.type !== 'FunctionDeclaration') {
+      open(node.start, `__line(${line}); `, depth);
+    }
+
+    if (FUNCTION_TYPES.has(node.type)) {
+      const name = getFunctionName(node, ancestors);
+      const label = JSON.stringify(name);
+      const { body } = node;
+      const isBlock = body.type === 'BlockStatement';
+
+      if (node.async && node.generator) {
+        throw new UnsupportedSyntaxError('async generators are not supported', line);
+      }
+      // Plain generators run as they are, without call stack frames
+      if (node.generator) return;
+
+      if (node.async) {
+        const from = isMethodValue(node, parent) ? parent.start : node.start;
+        const keyword = findAsyncKeyword(source, from, body.start);
+        replace(keyword, keyword + 'async'.length, '');
+
+        // Arrow functions have no `arguments` of their own to pass along
+        const args = node.type === 'ArrowFunctionExpression' ? 'null' : 'arguments';
+        const runner = `__async(this, ${args}, function* () {`;
+        const done = `}, ${JSON.stringify(name ?? 'async function')}, ${line})`;
+        if (isBlock) {
+          open(body.start + 1, ` return ${runner}`, depth);
+          close(body.end - 1, `${done}; `, depth);
+        } else {
+          open(body.start, `${runner} return (`, depth);
+          close(body.end, `); ${done}`, depth);
+        }
+        return;
+      }
+
+      if (isBlock) {
+        open(body.start + 1, ` __enter(${label}, ${line}); try {`, depth);
+        close(body.end - 1, '} finally { __exit(); } ', depth);
+      } else {
+        open(body.start, `{ __enter(${label}, ${line}); try { return (`, depth);
+        close(body.end, '); } finally { __exit(); } }', depth);
+      }
+      return;
+    }
+
+    if (node.type === 'AwaitExpression') {
+      replace(node.start, node.argument.start, `(yield __await(${line}, `);
+      close(node.end, '))', depth);
+      return;
+    }
+
+    if (node.type === 'ForOfStatement' && node.await) {
+      throw new UnsupportedSyntaxError('for await...of is not supported', line);
+    }
+
+    if (LOOP_TYPES.has(node.type)) {
+      if (node.body.type === 'BlockStatement') {
+        open(node.body.start + 1, ' __tick();', depth);
+      } else {
+        open(node.body.start, '{ __tick(); ', depth);
+        close(node.body.end, ' }', depth);
+      }
+      return;
+    }
+
+    if (isConsoleCall(node)) {
+      replace(node.callee.object.start, node.callee.object.end, `__console(${line})`);
+    }
+  });
+
+  return apply();
+};
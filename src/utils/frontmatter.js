@@ -0,0 +1,5 @@
+// Content files start with a YAML frontmatter block that feeds the topic
+// registry at build time; it must not show up in the rendered page.
+const FRONTMATTER_PATTERN = /^---\r?\n[\s\S]*?\r?\n---\r?\n?/;
+
+export const stripFrontmatter = (markdown) => markdown.replace(FRONTMATTER_PATTERN, '');
@@ -0,0 +1,55 @@
+import { useCallback, useMemo } from 'react';
+import { useHref } from 'react-router-dom';
+import { locales, translations } from '../data/patterns';
+import { UI_STRINGS } from '../data/uiStrings';
+
+// The first locale in locales.yml; its routes have no prefix
+export const DEFAULT_LOCALE = locales[0].id;
+
+// '/es/pattern/closures' -> { locale: 'es', path: '/pattern/closures' }. Paths
+// without a known locale prefix belong to the default locale.
+export const splitLocalePath = (pathname) => {
+  const [, prefix, ...rest] = pathname.split('/');
+  const locale = locales.find(l => l.id === prefix && l.id !== DEFAULT_LOCALE);
+  return locale
+    ? { locale: locale.id, path: `/${rest.join('/')}` }
+    : { locale: DEFAULT_LOCALE, path: pathname };
+};
+
+// Router basename for a locale's routes: '' for the default locale, '/es' for Spanish
+export const getLocaleBasename = (locale) => (locale === DEFAULT_LOCALE ? '' : `/${locale}`);
+
+// '/pattern/closures' in another locale, e.g. '/es/pattern/closures'
+export const localizePath = (path, locale) => {
+  const basename = getLocaleBasename(locale);
+  return basename && path === '/' ? basename : `${basename}${path}`;
+};
+
+// Interface text for a key, falling back to English
+export const translate = (locale, key, params = {}) => {
+  const template = UI_STRINGS[locale]?.[key] ?? UI_STRINGS[DEFAULT_LOCALE][key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+};
+
+// { file, title, outdated } of a topic's translation, or null when there is none
+export const getTopicTranslation = (locale, topicId) => translations[locale]?.topics[topicId] ?? null;
+
+export const getTopicTitle = (topic, locale) => getTopicTranslation(locale, topic.id)?.title ?? topic.title;
+
+export const getSectionText = (section, locale) => ({
+  title: translations[locale]?.sections[section.id]?.title ?? section.title,
+  description: translations[locale]?.sections[section.id]?.description ?? section.description
+});
+
+export const getCategoryName = (category, locale) => translations[locale]?.categories[category] ?? category;
+
+// Locale of the page being shown. Each locale's routes get their own router
+// basename (see main.jsx and entry-server.jsx), so the root route's href tells.
+export const useLocale = () => splitLocalePath(useHref('/')).locale;
+
+// { locale, t } where t(key, params) translates into the current locale
+export const useTranslation = () => {
+  const locale = useLocale();
+  const t = useCallback((key, params) => translate(locale, key, params), [locale]);
+  return useMemo(() => ({ locale, t }), [locale, t]);
+};
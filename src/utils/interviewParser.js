@@ -0,0 +1,177 @@
+import { slug } from 'github-slugger';
+import { patterns } from '../data/patterns';
+
+// Question headings in interview-questions/*.md look like "### Q3: How does ...?"
+const QUESTION_PATTERN = /^###\s+Q(\d+):\s*(.+?)\s*$/;
+const HEADING_PATTERN = /^(#{1,6})\s+(.+?)\s*$/;
+const FENCE_PATTERN = /^\s*(```|~~~)/;
+const RULE_PATTERN = /^\s*(-{3,}|\*{3,}|_{3,})\s*$/;
+const LIST_ITEM_PATTERN = /^\s*(?:[-*+]|\d+\.)\s+(.+)$/;
+const BOLD_LABEL_PATTERN = /^\*\*(?:\d+\.\s*)?(.+?):?\*\*:?$/;
+
+export const INTERVIEW_CATEGORY = 'Interview Questions';
+
+// Topics whose markdown follows the Q&A format
+export const getQuestionBanks = () => {
+  return patterns.filter(p => p.category === INTERVIEW_CATEGORY && p.file.endsWith('.md') && !p.file.endsWith('README.md'));
+};
+
+export const getQuestionBank = (bankId) => getQuestionBanks().find(bank => bank.id === bankId) || null;
+
+// Pattern page a question's topic heading refers to, e.g. "Singleton Pattern" -> Singleton
+export const getTopicPattern = (topic) => {
+  if (!topic) return null;
+  const title = topic.replace(/\s+Pattern$/i, '').toLowerCase();
+  return patterns.find(p => p.category !== INTERVIEW_CATEGORY && p.title.toLowerCase() === title) || null;
+};
+
+const stripInlineMarkdown = (text) => text.replace(/\*\*|__|`/g, '').trim();
+
+// Bullets listed under "**Key Points:**", if the answer has them
+const extractKeyPoints = (lines) => {
+  const start = lines.findIndex(line => /^\*\*Key Points:?\*\*:?/i.test(line.trim()));
+  if (start === -1) return [];
+
+  const points = [];
+  for (const line of lines.slice(start + 1)) {
+    const item = line.match(LIST_ITEM_PATTERN);
+    if (item) {
+      points.push(stripInlineMarkdown(item[1]));
+    } else if (line.trim() !== '' || points.length > 0) {
+      break;
+    }
+  }
+  return points;
+};
+
+// Lines outside code blocks, for scanning an answer's prose
+const proseLines = (lines) => {
+  let inFence = false;
+  return lines.map(line => {
+    if (FENCE_PATTERN.test(line)) {
+      inFence = !inFence;
+      return '';
+    }
+    return inFence ? '' : line;
+  });
+};
+
+// First bullet list in an answer
+const extractFirstList = (lines) => {
+  const items = [];
+  for (const line of proseLines(lines)) {
+    const item = line.match(LIST_ITEM_PATTERN);
+    if (item) {
+      items.push(stripInlineMarkdown(item[1]));
+    } else if (items.length > 0) {
+      break;
+    }
+  }
+  return items;
+};
+
+// Bold sub-headings like "**1. Express/Koa Middleware:**" that structure an answer
+const extractBoldLabels = (lines) => {
+  return proseLines(lines)
+    .map(line => line.trim().match(BOLD_LABEL_PATTERN)?.[1])
+    .filter(label => label && !/^(example|usage|answer)\b/i.test(label));
+};
+
+// Opening sentence when the answer starts with prose rather than a sub-heading or list
+const extractOpeningSentence = (lines) => {
+  const firstLine = proseLines(lines).find(line => line.trim() !== '')?.trim();
+  if (!firstLine || BOLD_LABEL_PATTERN.test(firstLine) || LIST_ITEM_PATTERN.test(firstLine)) return null;
+  const sentence = stripInlineMarkdown(firstLine).split(/(?<=[.!?])\s+(?=[A-Z])/)[0];
+  // "...divided into three categories:" only introduces what follows
+  return sentence.endsWith(':') ? null : sentence;
+};
+
+// Points to self-check an answer against: the Key Points when present, otherwise the
+// answer's opening sentence plus its first list, falling back to its bold sub-headings
+const getChecklist = (lines) => {
+  const keyPoints = extractKeyPoints(lines);
+  if (keyPoints.length > 0) return keyPoints;
+
+  const sentence = extractOpeningSentence(lines);
+  const listItems = extractFirstList(lines);
+  if (listItems.length > 0) {
+    return sentence ? [sentence, ...listItems] : listItems;
+  }
+  if (sentence) return [sentence];
+
+  const labels = extractBoldLabels(lines);
+  return labels.length > 1 ? labels : [];
+};
+
+const buildCard = (bankId, topic, question) => {
+  const lines = [...question.lines];
+  const firstLine = lines.findIndex(line => line.trim() !== '');
+  if (firstLine !== -1) {
+    lines[firstLine] = lines[firstLine].replace(/^\s*\*\*Answer:\*\*\s*/, '');
+  }
+
+  const heading = `Q${question.number}: ${question.text}`;
+
+  return {
+    id: `${bankId}-q${question.number}`,
+    bankId,
+    number: question.number,
+    topic,
+    question: stripInlineMarkdown(question.text),
+    answer: lines.join('\n').trim(),
+    keyPoints: extractKeyPoints(lines),
+    checklist: getChecklist(lines),
+    // Same id rehype-slug gives the heading, so cards can link back to the page
+    anchor: slug(heading)
+  };
+};
+
+// Split an interview question bank into question/answer cards.
+// A question runs from its "### Qn:" heading to the next heading or horizontal rule.
+export const parseQuestionBank = (markdown, bankId) => {
+  const cards = [];
+  let topic = null;
+  let question = null;
+  let inFence = false;
+
+  const finishQuestion = () => {
+    if (question) {
+      cards.push(buildCard(bankId, topic, question));
+      question = null;
+    }
+  };
+
+  for (const line of markdown.split('\n')) {
+    if (FENCE_PATTERN.test(line)) {
+      inFence = !inFence;
+    }
+
+    if (!inFence) {
+      const questionMatch = line.match(QUESTION_PATTERN);
+      if (questionMatch) {
+        finishQuestion();
+        question = { number: Number(questionMatch[1]), text: questionMatch[2], lines: [] };
+        continue;
+      }
+
+      const headingMatch = line.match(HEADING_PATTERN);
+      if (headingMatch) {
+        finishQuestion();
+        if (headingMatch[1].length === 2) {
+          topic = stripInlineMarkdown(headingMatch[2]);
+        }
+        continue;
+      }
+
+      if (RULE_PATTERN.test(line)) {
+        finishQuestion();
+        continue;
+      }
+    }
+
+    question?.lines.push(line);
+  }
+
+  finishQuestion();
+  return cards;
+};
@@ -0,0 +1,24 @@
+// Download data as a .json file (used for progress and bookmark exports)
+export const downloadJson = (filename, data) => {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  URL.revokeObjectURL(url);
+};
+
+// Read a File picked through <input type="file"> and parse it as JSON
+export const readJsonFile = async (file) => {
+  const text = await file.text();
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new Error(`${file.name} is not a valid JSON file`);
+  }
+};
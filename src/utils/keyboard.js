@@ -0,0 +1,4 @@
+// Whether a key event comes from somewhere the user is typing text
+export const isTypingTarget = (target) => {
+  return ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable;
+};
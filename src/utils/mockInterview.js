@@ -0,0 +1,74 @@
+import { createStore, useStore } from './storage';
+import { getQuestionBanks } from './interviewParser';
+
+// Past sessions, newest first: [{ date, questionCount, score, categories: { [bankId]: score } }]
+const historyStore = createStore('mock-interviews', []);
+
+const MAX_HISTORY = 10;
+
+export const QUESTION_COUNTS = [5, 10, 15];
+export const TIME_LIMITS = [60, 120, 180, 300];
+
+export const DEFAULT_SETTINGS = {
+  questionCount: 5,
+  timeLimit: 120,
+  bankIds: getQuestionBanks().map(bank => bank.id)
+};
+
+export const useInterviewHistory = () => useStore(historyStore);
+
+const shuffle = (items) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+// Random questions drawn from all the given cards
+export const pickQuestions = (cards, count) => shuffle(cards).slice(0, count);
+
+// Fraction of checklist points ticked, 0-1. Questions without a checklist
+// are scored on a single "covered the reference answer" tick.
+export const scoreQuestion = (question) => {
+  const total = Math.max(question.card.checklist.length, 1);
+  return question.checked.length / total;
+};
+
+// Average score per question bank, in the order banks appear in the session
+export const summarizeByBank = (questions) => {
+  const groups = new Map();
+  for (const question of questions) {
+    const group = groups.get(question.card.bankId) || { bankId: question.card.bankId, questions: [], score: 0 };
+    group.questions.push(question);
+    groups.set(question.card.bankId, group);
+  }
+
+  return [...groups.values()].map(group => ({
+    ...group,
+    score: group.questions.reduce((sum, question) => sum + scoreQuestion(question), 0) / group.questions.length
+  }));
+};
+
+export const getOverallScore = (questions) => {
+  if (questions.length === 0) return 0;
+  return questions.reduce((sum, question) => sum + scoreQuestion(question), 0) / questions.length;
+};
+
+export const recordSession = (questions) => {
+  const entry = {
+    date: new Date().toISOString(),
+    questionCount: questions.length,
+    score: getOverallScore(questions),
+    categories: Object.fromEntries(summarizeByBank(questions).map(group => [group.bankId, group.score]))
+  };
+  historyStore.set(history => [entry, ...history].slice(0, MAX_HISTORY));
+};
+
+export const formatScore = (score) => `${Math.round(score * 100)}%`;
+
+export const formatDuration = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+};
@@ -0,0 +1,34 @@
+import { learningPaths, mainSections, patterns } from '../data/patterns';
+import { getSectionText, getTopicTitle, splitLocalePath } from './i18n';
+
+export const SITE_NAME = 'JS Learning Hub';
+
+const PAGE_TITLES = {
+  '/mock-interview': 'Mock Interview',
+  '/bookmarks': 'My Bookmarks',
+  '/paths': 'Learning Paths',
+  '/graph': 'Topic Graph',
+  '/changelog': 'Changelog'
+};
+
+// Document title for a route, locale prefix included. Shared by the app and
+// the prerender script (through entry-server.jsx) so both give a page the same title.
+export const getPageTitle = (url) => {
+  const { locale, path: pathname } = splitLocalePath(url);
+  const [, type, id] = pathname.split('/');
+  let title = PAGE_TITLES[pathname];
+
+  if (type === 'pattern') {
+    const pattern = patterns.find(p => p.id === id);
+    title = pattern && getTopicTitle(pattern, locale);
+  } else if (type === 'section') {
+    const section = mainSections.find(s => s.id === id);
+    title = section && getSectionText(section, locale).title;
+  } else if (type === 'paths' && id) {
+    title = learningPaths.find(p => p.id === id)?.title;
+  } else if (type === 'practice') {
+    title = 'Flashcard Practice';
+  }
+
+  return title ? `${title} | ${SITE_NAME}` : SITE_NAME;
+};
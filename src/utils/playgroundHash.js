@@ -0,0 +1,53 @@
+// Encode edited playground code into the URL hash so it can be shared as a link.
+// Format: #play-<blockId>=<base64url(utf-8 code)>, where the block id is the
+// fence's position on the page and a fingerprint of its original code (see
+// getBlockId), so a link stops matching once the page's code blocks change
+
+const HASH_PATTERN = /^#?play-([\w-]+)=(.+)$/;
+
+const toBase64Url = (text) => {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (encoded) => {
+  const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '='));
+  const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+};
+
+// Short fingerprint of a string (32-bit FNV-1a, in base 36)
+const fingerprint = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+};
+
+// Id of the code block at `index` among the page's fences, whose original code is `code`
+export const getBlockId = (index, code) => `${index}-${fingerprint(code)}`;
+
+// DOM id of the code block wrapper, used to scroll a shared snippet into view
+export const getPlaygroundElementId = (blockId) => `play-${blockId}`;
+
+export const buildPlaygroundHash = (blockId, code) => {
+  return `#${getPlaygroundElementId(blockId)}=${toBase64Url(code)}`;
+};
+
+// Returns { blockId, code } for a playground hash, or null for anything else
+export const parsePlaygroundHash = (hash) => {
+  const match = (hash || '').match(HASH_PATTERN);
+  if (!match) return null;
+
+  try {
+    return { blockId: match[1], code: fromBase64Url(match[2]) };
+  } catch {
+    return null;
+  }
+};
@@ -0,0 +1,57 @@
+import { createStore, useStore } from './storage';
+
+// Completed topics: { [topicId]: ISO date it was completed }
+const progressStore = createStore('progress', {});
+
+const EXPORT_VERSION = 1;
+
+export const useProgress = () => useStore(progressStore);
+
+export const isTopicCompleted = (progress, topicId) => Boolean(progress[topicId]);
+
+export const setTopicCompleted = (topicId, completed) => {
+  progressStore.set(progress => {
+    const next = { ...progress };
+    if (completed) {
+      next[topicId] = next[topicId] || new Date().toISOString();
+    } else {
+      delete next[topicId];
+    }
+    return next;
+  });
+};
+
+// { done, total } for a list of topics
+export const getCompletionStats = (progress, topics) => ({
+  done: topics.filter(topic => isTopicCompleted(progress, topic.id)).length,
+  total: topics.length
+});
+
+export const exportProgress = () => ({
+  type: 'js-learning-hub-progress',
+  version: EXPORT_VERSION,
+  exportedAt: new Date().toISOString(),
+  completed: progressStore.get()
+});
+
+// Merge an exported file into the current progress; returns how many topics it added
+export const importProgress = (data) => {
+  if (data?.type !== 'js-learning-hub-progress' || typeof data.completed !== 'object' || data.completed === null) {
+    throw new Error('This file is not a progress export');
+  }
+
+  const entries = Object.entries(data.completed).filter(([id, date]) => id && typeof date === 'string');
+  const current = progressStore.get();
+  const added = entries.filter(([id]) => !current[id]).length;
+
+  progressStore.set({ ...Object.fromEntries(entries), ...current });
+  return added;
+};
+
+// Not done yet, and everything it builds on is
+export const isTopicReady = (progress, topic) => (
+  !isTopicCompleted(progress, topic.id) && topic.prerequisites.every(id => isTopicCompleted(progress, id))
+);
+
+// First topic of a list that isn't completed, e.g. where to pick a learning path back up
+export const getNextTopic = (progress, topics) => topics.find(topic => !isTopicCompleted(progress, topic.id)) ?? null;
@@ -0,0 +1,90 @@
+import { visit } from 'unist-util-visit';
+import { getFenceMeta, isDiffFence, parseFenceMeta } from './codeFence';
+
+// Text pieces of highlighted code, each with the elements (highlight.js
+// spans) it sits in: [{ value, ancestors }]
+const flatten = (nodes, ancestors = []) => nodes.flatMap(node => {
+  if (node.type === 'text') return [{ value: node.value, ancestors }];
+  if (node.type === 'element') return flatten(node.children, [...ancestors, node]);
+  return [];
+});
+
+// Split the pieces at newlines; a token spanning lines (a block comment, a
+// template literal) ends up in every line it covers
+const splitLines = (pieces) => {
+  const lines = [[]];
+  for (const piece of pieces) {
+    piece.value.split('\n').forEach((part, index) => {
+      if (index > 0) lines.push([]);
+      if (part) lines[lines.length - 1].push({ ...piece, value: part });
+    });
+  }
+  return lines;
+};
+
+// Rebuild one line's tree, with copies of the spans its pieces were in.
+// Neighbouring pieces from the same span share one copy.
+const buildLine = (pieces) => {
+  const root = { children: [] };
+  const sources = new Map([[root, null]]);
+
+  for (const { value, ancestors } of pieces) {
+    let parent = root;
+    for (const ancestor of ancestors) {
+      const last = parent.children[parent.children.length - 1];
+      if (last && sources.get(last) === ancestor) {
+        parent = last;
+      } else {
+        const copy = { type: 'element', tagName: ancestor.tagName, properties: { ...ancestor.properties }, children: [] };
+        sources.set(copy, ancestor);
+        parent.children.push(copy);
+        parent = copy;
+      }
+    }
+    parent.children.push({ type: 'text', value });
+  }
+
+  return root.children;
+};
+
+const getDiffClass = (line) => {
+  const text = line.map(piece => piece.value).join('');
+  if (text.startsWith('+')) return 'diff-add';
+  if (text.startsWith('-')) return 'diff-remove';
+  return null;
+};
+
+// Rehype plugin, run after highlighting: wrap each line of a code block in a
+// <span class="code-line"> when the block highlights lines ({2,4-6} in its
+// info string) or is a diff, so lines can be styled one by one. Newlines stay
+// between the spans, so the block's text is unchanged.
+const rehypeCodeLines = () => (tree) => {
+  visit(tree, 'element', (node, _index, parent) => {
+    if (node.tagName !== 'code' || parent?.tagName !== 'pre') return;
+
+    const { highlight } = parseFenceMeta(getFenceMeta(node));
+    const isDiff = isDiffFence(node);
+    if (highlight.size === 0 && !isDiff) return;
+
+    // The code usually ends with a newline, which would leave an empty last line
+    const lines = splitLines(flatten(node.children));
+    const endsWithNewline = lines.length > 1 && lines[lines.length - 1].length === 0;
+    if (endsWithNewline) {
+      lines.pop();
+    }
+
+    node.children = lines.flatMap((line, index) => {
+      const className = ['code-line'];
+      const diffClass = isDiff && getDiffClass(line);
+      if (highlight.has(index + 1)) className.push('highlighted');
+      if (diffClass) className.push(diffClass);
+
+      const element = { type: 'element', tagName: 'span', properties: { className }, children: buildLine(line) };
+      const isLast = index === lines.length - 1;
+      return isLast && !endsWithNewline ? [element] : [element, { type: 'text', value: '\n' }];
+    });
+    node.properties.className = [...(node.properties.className || []), 'code-lines'];
+  });
+};
+
+export default rehypeCodeLines;
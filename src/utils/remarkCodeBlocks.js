@@ -0,0 +1,47 @@
+import { SKIP, visit } from 'unist-util-visit';
+import { parseFenceMeta } from './codeFence';
+
+// ```diff, or ```diff-javascript for a diff of JavaScript code
+const DIFF_LANGUAGE = /^diff(?:-([\w+#-]+))?$/;
+
+// Remark plugin for the code block features that need the markdown tree:
+//   - ```diff-<language> fences are highlighted as <language> and flagged as
+//     diffs, so utils/rehypeCodeLines.js can mark their + and - lines (plain
+//     ```diff keeps highlight.js's diff colouring as well)
+//   - consecutive fences with a `tab` option become one <code-tabs> group,
+//     rendered by components/CodeTabs.jsx
+const remarkCodeBlocks = () => (tree) => {
+  visit(tree, 'code', (node) => {
+    const match = node.lang?.match(DIFF_LANGUAGE);
+    if (!match) return;
+
+    if (match[1]) {
+      node.lang = match[1];
+    }
+    node.data = node.data || {};
+    node.data.hProperties = { ...node.data.hProperties, dataDiff: true };
+  });
+
+  visit(tree, (node) => {
+    if (node.type === 'codeTabs') return SKIP;
+    if (!node.children?.some(child => child.type === 'code')) return;
+
+    const children = [];
+    for (const child of node.children) {
+      const isTab = child.type === 'code' && parseFenceMeta(child.meta).tab !== null;
+      const previous = children[children.length - 1];
+
+      if (isTab && previous?.type === 'codeTabs') {
+        previous.children.push(child);
+        previous.position = { start: previous.position.start, end: child.position.end };
+      } else if (isTab) {
+        children.push({ type: 'codeTabs', data: { hName: 'code-tabs' }, children: [child], position: child.position });
+      } else {
+        children.push(child);
+      }
+    }
+    node.children = children;
+  });
+};
+
+export default remarkCodeBlocks;
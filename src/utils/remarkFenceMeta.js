@@ -0,0 +1,19 @@
+import { visit } from 'unist-util-visit';
+
+// Remark plugin: keep the rest of a fence's info string (`sort` in
+// ```visualize sort) as a data-meta attribute on the <code> element.
+// react-markdown drops it otherwise, and rehype-raw would lose node data.
+// Each fence also gets its position among the page's fences as
+// data-block-index, which share links use to find their block.
+const remarkFenceMeta = () => (tree) => {
+  let index = 0;
+  visit(tree, 'code', (node) => {
+    node.data = node.data || {};
+    node.data.hProperties = { ...node.data.hProperties, dataBlockIndex: index++ };
+    if (node.meta) {
+      node.data.hProperties.dataMeta = node.meta;
+    }
+  });
+};
+
+export default remarkFenceMeta;
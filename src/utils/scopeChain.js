@@ -0,0 +1,325 @@
+import { formatValue } from './eventLoop';
+import { instrumentScopes } from './scopeTransform';
+import { compileSnippet } from './sourceInstrumentation';
+
+// Runs a ```scope snippet (see components/ScopeVisualizer.jsx) and records
+// what its environment records look like at every step: the scope chain
+// from the running code up to Global, the value or TDZ state of every
+// binding, `this`, the call stack, and the records kept alive only because a
+// closure still points at them. Like the other visualizers, the run happens
+// up front and the steps are played back.
+//
+// setTimeout callbacks run after the script in order of their delay, so the
+// classic closures-in-a-loop examples work; there are no promises here, the
+// ```eventloop fence covers those.
+
+const MAX_STEPS = 400;
+const MAX_LOOP_ITERATIONS = 10000;
+const MAX_PREVIEW_KEYS = 4;
+
+// Thrown into the snippet by a loop that has run too long, or by any hook
+// once the step limit is reached
+class StepLimitError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StepLimitError';
+  }
+}
+
+const KIND_LABELS = {
+  global: 'Global',
+  block: 'Block',
+  loop: 'Loop iteration',
+  catch: 'catch block'
+};
+
+// Short, single-line preview of a binding's value
+const previewValue = (value, nested = false) => {
+  if (value === globalThis) return 'window';
+  if (typeof value === 'function') {
+    return /^class\b/.test(Function.prototype.toString.call(value)) ? `class ${value.name}` : `ƒ ${value.name || 'anonymous'}()`;
+  }
+  if (typeof value === 'string') return `'${value}'`;
+  if (value === null || typeof value !== 'object' || value instanceof Error) return formatValue(value);
+  if (nested) return Array.isArray(value) ? '[…]' : '{…}';
+  if (Array.isArray(value)) return `[${value.map(item => previewValue(item, true)).join(', ')}]`;
+
+  const keys = Object.keys(value);
+  const entries = keys.slice(0, MAX_PREVIEW_KEYS).map(key => `${key}: ${previewValue(value[key], true)}`);
+  if (keys.length > MAX_PREVIEW_KEYS) entries.push('…');
+  return entries.length ? `{ ${entries.join(', ')} }` : '{}';
+};
+
+export const runScopeSnippet = (source) => {
+  const { code, scopes, statements } = instrumentScopes(source);
+
+  const steps = [];
+  const output = [];
+  const stack = [];
+  const timers = [];
+  const closures = new WeakMap();
+  const callCounts = new Map();
+  const previousTexts = new Map();
+  let nextRecordId = 0;
+  let current = null;
+  let globalRecord = null;
+  let currentLine = null;
+  let loopIterations = 0;
+  let stopped = null;
+  let finished = false;
+
+  const getLabel = (scope) => {
+    if (scope.kind !== 'function') return KIND_LABELS[scope.kind];
+    const calls = callCounts.get(scope.id);
+    return calls > 1 ? `${scope.name}() #${calls}` : `${scope.name}()`;
+  };
+
+  const readBinding = (record, name) => {
+    try {
+      return { value: record.getters[name](), isReady: true };
+    } catch (error) {
+      if (error instanceof ReferenceError) return { value: undefined, isReady: false };
+      throw error;
+    }
+  };
+
+  const readThis = (record) => {
+    try {
+      return previewValue(record.getThis());
+    } catch {
+      return '<uninitialized>';
+    }
+  };
+
+  // Records a function or value (one level into objects and arrays) keeps alive
+  const getClosedOver = (value) => {
+    const values = value && typeof value === 'object' ? Object.values(value) : [value];
+    return values.map(item => (typeof item === 'function' ? closures.get(item) : null)).filter(Boolean);
+  };
+
+  const snapshotRecord = (record) => ({
+    id: record.id,
+    label: record.label,
+    kind: record.scope.kind,
+    isArrow: Boolean(record.scope.isArrow),
+    thisValue: record.getThis ? readThis(record) : null,
+    outer: record.parent?.label ?? null,
+    bindings: record.scope.bindings.map(({ name, kind }) => {
+      const { value, isReady } = readBinding(record, name);
+      const text = isReady ? previewValue(value) : '<uninitialized>';
+      const key = `${record.id}:${name}`;
+      const changed = previousTexts.has(key) && previousTexts.get(key) !== text;
+      previousTexts.set(key, text);
+
+      const closedOver = isReady && typeof value === 'function' ? closures.get(value) : null;
+      return { name, kind, text, isReady, changed, closure: closedOver?.label ?? null };
+    })
+  });
+
+  const getChain = () => {
+    const chain = [];
+    for (let record = current; record; record = record.parent) chain.push(record);
+    return chain;
+  };
+
+  // Records outside the current chain that closures in it still reach
+  const getRetained = (chain) => {
+    const onChain = new Set(chain);
+    const found = new Set();
+    const queue = [...chain];
+
+    while (queue.length > 0) {
+      const record = queue.shift();
+      for (const { name } of record.scope.bindings) {
+        const { value, isReady } = readBinding(record, name);
+        if (!isReady) continue;
+
+        for (const closed of getClosedOver(value)) {
+          for (let env = closed; env && !found.has(env); env = env.parent) {
+            found.add(env);
+            queue.push(env);
+          }
+        }
+      }
+    }
+    return [...found].filter(record => !onChain.has(record)).sort((a, b) => a.id - b.id);
+  };
+
+  // Once the step limit is hit every hook throws, like a runaway loop's
+  // __tick, so code called back from built-ins (Array.from, map, sort...)
+  // stops too instead of running on with nothing recorded
+  const record = (message, line = currentLine, isError = false) => {
+    if (stopped) throw stopped;
+    if (finished) return;
+    currentLine = line;
+
+    const chain = getChain();
+    steps.push({
+      message,
+      isError,
+      line,
+      stack: stack.map(frame => frame.label),
+      chain: chain.map(snapshotRecord),
+      retained: getRetained(chain).map(snapshotRecord),
+      console: output.map(entry => ({ ...entry }))
+    });
+
+    if (steps.length >= MAX_STEPS) {
+      stopped = new StepLimitError(`Stopped after ${MAX_STEPS} steps`);
+      throw stopped;
+    }
+  };
+
+  // The function (or Global) record a record belongs to
+  const getOwner = (env) => {
+    let owner = env;
+    while (owner && owner.scope.kind !== 'function' && owner.scope.kind !== 'global') owner = owner.parent;
+    return owner;
+  };
+
+  const describeHoisting = (scope) => {
+    const names = (kinds) => scope.bindings.filter(binding => kinds.includes(binding.kind)).map(binding => binding.name);
+    const hoisted = names(['var', 'function']);
+    const tdz = names(['let', 'const', 'class']);
+    return [
+      hoisted.length > 0 && `hoisted: ${hoisted.join(', ')}`,
+      tdz.length > 0 && `in the TDZ: ${tdz.join(', ')}`
+    ].filter(Boolean).join('; ');
+  };
+
+  const createScope = (scopeId, parent, getters, getThis) => {
+    const scope = scopes[scopeId];
+    if (scope.kind === 'function') {
+      callCounts.set(scopeId, (callCounts.get(scopeId) ?? 0) + 1);
+    }
+
+    const env = { id: nextRecordId++, scope, parent, getters, getThis, label: getLabel(scope), caller: current };
+    current = env;
+
+    const hoisting = describeHoisting(scope);
+    if (scope.kind === 'global') {
+      globalRecord = env;
+      stack.push(env);
+      record(`Creation phase: the Global environment record is set up before any line runs${hoisting ? ` (${hoisting})` : ''}`, null);
+    } else if (scope.kind === 'function') {
+      stack.push(env);
+      record(`Call ${env.label}: a new environment record whose outer reference is ${parent?.label ?? 'Global'}, where ${scope.name} was defined${hoisting ? ` (${hoisting})` : ''}`, scope.line);
+    } else if (scope.kind === 'loop') {
+      record(`${env.label}: a fresh record with this iteration's own ${scope.bindings.map(binding => binding.name).join(', ')}`);
+    } else {
+      record(`Enter ${env.label.toLowerCase()}: a new environment record for its block-scoped declarations${hoisting ? ` (${hoisting})` : ''}`);
+    }
+    return env;
+  };
+
+  const step = (index, env) => {
+    // Throwing out of functions skips their returns, so catch the stack up
+    const owner = getOwner(env);
+    while (stack.length > 0 && stack[stack.length - 1] !== owner) stack.pop();
+
+    current = env;
+    const statement = statements[index];
+    record(statement.hint ? `${statement.code} — ${statement.hint}` : statement.code, statement.line);
+  };
+
+  const returnFrom = (line, env, value) => {
+    const owner = getOwner(env);
+    while (stack.length > 0 && stack[stack.length - 1] !== owner) stack.pop();
+    stack.pop();
+    current = owner.caller;
+
+    const keepsRecord = getClosedOver(value).some(closed => {
+      for (let outer = closed; outer; outer = outer.parent) {
+        if (outer === owner) return true;
+      }
+      return false;
+    });
+    record(keepsRecord
+      ? `${owner.label} returns ${previewValue(value)}. Its record stays alive: the returned closure still points at it`
+      : `${owner.label} returns ${previewValue(value)} and its record is no longer needed`, line);
+    return value;
+  };
+
+  // Remember the record a function was created in: its [[Environment]]
+  const registerClosure = (fn, env, name) => {
+    if (name && !fn.name) {
+      Object.defineProperty(fn, 'name', { value: name });
+    }
+    if (env) closures.set(fn, env);
+    return fn;
+  };
+
+  const consoleAt = (line) => {
+    const print = (level) => (...values) => {
+      const text = values.map(value => formatValue(value)).join(' ');
+      output.push({ level, text });
+      record(`console.${level} prints "${text}"`, line);
+    };
+    return { log: print('log'), info: print('info'), warn: print('warn'), error: print('error') };
+  };
+
+  const tick = () => {
+    loopIterations += 1;
+    if (loopIterations > MAX_LOOP_ITERATIONS) {
+      stopped = stopped || new StepLimitError(`Stopped after ${MAX_LOOP_ITERATIONS} loop iterations`);
+      throw stopped;
+    }
+  };
+
+  const setTimeout = (callback, delay = 0, ...args) => {
+    if (typeof callback !== 'function') {
+      throw new TypeError('setTimeout needs a callback function');
+    }
+    timers.push({ callback, args, delay: Math.max(0, Number(delay) || 0), order: timers.length });
+    record(`setTimeout stores ${previewValue(callback)} to run after the script`);
+  };
+
+  const reportUncaught = (error) => {
+    if (error instanceof StepLimitError || stopped) return;
+    const text = `Uncaught ${formatValue(error)}`;
+    output.push({ level: 'error', text });
+    record(text, currentLine, true);
+  };
+
+  const runTask = (task) => {
+    try {
+      task();
+    } catch (error) {
+      reportUncaught(error);
+    }
+    stack.length = 0;
+  };
+
+  const globals = {
+    setTimeout,
+    __scope: createScope,
+    __step: step,
+    __return: returnFrom,
+    __closure: registerClosure,
+    __console: consoleAt,
+    __tick: tick
+  };
+  const script = compileSnippet(globals, code);
+
+  // A script's own `this` is the global object even in strict mode; only
+  // plain function calls inside it see the difference
+  runTask(() => script.call(globalThis, ...Object.values(globals)));
+
+  timers.sort((a, b) => a.delay - b.delay || a.order - b.order);
+  for (const timer of timers) {
+    if (stopped) break;
+    current = globalRecord;
+    record(`The script is done; after ${timer.delay}ms the timer calls ${previewValue(timer.callback)}`, null);
+    runTask(() => timer.callback(...timer.args));
+  }
+
+  if (stopped) {
+    steps[steps.length - 1] = { ...steps[steps.length - 1], message: `${stopped.message}, the snippet may never finish`, isError: true };
+  } else {
+    current = globalRecord;
+    record('Done: the Global record lives on for as long as the page does', null);
+  }
+  finished = true;
+
+  return { steps };
+};
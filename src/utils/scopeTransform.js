@@ -0,0 +1,325 @@
+import { parse } from 'acorn';
+import {
+  FUNCTION_TYPES,
+  LOOP_TYPES,
+  STATEMENT_LISTS,
+  UnsupportedSyntaxError,
+  createSourceEditor,
+  getFunctionName,
+  isConsoleCall,
+  isMethodValue,
+  walk
+} from './sourceInstrumentation';
+
+// Rewrites a ```scope snippet so scopeChain.js can read its environment
+// records while it runs. Every scope that holds bindings gets a record object
+// as its first statement, with one getter per binding; reading a getter for a
+// let/const still in its temporal dead zone throws, which is how TDZ shows up.
+//
+//   function add(a) { return a + 1; }
+//     -> function add(a) { const __env1 = __scope(1, __env0, { a: () => a }, () => this);
+//          __step(0, __env1); return __return(1, __env1, a + 1); __return(1, __env1, undefined); }
+//
+// Function expressions are wrapped in __closure(fn, env, name) so the
+// simulator knows which record each function closes over.
+
+const HINT_LIMIT = 60;
+
+// Names bound by a declaration pattern: a, { b, c: d }, [e, ...f], g = 1
+const getPatternNames = (pattern) => {
+  switch (pattern?.type) {
+    case 'Identifier':
+      return [pattern.name];
+    case 'ObjectPattern':
+      return pattern.properties.flatMap(property => getPatternNames(property.type === 'RestElement' ? property.argument : property.value));
+    case 'ArrayPattern':
+      return pattern.elements.flatMap(getPatternNames);
+    case 'AssignmentPattern':
+      return getPatternNames(pattern.left);
+    case 'RestElement':
+      return getPatternNames(pattern.argument);
+    default:
+      return [];
+  }
+};
+
+// `var` declarations anywhere in a function body, but not in nested functions
+const collectVarNames = (node, names = []) => {
+  if (node.type === 'VariableDeclaration' && node.kind === 'var') {
+    node.declarations.forEach(declarator => names.push(...getPatternNames(declarator.id)));
+  }
+  for (const value of Object.values(node)) {
+    const children = Array.isArray(value) ? value : [value];
+    children.forEach(child => {
+      if (child?.type && !FUNCTION_TYPES.has(child.type)) collectVarNames(child, names);
+    });
+  }
+  return names;
+};
+
+// let, const, class and function declarations directly in a statement list
+const collectLexicalBindings = (statements, includeFunctions) => statements.flatMap(statement => {
+  if (statement.type === 'VariableDeclaration' && statement.kind !== 'var') {
+    return statement.declarations.flatMap(declarator => getPatternNames(declarator.id).map(name => ({ name, kind: statement.kind })));
+  }
+  if (statement.type === 'ClassDeclaration') {
+    return [{ name: statement.id.name, kind: 'class' }];
+  }
+  if (statement.type === 'FunctionDeclaration' && includeFunctions) {
+    return [{ name: statement.id.name, kind: 'function' }];
+  }
+  return [];
+});
+
+// First binding of each name wins, so `function f() {}` plus `var f` is one row
+const uniqueBindings = (bindings) => {
+  const seen = new Set();
+  return bindings.filter(({ name }) => !seen.has(name) && seen.add(name));
+};
+
+const isDirective = (statement) => statement.type === 'ExpressionStatement' && typeof statement.directive === 'string';
+
+// Where code can be inserted in a statement list without breaking 'use strict'
+const getBodyStart = (statements, fallback) => {
+  const first = statements.find(statement => !isDirective(statement));
+  return first ? first.start : fallback;
+};
+
+const isLexicalLoop = (node) => {
+  const head = node.type === 'ForStatement' ? node.init : node.left;
+  return LOOP_TYPES.has(node.type) && head?.type === 'VariableDeclaration' && head.kind !== 'var';
+};
+
+const getLoopBindings = (node) => {
+  const head = node.type === 'ForStatement' ? node.init : node.left;
+  return head.declarations.flatMap(declarator => getPatternNames(declarator.id).map(name => ({ name, kind: head.kind })));
+};
+
+const getStatementHint = (statement) => {
+  if (statement.type === 'VariableDeclaration') {
+    const names = statement.declarations.flatMap(declarator => getPatternNames(declarator.id));
+    const list = names.join(', ');
+    if (statement.kind !== 'var') {
+      return `${list} ${names.length > 1 ? 'stay' : 'stays'} in the temporal dead zone until this declaration runs`;
+    }
+    return statement.declarations.some(declarator => declarator.init)
+      ? `var ${list} was hoisted as undefined; this line assigns ${names.length > 1 ? 'them' : 'it'}`
+      : `var ${list} was already hoisted, so this line does nothing`;
+  }
+  if (statement.type === 'ClassDeclaration') {
+    return `class ${statement.id.name} stays in the temporal dead zone until this line runs`;
+  }
+  return null;
+};
+
+export const instrumentScopes = (source) => {
+  const ast = parse(source, { ecmaVersion: 'latest', sourceType: 'script', locations: true });
+  const { open, close, replace, apply } = createSourceEditor(source);
+  const scopes = [];
+  const statements = [];
+  const scopeIds = new Map();
+
+  const addScope = (node, scope) => {
+    const id = scopes.length;
+    scopes.push({ id, line: node.loc.start.line, ...scope, bindings: uniqueBindings(scope.bindings) });
+    scopeIds.set(node, id);
+    return id;
+  };
+
+  // First pass: every node that gets its own environment record
+  walk(ast, (node, ancestors) => {
+    const parent = ancestors[ancestors.length - 1];
+
+    if (node.type === 'Program') {
+      addScope(node, {
+        kind: 'global',
+        name: 'Global',
+        bindings: [
+          ...collectLexicalBindings(node.body, true).filter(binding => binding.kind === 'function'),
+          ...collectVarNames(node).map(name => ({ name, kind: 'var' })),
+          ...collectLexicalBindings(node.body, false)
+        ]
+      });
+      return;
+    }
+
+    if (FUNCTION_TYPES.has(node.type)) {
+      if (node.async || node.generator) {
+        throw new UnsupportedSyntaxError('async and generator functions are not supported here', node.loc.start.line);
+      }
+      const statementsInBody = node.body.type === 'BlockStatement' ? node.body.body : [];
+      addScope(node, {
+        kind: 'function',
+        name: getFunctionName(node, ancestors) ?? 'anonymous',
+        isArrow: node.type === 'ArrowFunctionExpression',
+        bindings: [
+          ...node.params.flatMap(getPatternNames).map(name => ({ name, kind: 'param' })),
+          ...collectLexicalBindings(statementsInBody, true).filter(binding => binding.kind === 'function'),
+          ...collectVarNames(node.body).map(name => ({ name, kind: 'var' })),
+          ...collectLexicalBindings(statementsInBody, false)
+        ]
+      });
+      return;
+    }
+
+    if (node.type === 'CatchClause') {
+      addScope(node, {
+        kind: 'catch',
+        name: 'catch',
+        bindings: [
+          ...getPatternNames(node.param).map(name => ({ name, kind: 'param' })),
+          ...collectLexicalBindings(node.body.body, true)
+        ]
+      });
+      return;
+    }
+
+    if (isLexicalLoop(node)) {
+      addScope(node, { kind: 'loop', name: 'Loop iteration', bindings: getLoopBindings(node) });
+      return;
+    }
+
+    // Function and catch bodies share their parent's record; other blocks only
+    // get one when they declare something
+    if (
+      (node.type === 'BlockStatement' || node.type === 'StaticBlock') &&
+      !FUNCTION_TYPES.has(parent?.type) &&
+      parent?.type !== 'CatchClause'
+    ) {
+      const bindings = collectLexicalBindings(node.body, true);
+      if (bindings.length > 0) {
+        addScope(node, { kind: 'block', name: 'Block', bindings });
+      }
+    }
+  });
+
+  // The record a node sees: its innermost enclosing scope. Function parameters
+  // and loop heads are evaluated before the function's or iteration's record exists.
+  const getEnvName = (ancestors, node) => {
+    const path = [...ancestors, node];
+    for (let index = ancestors.length - 1; index >= 0; index -= 1) {
+      const ancestor = path[index];
+      const child = path[index + 1];
+      if (!scopeIds.has(ancestor)) continue;
+
+      const entersBody = FUNCTION_TYPES.has(ancestor.type) || isLexicalLoop(ancestor) || ancestor.type === 'CatchClause'
+        ? child === ancestor.body
+        : true;
+      if (entersBody) return `__env${scopeIds.get(ancestor)}`;
+    }
+    return 'null';
+  };
+
+  // The function (or the script) a return belongs to
+  const getFunctionEnvName = (ancestors) => {
+    const owner = [...ancestors].reverse().find(ancestor => FUNCTION_TYPES.has(ancestor.type));
+    return owner ? `__env${scopeIds.get(owner)}` : null;
+  };
+
+  const getters = (scopeId) => {
+    const entries = scopes[scopeId].bindings.map(({ name }) => `${name}: () => ${name}`);
+    return `{ ${entries.join(', ')} }`;
+  };
+
+  // Hoisted function declarations close over the record they are declared in
+  const registerDeclarations = (statementList, envName) => statementList
+    .filter(statement => statement.type === 'FunctionDeclaration')
+    .map(statement => `__closure(${statement.id.name}, ${envName}); `)
+    .join('');
+
+  const createRecord = (node, parentEnv, statementList) => {
+    const id = scopeIds.get(node);
+    const envName = `__env${id}`;
+    const thisArgument = node.type === 'Program' || FUNCTION_TYPES.has(node.type) ? ', () => this' : '';
+    return `const ${envName} = __scope(${id}, ${parentEnv}, ${getters(id)}${thisArgument}); ${registerDeclarations(statementList, envName)}`;
+  };
+
+  // Second pass: splice in the records, steps, returns and closures
+  walk(ast, (node, ancestors) => {
+    const depth = ancestors.length;
+    const line = node.loc.start.line;
+    const parent = ancestors[ancestors.length - 1];
+
+    if (STATEMENT_LISTS.has(parent?.type) && node.type !== 'FunctionDeclaration' && node.type !== 'EmptyStatement' && !isDirective(node)) {
+      const text = source.slice(node.start, node.end).split('\n')[0].trim();
+      statements.push({
+        line,
+        code: text.length > HINT_LIMIT ? `${text.slice(0, HINT_LIMIT - 1)}…` : text,
+        hint: getStatementHint(node)
+      });
+      open(node.start, `__step(${statements.length - 1}, ${getEnvName(ancestors, node)}); `, depth);
+    }
+
+    if (node.type === 'Program') {
+      open(getBodyStart(node.body, source.length), createRecord(node, 'null', node.body), depth);
+      return;
+    }
+
+    if (FUNCTION_TYPES.has(node.type)) {
+      const id = scopeIds.get(node);
+      const parentEnv = getEnvName(ancestors, node);
+      const { body } = node;
+      const endLine = node.loc.end.line;
+
+      if (body.type === 'BlockStatement') {
+        open(getBodyStart(body.body, body.end - 1), createRecord(node, parentEnv, body.body), depth);
+        close(body.end - 1, `__return(${endLine}, __env${id}, undefined); `, depth);
+      } else {
+        open(body.start, `{ ${createRecord(node, parentEnv, [])}return __return(${endLine}, __env${id}, (`, depth);
+        close(body.end, ')); }', depth);
+      }
+
+      // Wrap function values so the simulator can tell which record they
+      // close over; method syntax and `new function () {}` can't be wrapped
+      const isWrappable = node.type !== 'FunctionDeclaration' &&
+        !isMethodValue(node, parent) &&
+        !(parent?.type === 'NewExpression' && parent.callee === node);
+      if (isWrappable) {
+        const name = getFunctionName(node, ancestors);
+        open(node.start, '__closure(', depth - 0.5);
+        close(node.end, `, ${parentEnv}, ${JSON.stringify(name)})`, depth - 0.5);
+      }
+      return;
+    }
+
+    if (node.type === 'ReturnStatement') {
+      const envName = getFunctionEnvName(ancestors);
+      if (!envName) return;
+      if (node.argument) {
+        replace(node.start, node.argument.start, `return __return(${line}, ${envName}, `);
+        close(node.argument.end, ')', depth);
+      } else {
+        replace(node.start, node.start + 'return'.length, `return __return(${line}, ${envName}, undefined)`);
+      }
+      return;
+    }
+
+    if (node.type === 'CatchClause') {
+      open(getBodyStart(node.body.body, node.body.end - 1), createRecord(node, getEnvName(ancestors, node), node.body.body), depth);
+      return;
+    }
+
+    if (LOOP_TYPES.has(node.type)) {
+      const { body } = node;
+      const record = isLexicalLoop(node) ? createRecord(node, getEnvName(ancestors, node), []) : '';
+      if (body.type === 'BlockStatement') {
+        open(body.start + 1, ` __tick(); ${record}`, depth);
+      } else {
+        open(body.start, `{ __tick(); ${record}`, depth);
+        close(body.end, ' }', depth);
+      }
+      return;
+    }
+
+    if ((node.type === 'BlockStatement' || node.type === 'StaticBlock') && scopeIds.has(node)) {
+      open(node.start + 1, ` ${createRecord(node, getEnvName(ancestors, node), node.body)}`, depth);
+      return;
+    }
+
+    if (isConsoleCall(node)) {
+      replace(node.callee.object.start, node.callee.object.end, `__console(${line})`);
+    }
+  });
+
+  return { code: apply(), scopes, statements };
+};
@@ -0,0 +1,21 @@
+// Height of the sticky content header; anchored scrolling stops this far above the target
+export const HEADER_OFFSET = 80;
+
+export const scrollToElement = (element) => {
+  const elementPosition = element.getBoundingClientRect().top;
+  const offsetPosition = elementPosition + window.pageYOffset - HEADER_OFFSET;
+
+  window.scrollTo({
+    top: offsetPosition,
+    behavior: 'smooth'
+  });
+};
+
+// Returns false when there is no element with that id on the page
+export const scrollToId = (id) => {
+  const element = document.getElementById(id);
+  if (!element) return false;
+
+  scrollToElement(element);
+  return true;
+};
@@ -0,0 +1,122 @@
+import { tokenize } from './tokenize';
+
+// Full-text search over the build-time index produced by plugins/searchIndex.js
+
+const SNIPPET_LENGTH = 160;
+const MIN_QUERY_LENGTH = 2;
+
+export const isSearchableQuery = (query) => query.trim().length >= MIN_QUERY_LENGTH;
+
+// The index is fairly large, so it lives in its own chunk and loads on first search.
+// A failed load (e.g. offline before the chunk was cached) is retried on the next call.
+let indexPromise = null;
+
+export const loadSearchIndex = () => {
+  if (!indexPromise) {
+    indexPromise = import('virtual:search-index')
+      .then(module => module.default)
+      .catch(err => {
+        indexPromise = null;
+        throw err;
+      });
+  }
+  return indexPromise;
+};
+
+const tokenCache = new WeakMap();
+
+const getTokens = (index) => {
+  if (!tokenCache.has(index)) {
+    tokenCache.set(index, Object.keys(index.postings));
+  }
+  return tokenCache.get(index);
+};
+
+// Scores for a single query term. The last term is matched as a prefix so
+// results show up while the user is still typing.
+const scoreTerm = (index, term, isPrefix) => {
+  const scores = new Map();
+  const tokens = isPrefix
+    ? getTokens(index).filter(token => token.startsWith(term))
+    : [term].filter(token => Object.hasOwn(index.postings, token));
+
+  for (const token of tokens) {
+    const postings = index.postings[token];
+    const weight = token === term ? 1 : 0.5;
+
+    for (let i = 0; i < postings.length; i += 2) {
+      const sectionIndex = postings[i];
+      scores.set(sectionIndex, Math.max(scores.get(sectionIndex) || 0, postings[i + 1] * weight));
+    }
+  }
+
+  return scores;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Cut a window of text around the first match and split it into
+// { text, match } segments so the caller can wrap matches in <mark>
+export const buildSnippet = (text, terms, length = SNIPPET_LENGTH) => {
+  const source = text.replace(/\s+/g, ' ').trim();
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+  const firstMatch = source.search(pattern);
+
+  let start = Math.max(0, firstMatch - Math.floor(length / 3));
+  if (start > 0) {
+    const wordBreak = source.indexOf(' ', start);
+    start = wordBreak === -1 ? start : wordBreak + 1;
+  }
+  const end = Math.min(source.length, start + length);
+
+  let excerpt = source.slice(start, end);
+  if (start > 0) excerpt = `…${excerpt}`;
+  if (end < source.length) excerpt = `${excerpt}…`;
+
+  // split() with a capture group puts the matches at the odd indexes
+  return excerpt
+    .split(pattern)
+    .map((part, i) => ({ text: part, match: i % 2 === 1 }))
+    .filter(segment => segment.text);
+};
+
+// Ranked sections matching every term of the query
+export const searchContent = (index, query, limit = 20) => {
+  const terms = tokenize(query);
+  if (terms.length === 0) return [];
+
+  let combined = null;
+
+  terms.forEach((term, i) => {
+    const termScores = scoreTerm(index, term, i === terms.length - 1);
+
+    if (combined === null) {
+      combined = termScores;
+      return;
+    }
+
+    const next = new Map();
+    for (const [sectionIndex, score] of combined) {
+      if (termScores.has(sectionIndex)) {
+        next.set(sectionIndex, score + termScores.get(sectionIndex));
+      }
+    }
+    combined = next;
+  });
+
+  return [...combined]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([sectionIndex, score]) => {
+      const [fileIndex, heading, slug, text, code] = index.sections[sectionIndex];
+      const matchesText = terms.some(term => text.toLowerCase().includes(term));
+
+      return {
+        file: index.files[fileIndex],
+        heading,
+        slug,
+        score,
+        snippet: buildSnippet(matchesText || !code ? text : code, terms)
+      };
+    });
+};
@@ -0,0 +1,55 @@
+import { useSyncExternalStore } from 'react';
+
+// Installed worker waiting to take over after a deploy, or null
+let waitingWorker = null;
+const listeners = new Set();
+
+const setWaitingWorker = (worker) => {
+  waitingWorker = worker;
+  listeners.forEach(listener => listener());
+};
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// True once a new version has been downloaded and is ready to use
+export const useUpdateAvailable = () => useSyncExternalStore(subscribe, () => waitingWorker !== null, () => false);
+
+const trackInstalling = (worker) => {
+  worker.addEventListener('statechange', () => {
+    // Only an update if an older worker already controls the page
+    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+      setWaitingWorker(worker);
+    }
+  });
+};
+
+// Register /sw.js (production builds only; the dev server has no worker)
+export const registerServiceWorker = () => {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+  window.addEventListener('load', async () => {
+    try {
+      const registration = await navigator.serviceWorker.register('/sw.js');
+
+      if (registration.waiting && navigator.serviceWorker.controller) {
+        setWaitingWorker(registration.waiting);
+      }
+      registration.addEventListener('updatefound', () => trackInstalling(registration.installing));
+    } catch (err) {
+      console.error('Service worker registration failed:', err);
+    }
+  });
+};
+
+// Switch to the waiting worker and reload once it has taken control
+export const applyUpdate = () => {
+  if (!waitingWorker) return;
+
+  navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+  waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+};
+
+export const dismissUpdate = () => setWaitingWorker(null);
@@ -0,0 +1,119 @@
+// Shared pieces for the visualizers that run an instrumented copy of a
+// snippet (eventLoopTransform.js, scopeTransform.js): an AST walk, call stack
+// names for functions, and splicing edits into the original source so the
+// snippet keeps its own line numbers and formatting.
+
+export class UnsupportedSyntaxError extends Error {
+  constructor(message, line) {
+    super(`${message} (line ${line})`);
+    this.name = 'UnsupportedSyntaxError';
+  }
+}
+
+export const FUNCTION_TYPES = new Set(['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression']);
+export const LOOP_TYPES = new Set(['WhileStatement', 'DoWhileStatement', 'ForStatement', 'ForInStatement', 'ForOfStatement']);
+export const STATEMENT_LISTS = new Set(['Program', 'BlockStatement', 'StaticBlock']);
+
+// Visit every node depth-first, with the chain of its ancestors
+export const walk = (node, visit, ancestors = []) => {
+  visit(node, ancestors);
+  const path = [...ancestors, node];
+
+  for (const value of Object.values(node)) {
+    if (Array.isArray(value)) {
+      value.forEach(child => child?.type && walk(child, visit, path));
+    } else if (value?.type) {
+      walk(value, visit, path);
+    }
+  }
+};
+
+const getKeyName = (key) => (key.type === 'Identifier' ? key.name : String(key.value ?? 'anonymous'));
+
+// The name a function shows on the call stack, or null when it has none
+export const getFunctionName = (node, ancestors) => {
+  if (node.id) return node.id.name;
+
+  const parent = ancestors[ancestors.length - 1];
+  switch (parent?.type) {
+    case 'VariableDeclarator':
+      return parent.id.type === 'Identifier' ? parent.id.name : null;
+    case 'AssignmentExpression':
+      if (parent.left.type === 'Identifier') return parent.left.name;
+      return parent.left.type === 'MemberExpression' && !parent.left.computed ? parent.left.property.name : null;
+    case 'Property':
+    case 'PropertyDefinition':
+      return getKeyName(parent.key);
+    case 'MethodDefinition': {
+      const classNode = ancestors[ancestors.length - 3];
+      const method = getKeyName(parent.key);
+      return classNode?.id ? `${classNode.id.name}.${method}` : method;
+    }
+    default:
+      return null;
+  }
+};
+
+// Methods keep their `async` keyword and their name on the method node
+export const isMethodValue = (node, parent) =>
+  (parent?.type === 'MethodDefinition' || (parent?.type === 'Property' && (parent.method || parent.kind !== 'init'))) &&
+  parent.value === node;
+
+// `console.log(...)` and friends
+export const isConsoleCall = (node) =>
+  node.type === 'CallExpression' &&
+  node.callee.type === 'MemberExpression' &&
+  node.callee.object.type === 'Identifier' &&
+  node.callee.object.name === 'console';
+
+// Collects edits against the original source and splices them in one go.
+// Insertions at the same position go closers first (innermost first), then
+// openers (outermost first), then replacements. `depth` is the AST depth of
+// the node an insertion belongs to.
+export const createSourceEditor = (source) => {
+  const edits = [];
+
+  const rank = (edit) => {
+    if (edit.kind === 'close') return [0, -edit.depth];
+    if (edit.kind === 'open') return [1, edit.depth];
+    return [2, 0];
+  };
+
+  return {
+    open: (start, text, depth) => edits.push({ kind: 'open', start, text, depth }),
+    close: (start, text, depth) => edits.push({ kind: 'close', start, text, depth }),
+    replace: (start, end, text) => edits.push({ kind: 'replace', start, end, text }),
+
+    apply: () => {
+      const sorted = [...edits].sort((a, b) => {
+        const [rankA, depthA] = rank(a);
+        const [rankB, depthB] = rank(b);
+        return a.start - b.start || rankA - rankB || depthA - depthB;
+      });
+
+      let output = '';
+      let cursor = 0;
+      for (const edit of sorted) {
+        output += source.slice(cursor, edit.start) + edit.text;
+        cursor = edit.end ?? edit.start;
+      }
+      return output + source.slice(cursor);
+    }
+  };
+};
+
+// Page globals a snippet has no business touching
+const HIDDEN_GLOBALS = [
+  'window', 'self', 'globalThis', 'document', 'location', 'history', 'navigator',
+  'localStorage', 'sessionStorage', 'indexedDB', 'caches', 'fetch', 'XMLHttpRequest'
+];
+
+// Compile instrumented code into a function taking the runner's stand-ins
+// (`globals`, by name) as parameters. It is nested in a function whose own
+// parameters are the HIDDEN_GLOBALS, left undefined, so `localStorage.clear()`
+// in a snippet fails instead of wiping the reader's progress, while the
+// snippet can still declare a `history` or `fetch` of its own.
+export const compileSnippet = (globals, code) => new Function(
+  ...HIDDEN_GLOBALS,
+  `return function (${Object.keys(globals).join(', ')}) {\n${code}\n};`
+)();
@@ -0,0 +1,100 @@
+import { createStore, useStore } from './storage';
+
+// SM-2 style scheduling for flashcards.
+// Review state per card id: { ease, interval (days), repetitions, due (ISO date) }
+const scheduleStore = createStore('flashcards', {});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_EASE = 1.3;
+const DEFAULT_EASE = 2.5;
+
+// Cards graded "again" come back after this long
+const RELEARN_DELAY_MS = 60 * 1000;
+
+// Self-grades mapped onto SM-2 answer quality (0-5)
+export const GRADES = [
+  { id: 'again', label: 'Again', quality: 1, key: '1' },
+  { id: 'hard', label: 'Hard', quality: 3, key: '2' },
+  { id: 'good', label: 'Good', quality: 4, key: '3' },
+  { id: 'easy', label: 'Easy', quality: 5, key: '4' }
+];
+
+export const useSchedule = () => useStore(scheduleStore);
+
+const newCardState = () => ({ ease: DEFAULT_EASE, interval: 0, repetitions: 0, due: null });
+
+// Work out the next review state for a card without saving it
+export const computeNextState = (state = newCardState(), gradeId, now = Date.now()) => {
+  const grade = GRADES.find(g => g.id === gradeId);
+  const quality = grade.quality;
+  const ease = Math.max(MIN_EASE, state.ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+
+  if (quality < 3) {
+    return {
+      ease,
+      interval: 0,
+      repetitions: 0,
+      due: new Date(now + RELEARN_DELAY_MS).toISOString()
+    };
+  }
+
+  const repetitions = state.repetitions + 1;
+  let interval;
+  if (repetitions === 1) {
+    interval = 1;
+  } else if (repetitions === 2) {
+    interval = 6;
+  } else {
+    interval = Math.round(state.interval * ease);
+  }
+
+  if (gradeId === 'hard') {
+    interval = Math.max(1, Math.round(interval * 0.6));
+  } else if (gradeId === 'easy') {
+    interval = Math.round(interval * 1.3) + 1;
+  }
+
+  return {
+    ease,
+    interval,
+    repetitions,
+    due: new Date(now + interval * DAY_MS).toISOString()
+  };
+};
+
+export const gradeCard = (cardId, gradeId) => {
+  scheduleStore.set(schedule => ({
+    ...schedule,
+    [cardId]: {
+      ...computeNextState(schedule[cardId], gradeId),
+      lastReviewed: new Date().toISOString()
+    }
+  }));
+};
+
+export const isCardDue = (state, now = Date.now()) => !state || !state.due || new Date(state.due).getTime() <= now;
+
+// Cards to study now: overdue reviews first (oldest first), then unseen cards
+export const getDueCards = (cards, schedule, now = Date.now()) => {
+  const due = cards.filter(card => schedule[card.id] && isCardDue(schedule[card.id], now));
+  const unseen = cards.filter(card => !schedule[card.id]);
+
+  due.sort((a, b) => new Date(schedule[a.id].due) - new Date(schedule[b.id].due));
+  return [...due, ...unseen];
+};
+
+// Earliest upcoming review among the given cards, or null
+export const getNextDueDate = (cards, schedule) => {
+  const dates = cards
+    .map(card => schedule[card.id]?.due)
+    .filter(Boolean)
+    .map(due => new Date(due).getTime());
+  return dates.length > 0 ? new Date(Math.min(...dates)) : null;
+};
+
+export const formatInterval = (state) => {
+  if (state.interval === 0) return '<1m';
+  if (state.interval < 30) return `${state.interval}d`;
+  if (state.interval < 365) return `${Math.round(state.interval / 30)}mo`;
+  return `${(state.interval / 365).toFixed(1)}y`;
+};
@@ -0,0 +1,58 @@
+import { useSyncExternalStore } from 'react';
+
+// Prefix for everything this app keeps in localStorage
+const STORAGE_PREFIX = 'js-learning-hub:';
+
+const readValue = (key, fallback) => {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_PREFIX + key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+};
+
+const writeValue = (key, value) => {
+  try {
+    window.localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(value));
+  } catch (err) {
+    console.error(`Failed to save ${key}:`, err);
+  }
+};
+
+// A value persisted in localStorage that components can subscribe to.
+// Changes made in other tabs are picked up through the `storage` event.
+export const createStore = (key, initialValue) => {
+  const hasWindow = typeof window !== 'undefined';
+  let value = hasWindow ? readValue(key, initialValue) : initialValue;
+  const listeners = new Set();
+
+  const notify = () => listeners.forEach(listener => listener());
+
+  if (hasWindow) {
+    window.addEventListener('storage', (e) => {
+      if (e.key === STORAGE_PREFIX + key) {
+        value = readValue(key, initialValue);
+        notify();
+      }
+    });
+  }
+
+  return {
+    get: () => value,
+    set: (next) => {
+      value = typeof next === 'function' ? next(value) : next;
+      writeValue(key, value);
+      notify();
+    },
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    initialValue
+  };
+};
+
+export const useStore = (store) => {
+  return useSyncExternalStore(store.subscribe, store.get, () => store.initialValue);
+};
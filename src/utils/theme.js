@@ -0,0 +1,35 @@
+import { createStore, useStore } from './storage';
+
+// 'system' follows the OS colour scheme. The inline script in index.html reads
+// the same storage key to set data-theme before the first paint.
+export const THEMES = [
+  { id: 'light', label: 'Light', icon: '☀️' },
+  { id: 'dark', label: 'Dark', icon: '🌙' },
+  { id: 'system', label: 'System', icon: '💻' }
+];
+
+const themeStore = createStore('theme', 'system');
+
+const darkQuery = typeof window !== 'undefined' ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+
+export const useTheme = () => useStore(themeStore);
+
+export const setTheme = (theme) => themeStore.set(theme);
+
+// 'light' or 'dark' for a theme setting
+export const resolveTheme = (theme) => {
+  if (theme === 'light' || theme === 'dark') return theme;
+  return darkQuery?.matches ? 'dark' : 'light';
+};
+
+// Code highlighting follows data-theme too (see plugins/highlightThemes.js)
+const applyTheme = () => {
+  document.documentElement.dataset.theme = resolveTheme(themeStore.get());
+};
+
+// Apply the saved theme and keep it in sync with the store and the OS setting
+export const initTheme = () => {
+  applyTheme();
+  themeStore.subscribe(applyTheme);
+  darkQuery?.addEventListener('change', applyTheme);
+};
@@ -0,0 +1,13 @@
+// Shared by the build-time search index (plugins/searchIndex.js) and the
+// client-side search (utils/search.js), so queries split the same way as the
+// content they are matched against. Plain JavaScript with no imports, since
+// Node loads it as well.
+
+const STOP_WORDS = new Set([
+  'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'if', 'in', 'is', 'it',
+  'of', 'on', 'or', 'the', 'to', 'we', 'with', '__proto__'
+]);
+
+export const tokenize = (text) => {
+  return (text.toLowerCase().match(/[a-z0-9_$]{2,}/g) || []).filter(token => !STOP_WORDS.has(token));
+};
@@ -0,0 +1,168 @@
+import { patterns } from '../data/patterns';
+
+// Layout for components/TopicGraph.jsx: topics in columns by prerequisite
+// depth (a topic sits right of everything it builds on), edges drawn as SVG
+// curves behind HTML node cards. All sizes are in CSS pixels.
+export const NODE_WIDTH = 184;
+export const NODE_HEIGHT = 44;
+const COLUMN_GAP = 72;
+const ROW_GAP = 14;
+const MARGIN = 16;
+// How far a cross-link between two topics in the same column bows out
+const SAME_COLUMN_BOW = 56;
+
+// Longest-path layering; the registry rejects prerequisite cycles, so every
+// topic gets a column
+const assignColumns = (ids, parentsOf) => {
+  const column = new Map();
+  const visit = (id) => {
+    if (!column.has(id)) {
+      const parents = parentsOf.get(id);
+      column.set(id, parents.length === 0 ? 0 : Math.max(...parents.map(visit)) + 1);
+    }
+    return column.get(id);
+  };
+  ids.forEach(visit);
+  return column;
+};
+
+// Order each column by the average row of its neighbours in the column
+// before (left to right) or after (right to left), keeping ties in reading order
+const orderColumns = (columns, parentsOf, childrenOf) => {
+  const sweep = (indexes, neighboursOf, reference) => {
+    for (const i of indexes) {
+      const position = new Map(columns[reference(i)].map((id, row) => [id, row]));
+      const weighted = columns[i].map((id, row) => {
+        const placed = neighboursOf.get(id).filter(other => position.has(other));
+        const weight = placed.length === 0
+          ? row
+          : placed.reduce((sum, other) => sum + position.get(other), 0) / placed.length;
+        return { id, weight, row };
+      });
+      weighted.sort((a, b) => a.weight - b.weight || a.row - b.row);
+      columns[i] = weighted.map(({ id }) => id);
+    }
+  };
+
+  const forward = columns.map((_, i) => i).slice(1);
+  const backward = columns.map((_, i) => i).slice(0, -1).reverse();
+  sweep(forward, parentsOf, i => i - 1);
+  sweep(backward, childrenOf, i => i + 1);
+  sweep(forward, parentsOf, i => i - 1);
+  return columns;
+};
+
+const routeEdge = (edge, nodes) => {
+  const from = nodes.get(edge.from);
+  const to = nodes.get(edge.to);
+  const fromY = from.y + NODE_HEIGHT / 2;
+  const toY = to.y + NODE_HEIGHT / 2;
+
+  // Cross-links within a column leave and enter on the right
+  if (from.x === to.x) {
+    const right = from.x + NODE_WIDTH;
+    return `M ${right} ${fromY} C ${right + SAME_COLUMN_BOW} ${fromY}, ${right + SAME_COLUMN_BOW} ${toY}, ${right} ${toY}`;
+  }
+
+  // Prerequisites are always further left; cross-links have no direction
+  const [left, right, leftY, rightY] = from.x < to.x ? [from, to, fromY, toY] : [to, from, toY, fromY];
+  const startX = left.x + NODE_WIDTH;
+  const endX = right.x;
+  const bend = Math.max((endX - startX) / 2, COLUMN_GAP / 2);
+  return `M ${startX} ${leftY} C ${startX + bend} ${leftY}, ${endX - bend} ${rightY}, ${endX} ${rightY}`;
+};
+
+// Graph of the given topics: { width, height, nodes, edges }. Prerequisite
+// edges run from the prerequisite to the topic that needs it; with
+// `includeLinks`, topics whose pages link to each other are joined by a
+// 'link' edge too (unless a prerequisite edge already joins them). With
+// `includeContext`, prerequisites outside the list are added as context nodes.
+export const layoutTopicGraph = (topicIds, { includeLinks = false, includeContext = false } = {}) => {
+  const listed = new Set(topicIds);
+  const ids = patterns.map(p => p.id).filter(id => listed.has(id));
+  if (includeContext) {
+    const context = new Set(ids.flatMap(id => patterns.find(p => p.id === id).prerequisites));
+    ids.unshift(...patterns.map(p => p.id).filter(id => context.has(id) && !listed.has(id)));
+  }
+  const included = new Set(ids);
+  const topics = new Map(ids.map(id => [id, patterns.find(p => p.id === id)]));
+
+  const parentsOf = new Map(ids.map(id => [id, topics.get(id).prerequisites.filter(parent => included.has(parent))]));
+  const childrenOf = new Map(ids.map(id => [id, []]));
+  const edges = [];
+  for (const [id, parents] of parentsOf) {
+    for (const parent of parents) {
+      childrenOf.get(parent).push(id);
+      edges.push({ from: parent, to: id, type: 'prerequisite' });
+    }
+  }
+
+  if (includeLinks) {
+    const joined = new Set(edges.map(({ from, to }) => [from, to].sort().join(' ')));
+    for (const id of ids) {
+      for (const other of topics.get(id).links) {
+        const key = [id, other].sort().join(' ');
+        if (included.has(other) && !joined.has(key)) {
+          joined.add(key);
+          edges.push({ from: id, to: other, type: 'link' });
+        }
+      }
+    }
+  }
+
+  const column = assignColumns(ids, parentsOf);
+  const columns = [];
+  for (const id of ids) {
+    columns[column.get(id)] = [...(columns[column.get(id)] || []), id];
+  }
+  orderColumns(columns, parentsOf, childrenOf);
+
+  // Shorter columns are centred against the tallest one
+  const rowHeight = NODE_HEIGHT + ROW_GAP;
+  const tallest = Math.max(0, ...columns.map(columnIds => columnIds.length));
+  const nodes = new Map();
+  columns.forEach((columnIds, index) => {
+    const offset = ((tallest - columnIds.length) * rowHeight) / 2;
+    columnIds.forEach((id, row) => {
+      nodes.set(id, {
+        topic: topics.get(id),
+        isContext: !listed.has(id),
+        x: MARGIN + index * (NODE_WIDTH + COLUMN_GAP),
+        y: MARGIN + offset + row * rowHeight
+      });
+    });
+  });
+
+  const hasSameColumnLink = edges.some(edge => edge.type === 'link' && column.get(edge.from) === column.get(edge.to));
+  return {
+    width: MARGIN * 2 + columns.length * NODE_WIDTH + Math.max(0, columns.length - 1) * COLUMN_GAP + (hasSameColumnLink ? SAME_COLUMN_BOW : 0),
+    height: MARGIN * 2 + tallest * rowHeight - ROW_GAP,
+    nodes,
+    edges: edges.map(edge => ({ ...edge, path: routeEdge(edge, nodes) }))
+  };
+};
+
+// Everything a topic builds on (directly or not) and everything built on it,
+// following the graph's prerequisite edges
+export const getRelatedTopics = (edges, topicId) => {
+  const collect = (start, next) => {
+    const found = new Set();
+    const stack = [start];
+    while (stack.length > 0) {
+      const id = stack.pop();
+      for (const other of next(id)) {
+        if (!found.has(other)) {
+          found.add(other);
+          stack.push(other);
+        }
+      }
+    }
+    return found;
+  };
+
+  const prerequisiteEdges = edges.filter(edge => edge.type === 'prerequisite');
+  return {
+    ancestors: collect(topicId, id => prerequisiteEdges.filter(edge => edge.to === id).map(edge => edge.from)),
+    descendants: collect(topicId, id => prerequisiteEdges.filter(edge => edge.from === id).map(edge => edge.to))
+  };
+};
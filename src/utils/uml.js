@@ -0,0 +1,349 @@
+// Parser and layout for ```uml fences: a small class-diagram language drawn
+// as SVG by components/UmlDiagram.jsx, entirely in the browser.
+//
+//   interface Strategy {
+//     +execute(data)
+//   }
+//   class Context {
+//     -strategy: Strategy
+//     +setStrategy(strategy)
+//   }
+//   Context o-- Strategy : strategy
+//   ConcreteStrategyA ..|> Strategy
+//
+// Declarations: `class`, `abstract class` or `interface`, with an optional
+// { ... } body of members. Members may start with a visibility (+ - # ~) and
+// `static` / `abstract`; a member with parentheses is a method.
+// Classes used in a relation but never declared are added as plain classes.
+// Lines starting with // are comments.
+
+const DECLARATION_PATTERN = /^(abstract\s+class|class|interface)\s+([A-Za-z_]\w*)\s*(\{\s*\}?)?$/;
+const MEMBER_PATTERN = /^([+\-#~])?\s*((?:(?:static|abstract)\s+)*)(.+)$/;
+const RELATION_PATTERN = /^([A-Za-z_]\w*)\s*(--\|>|\.\.\|>|\*--|o--|-->|\.\.>)\s*([A-Za-z_]\w*)(?:\s*:\s*(.+))?$/;
+
+// Arrow syntax -> relation type. Inheritance arrows point at the parent,
+// composition and aggregation start at the whole, the rest at what's used.
+export const RELATION_TYPES = {
+  '--|>': 'extends',
+  '..|>': 'implements',
+  '*--': 'composition',
+  'o--': 'aggregation',
+  '-->': 'association',
+  '..>': 'dependency'
+};
+
+const KINDS = {
+  'class': 'class',
+  'abstract class': 'abstract',
+  'interface': 'interface'
+};
+
+export class UmlSyntaxError extends Error {
+  constructor(message, line) {
+    super(`Line ${line}: ${message}`);
+    this.name = 'UmlSyntaxError';
+    this.line = line;
+  }
+}
+
+const parseMember = (text) => {
+  const [, visibility = '', modifiers, rest] = text.match(MEMBER_PATTERN);
+  return {
+    visibility,
+    name: rest.trim(),
+    isStatic: /\bstatic\b/.test(modifiers),
+    isAbstract: /\babstract\b/.test(modifiers),
+    isMethod: rest.includes('(')
+  };
+};
+
+// Turn uml source into { classes, relations }. Throws UmlSyntaxError.
+export const parseUml = (source) => {
+  const classes = new Map();
+  const relations = [];
+  let current = null;
+
+  const getClass = (name, line) => {
+    if (!classes.has(name)) {
+      classes.set(name, { name, kind: 'class', attributes: [], methods: [], line });
+    }
+    return classes.get(name);
+  };
+
+  source.split('\n').forEach((rawLine, index) => {
+    const lineNumber = index + 1;
+    const line = rawLine.trim();
+    if (line === '' || line.startsWith('//')) return;
+
+    if (current) {
+      if (line === '}') {
+        current = null;
+        return;
+      }
+      const member = parseMember(line);
+      current[member.isMethod ? 'methods' : 'attributes'].push(member);
+      return;
+    }
+
+    const declaration = line.match(DECLARATION_PATTERN);
+    if (declaration) {
+      const [, kind, name, body] = declaration;
+      const declared = getClass(name, lineNumber);
+      declared.kind = KINDS[kind.replace(/\s+/, ' ')];
+      // `{` alone opens a body; `{}` is an empty one
+      if (body && !body.includes('}')) {
+        current = declared;
+      }
+      return;
+    }
+
+    const relation = line.match(RELATION_PATTERN);
+    if (relation) {
+      const [, from, arrow, to, label] = relation;
+      getClass(from, lineNumber);
+      getClass(to, lineNumber);
+      relations.push({ from, to, type: RELATION_TYPES[arrow], label: label?.trim() || null });
+      return;
+    }
+
+    throw new UmlSyntaxError(`can't read "${line}"`, lineNumber);
+  });
+
+  if (current) {
+    throw new UmlSyntaxError(`class "${current.name}" is missing a closing }`, current.line);
+  }
+  if (classes.size === 0) {
+    throw new UmlSyntaxError('the diagram has no classes', 1);
+  }
+
+  return { classes: [...classes.values()], relations };
+};
+
+// Text metrics for the monospace font the diagram is drawn in (see UmlDiagram.css)
+const CHAR_WIDTH = 7.4;
+export const LINE_HEIGHT = 18;
+export const PADDING_X = 12;
+export const PADDING_Y = 6;
+const MIN_BOX_WIDTH = 110;
+const COLUMN_GAP = 48;
+const ROW_GAP = 64;
+const MARGIN = 24;
+// Room on the right for a class's arrow to itself
+const SELF_LOOP_SIZE = 28;
+
+export const getMemberText = (member) => `${member.visibility}${member.visibility ? ' ' : ''}${member.name}`;
+
+export const getStereotype = (kind) => {
+  if (kind === 'interface') return '«interface»';
+  if (kind === 'abstract') return '«abstract»';
+  return null;
+};
+
+// Box size and the y offsets of its compartments, relative to the box top
+const measureClass = (cls) => {
+  const stereotype = getStereotype(cls.kind);
+  const headerLines = stereotype ? 2 : 1;
+  const texts = [stereotype || '', cls.name, ...cls.attributes.map(getMemberText), ...cls.methods.map(getMemberText)];
+  const width = Math.max(MIN_BOX_WIDTH, Math.ceil(Math.max(...texts.map(text => text.length)) * CHAR_WIDTH) + PADDING_X * 2);
+
+  const headerHeight = headerLines * LINE_HEIGHT + PADDING_Y * 2;
+  const compartmentHeight = (members) => (members.length > 0 ? members.length * LINE_HEIGHT + PADDING_Y * 2 : 0);
+  const attributesHeight = compartmentHeight(cls.attributes);
+  const methodsHeight = compartmentHeight(cls.methods);
+
+  return {
+    width,
+    height: headerHeight + attributesHeight + methodsHeight,
+    headerHeight,
+    attributesTop: headerHeight,
+    methodsTop: headerHeight + attributesHeight
+  };
+};
+
+// Edges as parent -> child for layering: parents and owners sit above
+const toLayerEdge = ({ from, to, type }) => (
+  type === 'extends' || type === 'implements' ? [to, from] : [from, to]
+);
+
+// Longest-path layering. Edges that would close a cycle are left out,
+// so a layer is always defined; those relations are still drawn.
+const assignLayers = (names, relations) => {
+  const children = new Map(names.map(name => [name, []]));
+  for (const relation of relations) {
+    const [parent, child] = toLayerEdge(relation);
+    if (parent !== child) children.get(parent).push(child);
+  }
+
+  const state = new Map();
+  const order = [];
+  const acyclic = new Map(names.map(name => [name, []]));
+  const visit = (name) => {
+    state.set(name, 'visiting');
+    for (const child of children.get(name)) {
+      if (state.get(child) === 'visiting') continue;
+      acyclic.get(name).push(child);
+      if (!state.has(child)) visit(child);
+    }
+    state.set(name, 'done');
+    order.push(name);
+  };
+  names.forEach(name => state.has(name) || visit(name));
+
+  const layer = new Map(names.map(name => [name, 0]));
+  for (const name of order.reverse()) {
+    for (const child of acyclic.get(name)) {
+      layer.set(child, Math.max(layer.get(child), layer.get(name) + 1));
+    }
+  }
+  return layer;
+};
+
+// Order each row by the average position of the classes it connects to above
+const orderRows = (rows, relations) => {
+  const neighbours = new Map();
+  for (const relation of relations) {
+    const [parent, child] = toLayerEdge(relation);
+    neighbours.set(child, [...(neighbours.get(child) || []), parent]);
+  }
+
+  for (let i = 1; i < rows.length; i++) {
+    const position = new Map(rows[i - 1].map((name, index) => [name, index]));
+    const barycenter = (name, index) => {
+      const above = (neighbours.get(name) || []).filter(parent => position.has(parent));
+      if (above.length === 0) return index;
+      return above.reduce((sum, parent) => sum + position.get(parent), 0) / above.length;
+    };
+    const weighted = rows[i].map((name, index) => ({ name, weight: barycenter(name, index), index }));
+    weighted.sort((a, b) => a.weight - b.weight || a.index - b.index);
+    rows[i] = weighted.map(({ name }) => name);
+  }
+  return rows;
+};
+
+// Point where the line from a box's centre towards (x, y) leaves the box
+const clipToBox = (box, x, y) => {
+  const cx = box.x + box.width / 2;
+  const cy = box.y + box.height / 2;
+  const dx = x - cx;
+  const dy = y - cy;
+  if (dx === 0 && dy === 0) return { x: cx, y: cy };
+
+  const scale = Math.min(
+    dx === 0 ? Infinity : (box.width / 2) / Math.abs(dx),
+    dy === 0 ? Infinity : (box.height / 2) / Math.abs(dy)
+  );
+  return { x: cx + dx * scale, y: cy + dy * scale };
+};
+
+const routeEdge = (relation, boxes) => {
+  const from = boxes.get(relation.from);
+  const to = boxes.get(relation.to);
+
+  if (from === to) {
+    const right = from.x + from.width;
+    const top = from.y + from.height / 2 - 10;
+    const bottom = top + 20;
+    return {
+      ...relation,
+      path: `M ${right} ${top} C ${right + SELF_LOOP_SIZE} ${top - 8}, ${right + SELF_LOOP_SIZE} ${bottom + 8}, ${right} ${bottom}`,
+      labelX: right + SELF_LOOP_SIZE + 4,
+      labelY: from.y + from.height / 2,
+      labelAnchor: 'start'
+    };
+  }
+
+  const start = clipToBox(from, to.x + to.width / 2, to.y + to.height / 2);
+  const end = clipToBox(to, from.x + from.width / 2, from.y + from.height / 2);
+  return {
+    ...relation,
+    path: `M ${start.x} ${start.y} L ${end.x} ${end.y}`,
+    labelX: (start.x + end.x) / 2,
+    labelY: (start.y + end.y) / 2,
+    labelAnchor: 'middle'
+  };
+};
+
+// Place every class in rows (parents above children) and route the relations.
+// Returns { width, height, boxes, edges } in SVG user units.
+export const layoutUml = ({ classes, relations }) => {
+  const names = classes.map(cls => cls.name);
+  const layer = assignLayers(names, relations);
+
+  const layers = [];
+  for (const name of names) {
+    const index = layer.get(name);
+    layers[index] = [...(layers[index] || []), name];
+  }
+  const rows = orderRows(layers.filter(Boolean), relations);
+
+  const byName = new Map(classes.map(cls => [cls.name, { ...cls, ...measureClass(cls) }]));
+  const hasSelfLoop = new Set(relations.filter(r => r.from === r.to).map(r => r.from));
+  const rowWidth = (row) => row.reduce((sum, name) => (
+    sum + byName.get(name).width + (hasSelfLoop.has(name) ? SELF_LOOP_SIZE : 0)
+  ), 0) + COLUMN_GAP * (row.length - 1);
+
+  const parentsOf = new Map(names.map(name => [name, []]));
+  for (const relation of relations) {
+    const [parent, child] = toLayerEdge(relation);
+    if (parent !== child) parentsOf.get(child).push(parent);
+  }
+
+  // Rows start packed and centred. A class with parents already placed wants to
+  // sit under their average centre; overlapping classes are merged into blocks
+  // placed as close as possible to what their members want.
+  const contentWidth = Math.max(...rows.map(rowWidth));
+  const slotWidth = (name) => byName.get(name).width + (hasSelfLoop.has(name) ? SELF_LOOP_SIZE : 0);
+  const centre = (box) => box.x + box.width / 2;
+  const placed = new Map();
+  let y = MARGIN;
+
+  for (const row of rows) {
+    let packedX = (contentWidth - rowWidth(row)) / 2;
+    const blocks = [];
+
+    for (const name of row) {
+      const width = slotWidth(name);
+      const parents = parentsOf.get(name).filter(parent => placed.has(parent));
+      const desiredX = parents.length > 0
+        ? parents.reduce((sum, parent) => sum + centre(placed.get(parent)), 0) / parents.length - byName.get(name).width / 2
+        : packedX;
+      packedX += width + COLUMN_GAP;
+
+      let block = { names: [name], offsets: [0], width, wanted: desiredX, count: 1, x: desiredX };
+      while (blocks.length > 0 && blocks[blocks.length - 1].x + blocks[blocks.length - 1].width + COLUMN_GAP > block.x) {
+        const previous = blocks.pop();
+        const shift = previous.width + COLUMN_GAP;
+        const wanted = previous.wanted + block.wanted - shift * block.count;
+        const count = previous.count + block.count;
+        block = {
+          names: [...previous.names, ...block.names],
+          offsets: [...previous.offsets, ...block.offsets.map(offset => offset + shift)],
+          width: shift + block.width,
+          wanted,
+          count,
+          x: wanted / count
+        };
+      }
+      blocks.push(block);
+    }
+
+    for (const block of blocks) {
+      block.names.forEach((name, index) => {
+        placed.set(name, { ...byName.get(name), x: block.x + block.offsets[index], y });
+      });
+    }
+    y += Math.max(...row.map(name => byName.get(name).height)) + ROW_GAP;
+  }
+
+  // Shift everything so the leftmost class starts at the margin
+  const left = Math.min(...[...placed.values()].map(box => box.x));
+  const boxes = new Map([...placed].map(([name, box]) => [name, { ...box, x: box.x - left + MARGIN }]));
+  const right = Math.max(...[...boxes.values()].map(box => box.x + slotWidth(box.name)));
+
+  return {
+    width: right + MARGIN,
+    height: y - ROW_GAP + MARGIN,
+    boxes: names.map(name => boxes.get(name)),
+    edges: relations.map(relation => routeEdge(relation, boxes))
+  };
+};
@@ -0,0 +1,164 @@
+// Runs a code snippet in isolation and streams console output back to the page.
+// Each run gets a fresh worker, so snippets cannot leak state into each other.
+
+const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+
+const nativeSetTimeout = self.setTimeout.bind(self);
+const nativeSetInterval = self.setInterval.bind(self);
+const nativeClearTimeout = self.clearTimeout.bind(self);
+const nativeClearInterval = self.clearInterval.bind(self);
+
+const pendingTimers = new Set();
+let mainFinished = false;
+let reportedDone = false;
+
+// Format a value roughly the way the devtools console would
+const formatValue = (value, depth = 0, seen = new WeakSet()) => {
+  if (typeof value === 'string') {
+    return depth === 0 ? value : `'${value}'`;
+  }
+  if (typeof value === 'function') {
+    return value.toString().startsWith('class')
+      ? `[class ${value.name || 'anonymous'}]`
+      : `[Function: ${value.name || 'anonymous'}]`;
+  }
+  if (typeof value === 'symbol' || typeof value === 'bigint') {
+    return typeof value === 'bigint' ? `${value}n` : value.toString();
+  }
+  if (value === null || typeof value !== 'object') {
+    return Object.is(value, -0) ? '-0' : String(value);
+  }
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  if (value instanceof Error) {
+    return `${value.name}: ${value.message}`;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (value instanceof RegExp) {
+    return value.toString();
+  }
+  if (value instanceof Promise) {
+    return 'Promise { <pending> }';
+  }
+  if (depth > 3) {
+    return Array.isArray(value) ? '[Array]' : '[Object]';
+  }
+
+  seen.add(value);
+  let result;
+
+  if (Array.isArray(value)) {
+    result = `[${value.map(item => formatValue(item, depth + 1, seen)).join(', ')}]`;
+  } else if (value instanceof Map) {
+    const entries = [...value].map(([k, v]) => `${formatValue(k, depth + 1, seen)} => ${formatValue(v, depth + 1, seen)}`);
+    result = `Map(${value.size}) {${entries.length ? ` ${entries.join(', ')} ` : ''}}`;
+  } else if (value instanceof Set) {
+    const entries = [...value].map(item => formatValue(item, depth + 1, seen));
+    result = `Set(${value.size}) {${entries.length ? ` ${entries.join(', ')} ` : ''}}`;
+  } else if (value instanceof WeakMap || value instanceof WeakSet) {
+    result = `${value.constructor.name} { <items unknown> }`;
+  } else {
+    const entries = Object.keys(value).map(key => `${key}: ${formatValue(value[key], depth + 1, seen)}`);
+    const body = entries.length ? `{ ${entries.join(', ')} }` : '{}';
+    const name = value.constructor && value.constructor !== Object ? value.constructor.name : '';
+    result = name ? `${name} ${body}` : body;
+  }
+
+  seen.delete(value);
+  return result;
+};
+
+const post = (type, payload = {}) => {
+  self.postMessage({ type, ...payload });
+};
+
+const reportError = (err) => {
+  const message = err instanceof Error ? `${err.name}: ${err.message}` : formatValue(err, 1);
+  post('error', { message });
+};
+
+const createConsoleMethod = (level) => (...args) => {
+  post('log', { level, text: args.map(arg => formatValue(arg)).join(' ') });
+};
+
+self.console = {
+  ...self.console,
+  log: createConsoleMethod('log'),
+  info: createConsoleMethod('info'),
+  debug: createConsoleMethod('log'),
+  warn: createConsoleMethod('warn'),
+  error: createConsoleMethod('error'),
+  table: createConsoleMethod('log'),
+  dir: createConsoleMethod('log')
+};
+
+// Once the snippet and all of its timers are finished, tell the page we're done.
+// The check runs in a fresh macrotask so pending microtasks get flushed first.
+const checkIdle = () => {
+  nativeSetTimeout(() => {
+    if (mainFinished && pendingTimers.size === 0 && !reportedDone) {
+      reportedDone = true;
+      post('done');
+    }
+  }, 0);
+};
+
+const runCallback = (callback, args) => {
+  try {
+    if (typeof callback === 'function') {
+      callback(...args);
+    }
+  } catch (err) {
+    reportError(err);
+  }
+};
+
+self.setTimeout = (callback, delay, ...args) => {
+  const id = nativeSetTimeout(() => {
+    pendingTimers.delete(id);
+    runCallback(callback, args);
+    checkIdle();
+  }, delay);
+  pendingTimers.add(id);
+  return id;
+};
+
+self.setInterval = (callback, delay, ...args) => {
+  const id = nativeSetInterval(() => runCallback(callback, args), delay);
+  pendingTimers.add(id);
+  return id;
+};
+
+self.clearTimeout = (id) => {
+  pendingTimers.delete(id);
+  nativeClearTimeout(id);
+  checkIdle();
+};
+
+self.clearInterval = (id) => {
+  pendingTimers.delete(id);
+  nativeClearInterval(id);
+  checkIdle();
+};
+
+self.addEventListener('unhandledrejection', (event) => {
+  event.preventDefault();
+  reportError(event.reason);
+});
+
+self.addEventListener('message', async (event) => {
+  const { code } = event.data;
+
+  try {
+    const run = new AsyncFunction(code);
+    await run();
+  } catch (err) {
+    reportError(err);
+  }
+
+  mainFinished = true;
+  checkIdle();
+});
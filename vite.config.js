@@ -1,7 +1,12 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import contentHistory from './plugins/contentHistory.js'
+import contentRegistry from './plugins/contentRegistry.js'
+import highlightThemes from './plugins/highlightThemes.js'
+import searchIndex from './plugins/searchIndex.js'
+import serviceWorker from './plugins/serviceWorker.js'
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), contentRegistry(), contentHistory(), searchIndex(), highlightThemes(), serviceWorker()],
 })